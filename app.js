@@ -1,14 +1,94 @@
 // Starter kit (Vanilla JS) — Bridge v1 (createAppsBridgeV1)
 //
 // PURPOSE
-// - This file is a self-contained reference implementation for external apps that run inside an iframe.
+// - This file (with ids.js) is a self-contained reference implementation for external apps that
+//   run inside an iframe.
 // - It demonstrates how to safely communicate with the host (MyBudgetSocial) using Bridge v1.
 //
 // SECURITY NOTES (IMPORTANT)
-// - `allowedParentOrigin` MUST be the exact host origin (never "*").
+// - `allowedParentOrigin` MUST be the exact host origin (never "*"). With several candidates
+//   (`allowedParentOrigins`), the bridge locks to the one that sends the first valid HOST_CONTEXT.
 // - The host validates `event.origin` and `event.source`.
 // - Every request is correlated via `requestId` and protected by timeouts.
 // - Call `destroy()` when leaving/unmounting to prevent leaks and reject pending requests.
+//
+// The bridge helper below depends only on ids.js (newId, shared with the rules engine); the
+// other sibling modules are imported by the playground UI.
+
+import {
+  confidentSuggestion,
+  describeRule,
+  exportRules,
+  importRules,
+  learnFromHistory,
+  loadModel,
+  loadRules,
+  mergeRules,
+  normalizeRule,
+  saveModel,
+  saveRules,
+  suggestCategories,
+} from "./auto-categorize.js";
+import {
+  buildDashboard,
+  loadBudgets,
+  loadMonthSpend,
+  renderBarChart,
+  renderDonutChart,
+  saveBudget,
+} from "./budget-dashboard.js";
+import { exportCalendar } from "./calendar-export.js";
+import { loadForecast } from "./cash-flow-forecast.js";
+import { localToday, shiftMonth } from "./dates.js";
+import {
+  loadConvertedTotals,
+  loadRates,
+  mergeRates,
+  parseRatesCsv,
+  saveRates,
+} from "./exchange-rates.js";
+import { loadHostConfig, parseOriginList } from "./host-config.js";
+import { newId } from "./ids.js";
+import { createInspector } from "./message-inspector.js";
+import {
+  formatAmountInput,
+  formatMoney,
+  normalizeCurrencyCode,
+  parsePositiveAmount,
+} from "./money.js";
+import { createOutbox, shouldQueue, OUTBOX_METHODS } from "./outbox.js";
+import { loadHistory, parseQuickEntry, rememberEntry } from "./quick-entry.js";
+import {
+  groupOverdue,
+  isHidden,
+  loadInboxState,
+  markOccurrence,
+  occurrenceId,
+  resolveQueued,
+  restoreOccurrence,
+  settleKey,
+  settlePayload,
+  snoozeOccurrence,
+} from "./overdue-inbox.js";
+import {
+  RRULE_FREQS,
+  expandRrule,
+  formatRrule,
+  normalizeRrule,
+  parseRrule,
+  rruleToFields,
+  validateRrule,
+} from "./rrule.js";
+import { storageKey } from "./storage.js";
+import { downloadText, exportTransactions, parseMonthInput } from "./transaction-export.js";
+import {
+  IMPORT_TARGETS,
+  buildPreview,
+  flagDuplicates,
+  guessMapping,
+  parseStatement,
+  submitRows,
+} from "./transaction-import.js";
 
 function normalizeAllowedOrigin(input) {
   /**
@@ -31,6 +111,16 @@ function normalizeAllowedOrigin(input) {
   return url.origin;
 }
 
+function embedderOrigin() {
+  /**
+   * Origin of the page embedding this iframe as the browser reports it (location.ancestorOrigins,
+   * else document.referrer), or "" when unknown. Only used to decide which allowed origin to
+   * address first; incoming messages are always checked against the allowed list.
+   */
+  const ancestor = window.location?.ancestorOrigins?.[0];
+  return normalizeAllowedOrigin(ancestor ?? globalThis.document?.referrer ?? "");
+}
+
 function isBridgeV1ErrorCode(x) {
   /**
    * Narrow the error code to the allowlist emitted by the host Bridge v1 implementation.
@@ -48,6 +138,679 @@ function isAppMode(x) {
   return x === "embedded" || x === "standalone";
 }
 
+function normalizeRetryPolicy(input) {
+  /**
+   * Normalize an opt-in retry policy. Retries are disabled unless a policy is given.
+   *
+   * Accepts:
+   * - null/undefined/false -> no retries
+   * - a number -> that many retries with default backoff
+   * - { retries, baseDelayMs = 500, maxDelayMs = 8000 } -> exponential backoff
+   *   (delay before retry n = min(maxDelayMs, baseDelayMs * 2^(n-1)))
+   */
+  if (input == null || input === false) return null;
+  const p = typeof input === "number" ? { retries: input } : input;
+  const retries = Math.max(0, Math.min(10, Math.floor(Number(p.retries) || 0)));
+  if (!retries) return null;
+  const baseDelayMs = Math.max(0, Number(p.baseDelayMs ?? 500) || 0);
+  const maxDelayMs = Math.max(baseDelayMs, Number(p.maxDelayMs ?? 8000) || 0);
+  return { retries, baseDelayMs, maxDelayMs };
+}
+
+function backoffDelayMs(policy, attempt) {
+  /**
+   * Exponential backoff delay after a failed attempt (attempt starts at 1).
+   */
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+}
+
+function isRetryableError(err) {
+  /**
+   * Only transient failures are retried:
+   * - TIMEOUT (local): the host may be slow or the response was lost
+   * - UNKNOWN (host): generic/server-side error
+   * NOT_AUTHED and MISSING_PERMISSION need user action, so retrying would only delay the error.
+   */
+  return err?.code === "TIMEOUT" || err?.code === "UNKNOWN";
+}
+
+function parseRangeBound(input, isEnd) {
+  /**
+   * Normalize one end of a transaction range for iterateTransactions().
+   *
+   * Accepts:
+   * - { year, month } or "YYYY-MM" -> whole month (no instant bound)
+   * - "YYYY-MM-DD" -> that UTC day (start of day, or end of day when isEnd)
+   * - a Date or ISO date-time string -> that exact instant
+   *
+   * Returns { year, month, instant } (instant is an ISO string or null), or null when invalid.
+   */
+  if (input && typeof input === "object" && !(input instanceof Date)) {
+    const year = Number(input.year);
+    const month = Number(input.month);
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) return null;
+    return { year, month, instant: null };
+  }
+
+  const raw = input instanceof Date ? input.toISOString() : String(input ?? "").trim();
+  const ym = /^(\d{4})-(\d{2})$/.exec(raw);
+  if (ym) return parseRangeBound({ year: ym[1], month: ym[2] }, isEnd);
+
+  let date;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    date = new Date(raw + (isEnd ? "T23:59:59.999Z" : "T00:00:00.000Z"));
+  } else {
+    date = new Date(raw);
+  }
+  if (Number.isNaN(date.getTime())) return null;
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    instant: date.toISOString(),
+  };
+}
+
+function abortError(signal) {
+  /**
+   * The error to throw when an AbortSignal fires (its reason, or a DOMException "AbortError").
+   */
+  return signal?.reason ?? new DOMException("The operation was aborted.", "AbortError");
+}
+
+function rethrowLater(err) {
+  /**
+   * Throw `err` again from a microtask: it shows up as an uncaught error (window "error" event,
+   * devtools) while the code that caught it carries on with the next handler.
+   */
+  queueMicrotask(() => {
+    throw err;
+  });
+}
+
+function schemaMatchesType(type, value) {
+  if (type === "null") return value === null;
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") return !!value && typeof value === "object" && !Array.isArray(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function validateSchema(schema, value, path = "$", errors = []) {
+  /**
+   * Validate a value against a small JSON Schema subset and return a list of "path: problem"
+   * strings (empty when valid). Stops collecting after 20 problems.
+   *
+   * Supported keywords: type (string or list), enum, required, properties, items,
+   * additionalProperties (false only), if/then/else, minimum, maximum, exclusiveMinimum,
+   * minLength, maxLength, pattern, format ("date" = YYYY-MM-DD, "date-time" = ISO 8601 instant).
+   * Unknown properties are allowed unless additionalProperties is false (results allow them:
+   * hosts may add fields).
+   */
+  if (errors.length >= 20) return errors;
+
+  if (schema.type != null) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => schemaMatchesType(t, value))) {
+      errors.push(`${path}: expected ${types.join(" | ")}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+    if (schema.format === "date") {
+      const d = new Date(value + "T00:00:00Z");
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || d.toISOString().slice(0, 10) !== value) {
+        errors.push(`${path}: expected a YYYY-MM-DD date`);
+      }
+    }
+    if (schema.format === "date-time") {
+      if (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value))) {
+        errors.push(`${path}: expected an ISO 8601 date-time`);
+      }
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (schemaMatchesType("object", value)) {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (value[key] !== undefined) validateSchema(sub, value[key], `${path}.${key}`, errors);
+    }
+    if (schema.additionalProperties === false) {
+      const known = schema.properties ?? {};
+      for (const key of Object.keys(value)) {
+        if (value[key] !== undefined && !Object.hasOwn(known, key)) {
+          errors.push(`${path}.${key}: is not allowed`);
+        }
+      }
+    }
+  }
+
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value, path).length ? schema.else : schema.then;
+    if (branch) validateSchema(branch, value, path, errors);
+  }
+
+  return errors;
+}
+
+const CURRENCY_CODE_SCHEMA = { type: "string", pattern: "^[A-Z]{3}$" };
+
+const TRANSACTION_SCHEMA = {
+  type: "object",
+  required: ["id", "type", "amount", "currencyCode", "occurredAt"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    type: { enum: ["EXPENSE", "INCOME"] },
+    amount: { type: "number" },
+    currencyCode: CURRENCY_CODE_SCHEMA,
+    occurredAt: { type: "string", format: "date-time" },
+    note: { type: ["string", "null"] },
+    categoryId: { type: ["string", "null"] },
+  },
+};
+
+const PLAN_PROPERTIES = {
+  id: { type: "string", minLength: 1 },
+  title: { type: "string" },
+  amount: { type: "number" },
+  currencyCode: CURRENCY_CODE_SCHEMA,
+  startDate: { type: "string", format: "date" },
+};
+
+const PAYMENT_PLAN_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "amount", "currencyCode", "cadence", "startDate"],
+  properties: {
+    ...PLAN_PROPERTIES,
+    cadence: { enum: ["WEEKLY", "MONTHLY", "YEARLY", "CUSTOM"] },
+    autopostTransaction: { type: "boolean" },
+    rrule: { type: ["string", "null"] },
+  },
+};
+
+const INCOME_PLAN_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "amount", "currencyCode", "frequency", "startDate"],
+  properties: {
+    ...PLAN_PROPERTIES,
+    frequency: { enum: ["WEEKLY", "BIWEEKLY", "MONTHLY", "YEARLY"] },
+    isPaused: { type: "boolean" },
+  },
+};
+
+const listOf = (items) => ({
+  type: "object",
+  required: ["items"],
+  properties: { items: { type: "array", items } },
+});
+
+/**
+ * Expected RESULT shape per request type. A RESULT that does not match is rejected with the
+ * local error code INVALID_RESULT instead of flowing into app code.
+ */
+const RESULT_SCHEMAS = {
+  CREATE_EXPENSE: TRANSACTION_SCHEMA,
+  CREATE_INCOME: TRANSACTION_SCHEMA,
+  LIST_TRANSACTIONS_MONTH: {
+    type: "object",
+    required: ["items", "cursor"],
+    properties: {
+      items: { type: "array", items: TRANSACTION_SCHEMA },
+      cursor: { type: ["string", "null"] },
+      month: { type: "integer", minimum: 1, maximum: 12 },
+      year: { type: "integer" },
+    },
+  },
+  GET_TRANSACTION_RANGE_DETAILS: {
+    type: "object",
+    required: ["count", "total"],
+    properties: {
+      count: { type: "integer", minimum: 0 },
+      total: { type: "number" },
+      start: { type: "string", format: "date-time" },
+      end: { type: "string", format: "date-time" },
+      type: { enum: ["EXPENSE", "INCOME"] },
+      currencyCode: { type: ["string", "null"] },
+      byCategory: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["categoryId", "count", "total"],
+          properties: {
+            categoryId: { type: ["string", "null"] },
+            count: { type: "integer", minimum: 0 },
+            total: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  LIST_CATEGORIES: listOf({
+    type: "object",
+    required: ["id", "name"],
+    properties: {
+      id: { type: "string", minLength: 1 },
+      name: { type: "string" },
+      type: { enum: ["EXPENSE", "INCOME", "BOTH"] },
+      count: { type: "integer", minimum: 0 },
+    },
+  }),
+  CREATE_PAYMENT_PLAN: PAYMENT_PLAN_SCHEMA,
+  LIST_PAYMENT_PLANS: listOf(PAYMENT_PLAN_SCHEMA),
+  CREATE_INCOME_PLAN: INCOME_PLAN_SCHEMA,
+  LIST_INCOME_PLANS: listOf(INCOME_PLAN_SCHEMA),
+  LIST_OVERDUE_PAYMENTS: listOf({
+    type: "object",
+    required: ["planId", "dueDate", "amount", "currencyCode"],
+    properties: {
+      id: { type: "string" },
+      planId: { type: "string", minLength: 1 },
+      title: { type: "string" },
+      dueDate: { type: "string", format: "date" },
+      amount: { type: "number" },
+      currencyCode: CURRENCY_CODE_SCHEMA,
+    },
+  }),
+};
+
+function transactionPayloadSchema(examples) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["amount"],
+    properties: {
+      amount: {
+        type: "number",
+        exclusiveMinimum: 0,
+        format: "amount",
+        examples: [examples.amount],
+      },
+      currencyCode: { ...CURRENCY_CODE_SCHEMA, format: "currency", examples: ["EUR"] },
+      note: { type: "string", examples: [examples.note] },
+      occurredAt: { type: "string", format: "date-time", examples: ["2026-01-01T10:00:00.000Z"] },
+      categoryId: { type: "string" },
+    },
+  };
+}
+
+const PLAN_PAYLOAD_PROPERTIES = {
+  title: { type: "string", minLength: 1 },
+  amount: { type: "number", exclusiveMinimum: 0, format: "amount" },
+  currencyCode: { ...CURRENCY_CODE_SCHEMA, format: "currency", default: "EUR" },
+  startDate: {
+    type: "string",
+    format: "date",
+    title: "startDate (YYYY-MM-DD)",
+    examples: ["2026-01-01"],
+  },
+};
+
+/**
+ * Expected payload per request type, checked before anything is sent: a payload that does not
+ * match fails locally with INVALID_PAYLOAD (err.details lists the problems).
+ *
+ * The playground renders its forms from the same schemas. validateSchema() ignores the
+ * annotations it uses: title (label), examples[0] (placeholder), default (value used when the
+ * field is left empty) and the formats "amount" (typed in the user's locale) and "currency".
+ */
+const PAYLOAD_SCHEMAS = {
+  CREATE_EXPENSE: transactionPayloadSchema({ amount: "12.34", note: "From starter kit" }),
+  CREATE_INCOME: transactionPayloadSchema({ amount: "450.00", note: "Salary" }),
+  LIST_TRANSACTIONS_MONTH: {
+    type: "object",
+    additionalProperties: false,
+    required: ["month"],
+    properties: {
+      month: { type: "integer", minimum: 1, maximum: 12, examples: [1] },
+      year: { type: "integer", minimum: 1970, maximum: 9999, examples: [2026] },
+      type: { enum: ["EXPENSE", "INCOME"] },
+      categoryId: { type: "string" },
+      cursor: { type: "string" },
+    },
+  },
+  GET_TRANSACTION_RANGE_DETAILS: {
+    type: "object",
+    additionalProperties: false,
+    required: ["start", "end"],
+    properties: {
+      start: {
+        type: "string",
+        format: "date-time",
+        title: "start (ISO)",
+        examples: ["2026-01-01T00:00:00.000Z"],
+      },
+      end: {
+        type: "string",
+        format: "date-time",
+        title: "end (ISO)",
+        examples: ["2026-01-31T23:59:59.999Z"],
+      },
+      type: { enum: ["EXPENSE", "INCOME"], default: "EXPENSE" },
+      currencyCode: { ...CURRENCY_CODE_SCHEMA, format: "currency", examples: ["EUR"] },
+    },
+  },
+  LIST_CATEGORIES: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      type: { enum: ["BOTH", "EXPENSE", "INCOME"] },
+      includeCounts: { type: "boolean" },
+    },
+  },
+  CREATE_PAYMENT_PLAN: {
+    type: "object",
+    additionalProperties: false,
+    required: ["title", "amount", "currencyCode", "cadence", "startDate"],
+    properties: {
+      title: { ...PLAN_PAYLOAD_PROPERTIES.title, examples: ["Internet"] },
+      amount: { ...PLAN_PAYLOAD_PROPERTIES.amount, examples: ["29.99"] },
+      currencyCode: PLAN_PAYLOAD_PROPERTIES.currencyCode,
+      cadence: { enum: ["MONTHLY", "WEEKLY", "YEARLY", "CUSTOM"], default: "MONTHLY" },
+      startDate: PLAN_PAYLOAD_PROPERTIES.startDate,
+      autopostTransaction: { type: "boolean" },
+      rrule: { type: "string", minLength: 1 },
+    },
+    // A CUSTOM plan has no schedule without its rule.
+    if: { required: ["cadence"], properties: { cadence: { enum: ["CUSTOM"] } } },
+    then: { required: ["rrule"] },
+  },
+  CREATE_INCOME_PLAN: {
+    type: "object",
+    additionalProperties: false,
+    required: ["title", "amount", "currencyCode", "frequency", "startDate"],
+    properties: {
+      title: { ...PLAN_PAYLOAD_PROPERTIES.title, examples: ["Recurring income"] },
+      amount: { ...PLAN_PAYLOAD_PROPERTIES.amount, examples: ["1000"] },
+      currencyCode: PLAN_PAYLOAD_PROPERTIES.currencyCode,
+      frequency: { enum: ["WEEKLY", "BIWEEKLY", "MONTHLY", "YEARLY"], default: "MONTHLY" },
+      startDate: PLAN_PAYLOAD_PROPERTIES.startDate,
+      isPaused: { type: "boolean" },
+    },
+  },
+  LIST_OVERDUE_PAYMENTS: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      limit: { type: "integer", minimum: 1, maximum: 100, examples: [20] },
+      lookbackDays: { type: "integer", minimum: 1, maximum: 365, examples: [60] },
+    },
+  },
+};
+
+const CREATE_TRANSACTIONS_PERMISSION = "finance:transactions:create";
+
+/**
+ * What the host requires per request type, so calls can be checked against the cached
+ * HostContextV1 before a round-trip. REQUEST_HOST_CONTEXT is never gated: it is how the cache
+ * gets refreshed.
+ */
+const ACTION_REQUIREMENTS = {
+  CREATE_EXPENSE: { auth: true, permissions: [CREATE_TRANSACTIONS_PERMISSION] },
+  CREATE_INCOME: { auth: true, permissions: [CREATE_TRANSACTIONS_PERMISSION] },
+  LIST_TRANSACTIONS_MONTH: { auth: true, permissions: [] },
+  GET_TRANSACTION_RANGE_DETAILS: { auth: true, permissions: [] },
+  LIST_CATEGORIES: { auth: true, permissions: [] },
+  CREATE_PAYMENT_PLAN: { auth: true, permissions: [] },
+  LIST_PAYMENT_PLANS: { auth: true, permissions: [] },
+  CREATE_INCOME_PLAN: { auth: true, permissions: [] },
+  LIST_INCOME_PLANS: { auth: true, permissions: [] },
+  LIST_OVERDUE_PAYMENTS: { auth: true, permissions: [] },
+};
+
+/**
+ * Bridge method name -> request type (iterateTransactions pages through listTransactionsMonth).
+ */
+const BRIDGE_METHOD_TYPES = {
+  getHostContext: "REQUEST_HOST_CONTEXT",
+  createExpense: "CREATE_EXPENSE",
+  createIncome: "CREATE_INCOME",
+  listTransactionsMonth: "LIST_TRANSACTIONS_MONTH",
+  iterateTransactions: "LIST_TRANSACTIONS_MONTH",
+  getTransactionRangeDetails: "GET_TRANSACTION_RANGE_DETAILS",
+  listCategories: "LIST_CATEGORIES",
+  createPaymentPlan: "CREATE_PAYMENT_PLAN",
+  listPaymentPlans: "LIST_PAYMENT_PLANS",
+  createIncomePlan: "CREATE_INCOME_PLAN",
+  listIncomePlans: "LIST_INCOME_PLANS",
+  listOverduePayments: "LIST_OVERDUE_PAYMENTS",
+};
+
+/**
+ * Protocol versions this client speaks, and the request types it may send. Both are advertised
+ * in APP_READY and REQUEST_HOST_CONTEXT; see negotiateProtocol().
+ */
+const PROTOCOL_VERSIONS = [1];
+const REQUEST_TYPES = [...new Set(Object.values(BRIDGE_METHOD_TYPES))];
+
+function clientProtocol() {
+  return { versions: [...PROTOCOL_VERSIONS], actions: [...REQUEST_TYPES] };
+}
+
+function protocolProblem(payload) {
+  /**
+   * Validate the optional capability block of a HOST_CONTEXT payload:
+   *   protocol: { versions: [1, 2], actions: ["CREATE_EXPENSE", ...] }
+   * Returns null when absent or valid, else the reason.
+   */
+  if (payload.protocol === undefined) return null;
+  const protocol = payload.protocol;
+  if (!protocol || typeof protocol !== "object") return "HOST_CONTEXT.protocol is not an object";
+  const versions = protocol.versions;
+  if (!Array.isArray(versions) || !versions.length) {
+    return "HOST_CONTEXT.protocol.versions is not a non-empty array";
+  }
+  if (!versions.every((v) => Number.isInteger(v) && v > 0)) {
+    return "HOST_CONTEXT.protocol.versions has invalid entries";
+  }
+  if (!versions.includes(payload.v)) return "HOST_CONTEXT.protocol.versions does not list v";
+  const actions = protocol.actions;
+  if (actions !== undefined && actions !== null) {
+    if (!Array.isArray(actions) || !actions.every((a) => typeof a === "string")) {
+      return "HOST_CONTEXT.protocol.actions is not a list of strings";
+    }
+  }
+  return null;
+}
+
+function negotiateProtocol(context) {
+  /**
+   * Protocol state from a validated HostContext:
+   * - version: highest version both sides speak (the context's own `v` when the host does not
+   *   advertise a `protocol` block); null before the first HOST_CONTEXT
+   * - hostVersions: versions the host advertised, or null (host predates capability discovery)
+   * - actions: request types the host advertised, or null when unknown (nothing is blocked)
+   */
+  if (!context) return { version: null, hostVersions: null, actions: null };
+  const hostVersions = context.protocol ? [...context.protocol.versions] : null;
+  const common = PROTOCOL_VERSIONS.filter((v) => (hostVersions ?? [context.v]).includes(v));
+  return {
+    version: Math.max(...common),
+    hostVersions,
+    actions: Array.isArray(context.protocol?.actions) ? [...context.protocol.actions] : null,
+  };
+}
+
+function accessFor(context, typeOrMethod) {
+  /**
+   * Decide whether a request type (or bridge method name) can run in a HostContextV1.
+   *
+   * Returns { allowed, code, missing, checked }:
+   * - code: null | "UNSUPPORTED_ACTION" | "NOT_AUTHED" | "MISSING_PERMISSION" (the last two
+   *   are the codes the host would send; UNSUPPORTED_ACTION is local: the host advertised its
+   *   actions and this one is not among them)
+   * - missing: permissions the context lacks
+   * - checked: false when there is no context yet; the call is then allowed and the host decides
+   */
+  const type = BRIDGE_METHOD_TYPES[typeOrMethod] ?? typeOrMethod;
+  const actions = negotiateProtocol(context).actions;
+  if (actions && type !== "REQUEST_HOST_CONTEXT" && !actions.includes(type)) {
+    return { allowed: false, code: "UNSUPPORTED_ACTION", missing: [], checked: true };
+  }
+  const req = ACTION_REQUIREMENTS[type];
+  if (!req || !context) return { allowed: true, code: null, missing: [], checked: Boolean(context) };
+  if (req.auth && !context.isAuthed) {
+    return { allowed: false, code: "NOT_AUTHED", missing: [], checked: true };
+  }
+  const missing = req.permissions.filter((p) => !context.permissions.includes(p));
+  if (missing.length) return { allowed: false, code: "MISSING_PERMISSION", missing, checked: true };
+  return { allowed: true, code: null, missing: [], checked: true };
+}
+
+/**
+ * Requests sent and not yet answered at the same time, unless opts.maxInFlight says otherwise.
+ */
+const DEFAULT_MAX_IN_FLIGHT = 6;
+
+/**
+ * Pages iterateTransactions() follows within one month before giving up on a host that keeps
+ * returning a cursor.
+ */
+const MAX_MONTH_PAGES = 500;
+
+/**
+ * Queue priorities, first served first: interactive calls (the user is waiting) go ahead of
+ * background work (imports, exports, outbox replays). FIFO within a priority.
+ */
+const REQUEST_PRIORITIES = ["interactive", "background"];
+
+function normalizeMaxInFlight(input) {
+  /**
+   * opts.maxInFlight -> a positive integer or Infinity (no limit). Default 6.
+   */
+  if (input == null) return DEFAULT_MAX_IN_FLIGHT;
+  if (input === Infinity) return Infinity;
+  const n = Number(input);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error("[apps-bridge-v1] maxInFlight must be a positive integer or Infinity");
+  }
+  return n;
+}
+
+function normalizePriority(input) {
+  if (input == null) return "interactive";
+  if (!REQUEST_PRIORITIES.includes(input)) {
+    throw new Error(`[apps-bridge-v1] priority must be one of ${REQUEST_PRIORITIES.join(", ")}`);
+  }
+  return input;
+}
+
+/**
+ * Read-through cache TTLs (ms) per request type when caching is on (opts.cache: true).
+ * Types not listed here (writes, REQUEST_HOST_CONTEXT) are never cached.
+ */
+const DEFAULT_CACHE_TTL_MS = {
+  LIST_CATEGORIES: 10 * 60_000,
+  LIST_PAYMENT_PLANS: 60_000,
+  LIST_INCOME_PLANS: 60_000,
+  LIST_TRANSACTIONS_MONTH: 30_000,
+  GET_TRANSACTION_RANGE_DETAILS: 30_000,
+  LIST_OVERDUE_PAYMENTS: 30_000,
+};
+
+/**
+ * Cached types that are also kept in sessionStorage. They are dropped on the first HOST_CONTEXT
+ * of a page session and on every login/logout: HostContextV1 does not say who is logged in.
+ */
+const PERSISTED_CACHE_TYPES = ["LIST_CATEGORIES"];
+const CACHE_STORAGE_PREFIX = "apps-bridge-v1:cache:";
+
+function normalizeCacheOptions(input) {
+  /**
+   * Normalize opts.cache. Caching is off unless asked for.
+   *
+   * Accepts:
+   * - null/undefined/false -> no cache
+   * - true -> DEFAULT_CACHE_TTL_MS, persisted types in sessionStorage
+   * - { ttlMs: { [type]: ms }, storage } -> per-type TTL overrides (0 = do not cache that type)
+   *   and the Storage for persisted types (null = memory only)
+   */
+  if (!input) return null;
+  const ttlMs = { ...DEFAULT_CACHE_TTL_MS };
+  for (const [type, ms] of Object.entries(input.ttlMs ?? {})) {
+    if (ttlMs[type] === undefined) throw new Error(`[apps-bridge-v1] ${type} cannot be cached`);
+    ttlMs[type] = Math.max(0, Number(ms) || 0);
+  }
+  let storage = null;
+  try {
+    storage = input.storage === undefined ? globalThis.sessionStorage ?? null : input.storage;
+  } catch {
+    // sessionStorage access throws when storage is blocked (e.g. sandboxed iframe).
+  }
+  return { ttlMs, storage };
+}
+
+function canonicalJson(value) {
+  /**
+   * JSON with object keys sorted, so { a, b } and { b, a } make the same cache key.
+   */
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function staleAfterWrite(writeType, writePayload, entry) {
+  /**
+   * Whether a successful create makes a cached read stale.
+   * - transactions change month listings, range totals and category counts
+   * - a payment plan changes the plan list and the overdue list; with autopostTransaction it
+   *   may also book transactions
+   * - an income plan only changes the income plan list
+   */
+  const booksTransactions =
+    writeType === "CREATE_EXPENSE" ||
+    writeType === "CREATE_INCOME" ||
+    (writeType === "CREATE_PAYMENT_PLAN" && writePayload?.autopostTransaction === true);
+  switch (entry.type) {
+    case "LIST_TRANSACTIONS_MONTH":
+    case "GET_TRANSACTION_RANGE_DETAILS":
+      return booksTransactions;
+    case "LIST_CATEGORIES":
+      return booksTransactions && entry.payload?.includeCounts === true;
+    case "LIST_PAYMENT_PLANS":
+    case "LIST_OVERDUE_PAYMENTS":
+      return writeType === "CREATE_PAYMENT_PLAN";
+    case "LIST_INCOME_PLANS":
+      return writeType === "CREATE_INCOME_PLAN";
+    default:
+      return true;
+  }
+}
+
 // Minimal embedded version of the official helper in the host repo:
 // apps/web/src/features/apps/bridge/apps-bridge-v1.ts
 function createAppsBridgeV1(opts) {
@@ -56,8 +819,26 @@ function createAppsBridgeV1(opts) {
    *
    * Params:
    * - opts.allowedParentOrigin (required): exact origin for the host, e.g. "https://mybudgetsocial.com"
+   * - opts.allowedParentOrigins (optional): several exact origins (dev, staging, production),
+   *   instead of or in addition to allowedParentOrigin. Until the first valid HOST_CONTEXT,
+   *   messages are addressed to each of them (postMessage only delivers to the one matching the
+   *   parent) and accepted from any of them; that HOST_CONTEXT's origin then becomes the only
+   *   one for the rest of the session.
    * - opts.defaultTimeoutMs (optional): default request timeout, min 500ms (default 8000)
    * - opts.parentWindow (optional): window to send messages to (defaults to window.parent)
+   * - opts.retry (optional): default retry policy for every call, see normalizeRetryPolicy()
+   * - opts.preflight (optional): check calls against the last HOST_CONTEXT before sending them
+   *   (default true; see accessFor()). Per call, opts2.preflight: false skips the check.
+   *
+   * - opts.middleware (optional): array of interceptors, see use()
+   * - opts.maxInFlight (optional): requests sent and unanswered at a time (default 6; Infinity =
+   *   no limit). Further calls wait in a queue, ordered by opts2.priority ("interactive", the
+   *   default, before "background"); their timeout starts when they are sent. See
+   *   getQueueStats().
+   * - opts.cache (optional): read-through cache for the list/detail actions (default off); see
+   *   normalizeCacheOptions() and cachedRequest(). Per call, opts2.cache: false skips the lookup.
+   *
+   * Every request method also takes opts2.signal (AbortSignal) to cancel the call.
    *
    * Returns:
    * - An object with:
@@ -65,18 +846,36 @@ function createAppsBridgeV1(opts) {
    *   - request methods that return Promises
    *   - destroy() to cleanup listeners and reject pending requests
    */
-  const allowedOrigin = normalizeAllowedOrigin(opts?.allowedParentOrigin);
-  if (!allowedOrigin) {
+  const rawOrigins = [
+    ...(opts?.allowedParentOrigin ? [opts.allowedParentOrigin] : []),
+    ...(opts?.allowedParentOrigins ?? []),
+  ];
+  const allowedOrigins = [];
+  for (const raw of rawOrigins) {
+    const origin = normalizeAllowedOrigin(raw);
+    if (!origin) throw new Error(`[apps-bridge-v1] invalid host origin: ${JSON.stringify(raw)}`);
+    if (!allowedOrigins.includes(origin)) allowedOrigins.push(origin);
+  }
+  if (!allowedOrigins.length) {
     throw new Error(
       "[apps-bridge-v1] allowedParentOrigin is required (must be a valid http/https URL origin)"
     );
   }
 
+  /**
+   * The host origin this session talks to: set from the start with a single allowed origin,
+   * else by the first valid HOST_CONTEXT (see onMessage()). Never changes once set.
+   */
+  let lockedOrigin = allowedOrigins.length === 1 ? allowedOrigins[0] : null;
+  const hintedOrigin = allowedOrigins.includes(embedderOrigin()) ? embedderOrigin() : null;
+
   const parentWin = opts?.parentWindow ?? window.parent;
   const defaultTimeoutMs = Math.max(500, opts?.defaultTimeoutMs ?? 8000);
+  const defaultRetry = normalizeRetryPolicy(opts?.retry);
+  const preflight = opts?.preflight !== false;
 
   /**
-   * pending: requestId -> { resolve, reject, timer }
+   * pending: requestId -> { resolve, reject, timer, type }
    * Used to correlate RESULT/ERROR/HOST_CONTEXT responses back to the originating request.
    */
   const pending = new Map();
@@ -87,20 +886,77 @@ function createAppsBridgeV1(opts) {
    */
   let destroyed = false;
 
-  function newRequestId() {
+  /**
+   * Latest validated HostContextV1 (from any HOST_CONTEXT, solicited or pushed), or null.
+   */
+  let contextSnapshot = null;
+
+  /**
+   * listeners: event name -> Set of handlers (see on()).
+   */
+  const listeners = new Map(
+    ["hostContext", "authChange", "permissionsChange"].map((name) => [name, new Set()])
+  );
+
+  /**
+   * middleware: interceptors run around every message, in registration order (see use()).
+   */
+  const middleware = [...(opts?.middleware ?? [])];
+
+  /**
+   * Read-through cache (opts.cache): key -> { type, payload, value, expiresAt, promise }.
+   * An entry with a `promise` is in flight; calls for the same key join it instead of sending.
+   */
+  const cacheOptions = normalizeCacheOptions(opts?.cache);
+  const cache = new Map();
+
+  /**
+   * Concurrency limit: inFlight counts requests sent and not yet settled; the others wait in
+   * `queue` as { priority, enqueuedAt, grant, reject, signal, onAbort }, in serving order.
+   */
+  const maxInFlight = normalizeMaxInFlight(opts?.maxInFlight);
+  let inFlight = 0;
+  const queue = [];
+  const queueTotals = { dispatched: 0, waitMsTotal: 0, waitMsMax: 0, waitMsLast: 0, peak: 0 };
+
+  function runHook(name, ...args) {
+    /**
+     * Call an observer hook (onError, onDrop) of every middleware. A throwing hook is re-thrown
+     * from a microtask (see rethrowLater()) and does not affect the bridge.
+     */
+    for (const m of [...middleware]) {
+      if (typeof m?.[name] !== "function") continue;
+      try {
+        m[name](...args);
+      } catch (err) {
+        rethrowLater(err);
+      }
+    }
+  }
+
+  function applyAfterReceive(message, info) {
     /**
-     * Generate a request id used to correlate host responses.
-     * - Prefer crypto.randomUUID() when available.
-     * - Fallback to timestamp + random suffix.
+     * Pass an accepted incoming message through every afterReceive hook. A hook may return a
+     * replacement message (validated again by the caller); a throwing hook is skipped and its
+     * error re-thrown from a microtask.
      */
-    const g = globalThis;
-    if (g?.crypto?.randomUUID) return g.crypto.randomUUID();
-    return `req_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+    let current = message;
+    for (const m of [...middleware]) {
+      if (typeof m?.afterReceive !== "function") continue;
+      try {
+        const next = m.afterReceive(current, info);
+        if (next !== undefined) current = next;
+      } catch (err) {
+        rethrowLater(err);
+      }
+    }
+    return current;
   }
 
-  function safeParseMessage(data) {
+  function messageProblem(data) {
     /**
-     * Validate and normalize incoming postMessage payloads.
+     * Validate incoming postMessage payloads. Returns null when the message is acceptable, else
+     * the reason it is dropped (reported to onDrop middleware).
      *
      * We only accept 3 response types from the host:
      * - HOST_CONTEXT: provides authenticated host context (v1 payload)
@@ -109,118 +965,746 @@ function createAppsBridgeV1(opts) {
      *
      * Anything else is ignored to reduce attack surface.
      */
-    if (!data || typeof data !== "object") return null;
+    if (!data || typeof data !== "object") return "not an object";
 
     const type = data.type;
-    if (typeof type !== "string") return null;
+    if (typeof type !== "string") return "type is not a string";
 
     if (type === "HOST_CONTEXT") {
       const payload = data.payload;
-      if (!payload || typeof payload !== "object") return null;
-      if (payload.v !== 1) return null;
+      if (!payload || typeof payload !== "object") return "HOST_CONTEXT without payload";
+      if (!PROTOCOL_VERSIONS.includes(payload.v)) {
+        const supported = PROTOCOL_VERSIONS.join(", ");
+        return `HOST_CONTEXT version ${JSON.stringify(payload.v)} (supported: ${supported})`;
+      }
+      const protocolIssue = protocolProblem(payload);
+      if (protocolIssue) return protocolIssue;
 
       const app = payload.app;
       const platform = payload.platform;
-      if (!app || typeof app !== "object") return null;
-      if (!platform || typeof platform !== "object") return null;
+      if (!app || typeof app !== "object") return "HOST_CONTEXT.app is not an object";
+      if (!platform || typeof platform !== "object") {
+        return "HOST_CONTEXT.platform is not an object";
+      }
 
-      if (typeof app.id !== "string") return null;
-      if (typeof app.kind !== "string") return null;
-      if (!isAppMode(app.mode)) return null;
+      if (typeof app.id !== "string") return "HOST_CONTEXT.app.id is not a string";
+      if (typeof app.kind !== "string") return "HOST_CONTEXT.app.kind is not a string";
+      if (!isAppMode(app.mode)) return "HOST_CONTEXT.app.mode is invalid";
 
-      if (!isAppMode(platform.mode)) return null;
-      if (typeof platform.host !== "string") return null;
-      if (typeof platform.isDevHost !== "boolean") return null;
-      if (typeof platform.isMobile !== "boolean") return null;
+      if (!isAppMode(platform.mode)) return "HOST_CONTEXT.platform.mode is invalid";
+      if (typeof platform.host !== "string") return "HOST_CONTEXT.platform.host is not a string";
+      if (typeof platform.isDevHost !== "boolean") return "HOST_CONTEXT.platform.isDevHost invalid";
+      if (typeof platform.isMobile !== "boolean") return "HOST_CONTEXT.platform.isMobile invalid";
 
-      if (!Array.isArray(payload.permissions)) return null;
-      if (!payload.permissions.every((p) => typeof p === "string")) return null;
+      if (!Array.isArray(payload.permissions)) return "HOST_CONTEXT.permissions is not an array";
+      if (!payload.permissions.every((p) => typeof p === "string")) {
+        return "HOST_CONTEXT.permissions has non-string entries";
+      }
 
-      if (typeof payload.isAuthed !== "boolean") return null;
+      if (typeof payload.isAuthed !== "boolean") return "HOST_CONTEXT.isAuthed is not a boolean";
 
       // requestId is optional for HOST_CONTEXT but, if present, must be string.
       if ("requestId" in data && data.requestId != null && typeof data.requestId !== "string") {
-        return null;
+        return "HOST_CONTEXT.requestId is not a string";
       }
 
-      return data;
+      return null;
     }
 
     if (type === "RESULT") {
-      if (typeof data.requestId !== "string") return null;
-      return data;
+      if (typeof data.requestId !== "string") return "RESULT without requestId";
+      return null;
     }
 
     if (type === "ERROR") {
-      if (typeof data.requestId !== "string") return null;
+      if (typeof data.requestId !== "string") return "ERROR without requestId";
       const err = data.error;
-      if (!err || typeof err !== "object") return null;
-      if (!isBridgeV1ErrorCode(err.code)) return null;
-      if (typeof err.message !== "string") return null;
-      return data;
+      if (!err || typeof err !== "object") return "ERROR without error object";
+      if (!isBridgeV1ErrorCode(err.code)) return `ERROR code ${JSON.stringify(err.code)} unknown`;
+      if (typeof err.message !== "string") return "ERROR.message is not a string";
+      return null;
     }
 
-    return null;
+    return `unknown message type "${type}"`;
   }
 
   function postToHost(msg) {
     /**
      * Send a message to the host using strict targetOrigin.
      * Never use "*" here — it breaks origin guarantees and can leak data.
+     *
+     * beforeSend middleware runs first and may return a replacement message (keeping its type
+     * and requestId) or throw to stop the send; the error then rejects the request.
+     */
+    let out = msg;
+    for (const m of [...middleware]) {
+      if (typeof m?.beforeSend !== "function") continue;
+      const next = m.beforeSend(out, { type: msg.type, requestId: msg.requestId ?? null });
+      if (next !== undefined) out = next;
+    }
+    const targets = lockedOrigin ? [lockedOrigin] : hintedOrigin ? [hintedOrigin] : allowedOrigins;
+    for (const origin of targets) parentWin.postMessage(out, origin);
+  }
+
+  function dispatch(item) {
+    inFlight += 1;
+    const waitMs = Date.now() - item.enqueuedAt;
+    queueTotals.dispatched += 1;
+    queueTotals.waitMsTotal += waitMs;
+    queueTotals.waitMsMax = Math.max(queueTotals.waitMsMax, waitMs);
+    queueTotals.waitMsLast = waitMs;
+    item.signal?.removeEventListener("abort", item.onAbort);
+    item.grant(waitMs);
+  }
+
+  function acquireSlot(priority, signal) {
+    /**
+     * Resolve with the time spent waiting (ms) once a request may be sent; the caller must
+     * releaseSlot() when it settles. Rejects with an AbortError when `signal` fires first, and
+     * when the bridge is destroyed.
+     */
+    return new Promise((grant, reject) => {
+      const item = { priority, enqueuedAt: Date.now(), grant, reject, signal, onAbort: null };
+      if (inFlight < maxInFlight && !queue.length) return dispatch(item);
+
+      const rank = REQUEST_PRIORITIES.indexOf(priority);
+      const before = queue.findIndex((q) => REQUEST_PRIORITIES.indexOf(q.priority) > rank);
+      queue.splice(before === -1 ? queue.length : before, 0, item);
+      queueTotals.peak = Math.max(queueTotals.peak, queue.length);
+
+      item.onAbort = () => {
+        const i = queue.indexOf(item);
+        if (i !== -1) queue.splice(i, 1);
+        reject(abortError(signal));
+      };
+      signal?.addEventListener("abort", item.onAbort, { once: true });
+    });
+  }
+
+  function releaseSlot() {
+    inFlight -= 1;
+    while (inFlight < maxInFlight && queue.length) dispatch(queue.shift());
+  }
+
+  function request(msg, timeoutMs, onRequestId, signal, priority) {
+    /**
+     * Wait for a free slot (see acquireSlot()), then send(). Aborting or destroying while
+     * queued rejects without sending anything.
      */
-    parentWin.postMessage(msg, allowedOrigin);
+    if (destroyed || signal?.aborted) {
+      const e = destroyed ? new Error("[apps-bridge-v1] bridge destroyed") : abortError(signal);
+      runHook("onError", e, { requestId: null, type: msg.type, durationMs: 0, sent: false });
+      return Promise.reject(e);
+    }
+    const queuedAt = Date.now();
+    return acquireSlot(priority, signal).then(
+      (queuedMs) => send(msg, timeoutMs, (id) => onRequestId?.(id, queuedMs), signal),
+      (err) => {
+        const durationMs = Date.now() - queuedAt;
+        runHook("onError", err, { requestId: null, type: msg.type, durationMs, sent: false });
+        throw err;
+      }
+    );
   }
 
-  function request(msg, timeoutMs) {
+  function send(msg, timeoutMs, onRequestId, signal) {
     /**
      * Generic request wrapper:
      * - Assigns requestId
-     * - Registers a timeout
+     * - Registers a timeout (from now: time spent in the queue does not count)
      * - Stores a pending Promise resolver/rejector
      * - Sends the message to the host
+     * - Frees its concurrency slot when it settles
      *
      * The host will respond with:
-     * - RESULT { requestId, result }   -> resolves
+     * - RESULT { requestId, result }   -> resolves (after RESULT_SCHEMAS validation)
      * - ERROR  { requestId, error }    -> rejects (Error with .code)
      *
      * Notes:
      * - If the bridge is destroyed, we reject immediately.
+     * - onRequestId (optional) receives the generated requestId (used for attempt history).
+     * - signal (optional AbortSignal): aborting rejects right away with an AbortError and drops
+     *   the pending entry, so a late RESULT/ERROR for this requestId is ignored. An already
+     *   aborted signal rejects without sending anything.
+     * - Every rejection is reported to onError middleware ({ requestId, type, durationMs, sent }).
      */
-    if (destroyed) return Promise.reject(new Error("[apps-bridge-v1] bridge destroyed"));
+    if (destroyed || signal?.aborted) {
+      const e = destroyed ? new Error("[apps-bridge-v1] bridge destroyed") : abortError(signal);
+      runHook("onError", e, { requestId: null, type: msg.type, durationMs: 0, sent: false });
+      releaseSlot();
+      return Promise.reject(e);
+    }
 
-    const requestId = newRequestId();
+    const requestId = newId("req");
+    onRequestId?.(requestId);
     const tms = Math.max(500, timeoutMs ?? defaultTimeoutMs);
+    const startedAt = Date.now();
+    let sent = false;
+    let released = false;
 
     return new Promise((resolve, reject) => {
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        if (!released) {
+          released = true;
+          releaseSlot();
+        }
+        fn(value);
+      };
+      const fail = (err) => {
+        const durationMs = Date.now() - startedAt;
+        runHook("onError", err, { requestId, type: msg.type, durationMs, sent });
+        settle(reject)(err);
+      };
+      const onAbort = () => {
+        window.clearTimeout(timer);
+        pending.delete(requestId);
+        fail(abortError(signal));
+      };
+
       const timer = window.setTimeout(() => {
         pending.delete(requestId);
-        reject(new Error(`[apps-bridge-v1] request timeout (${tms}ms) type=${msg.type}`));
+        const e = new Error(`[apps-bridge-v1] request timeout (${tms}ms) type=${msg.type}`);
+        // Local code (never sent by the host) so callers/retries can tell timeouts apart.
+        e.code = "TIMEOUT";
+        fail(e);
       }, tms);
 
-      pending.set(requestId, { resolve, reject, timer });
-      postToHost({ ...msg, requestId });
+      pending.set(requestId, {
+        resolve: settle(resolve),
+        reject: fail,
+        timer,
+        type: msg.type,
+        startedAt,
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      try {
+        // Once the host advertised its protocol, requests carry the negotiated version.
+        const protocol = negotiateProtocol(contextSnapshot);
+        const v = protocol.hostVersions ? { v: protocol.version } : {};
+        postToHost({ ...msg, ...v, requestId });
+        sent = true;
+      } catch (err) {
+        // A beforeSend middleware refused the message.
+        window.clearTimeout(timer);
+        pending.delete(requestId);
+        fail(err);
+      }
     });
   }
 
-  function onMessage(event) {
+  function abortableDelay(ms, signal) {
     /**
-     * Global postMessage event handler.
-     *
-     * Hardening checks:
-     * - event.origin must match the allowed host origin
-     * - event.source must be the expected parent window reference
+     * Wait `ms` (retry backoff), rejecting early with an AbortError when `signal` fires.
+     */
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError(signal));
+      const onAbort = () => {
+        window.clearTimeout(timer);
+        reject(abortError(signal));
+      };
+      const timer = window.setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  async function requestWithRetry(msg, opts2) {
+    /**
+     * request() plus the retry policy (per-call opts2.retry overrides opts.retry).
      *
-     * Then parse/validate payload and resolve/reject the corresponding pending promise.
+     * - Only TIMEOUT and UNKNOWN are retried (see isRetryableError()); NOT_AUTHED and
+     *   MISSING_PERMISSION fail immediately because retrying cannot fix them.
+     * - Every attempt reuses the same message, so a write keeps its idempotencyKey and the host
+     *   can deduplicate a create whose first response was lost.
+     * - opts2.onAttempt(attempt) is called after each attempt with
+     *   { attempt, requestId, startedAt, queuedMs, durationMs, ok, code, message, retryInMs }
+     *   (durationMs includes queuedMs, the wait for a free slot).
+     * - opts2.priority: "interactive" (default) or "background", see acquireSlot().
+     * - The final error carries `.attempts` (the same records) for reporting.
+     * - Preflight: when the last HOST_CONTEXT already shows the call cannot succeed (logged out,
+     *   missing permission), it fails locally with the host's code and `err.preflight = true`
+     *   without sending anything.
+     * - A type the host did not advertise (see negotiateProtocol()) fails locally with
+     *   UNSUPPORTED_ACTION, even with preflight off: the host would never answer it.
+     * - opts2.signal (AbortSignal): cancels the attempt in flight and any backoff wait; an
+     *   AbortError is never retried.
+     * - The payload is checked against PAYLOAD_SCHEMAS first; a mismatch fails with
+     *   INVALID_PAYLOAD without sending anything.
      */
-    if (event.origin !== allowedOrigin) return;
-    if (event.source !== parentWin) return;
+    const signal = opts2?.signal;
+    if (signal?.aborted) throw abortError(signal);
+    const priority = normalizePriority(opts2?.priority);
 
-    const parsed = safeParseMessage(event.data);
-    if (!parsed) return;
+    const payloadSchema = PAYLOAD_SCHEMAS[msg.type];
+    const payloadProblems = payloadSchema ? validateSchema(payloadSchema, msg.payload ?? {}) : [];
+    if (payloadProblems.length) {
+      const summary = payloadProblems.slice(0, 3).join("; ");
+      const e = new Error(`[apps-bridge-v1] invalid payload for ${msg.type}: ${summary}`);
+      // Local code: nothing was sent; the same payload would fail again.
+      e.code = "INVALID_PAYLOAD";
+      e.details = payloadProblems;
+      e.attempts = [];
+      runHook("onError", e, { requestId: null, type: msg.type, durationMs: 0, sent: false });
+      throw e;
+    }
+
+    const access = accessFor(contextSnapshot, msg.type);
+    const unsupported = access.code === "UNSUPPORTED_ACTION";
+    if (unsupported || (preflight && opts2?.preflight !== false)) {
+      if (!access.allowed) {
+        const reason = unsupported
+          ? `the host does not support it (protocol v${negotiateProtocol(contextSnapshot).version})`
+          : access.code === "NOT_AUTHED"
+            ? "the host user is not logged in"
+            : `missing permission ${access.missing.join(", ")}`;
+        const e = new Error(`[apps-bridge-v1] ${msg.type} not sent: ${reason} (last HOST_CONTEXT)`);
+        e.code = access.code;
+        e.preflight = true;
+        e.missing = access.missing;
+        e.attempts = [];
+        runHook("onError", e, { requestId: null, type: msg.type, durationMs: 0, sent: false });
+        throw e;
+      }
+    }
+
+    const policy = opts2?.retry === undefined ? defaultRetry : normalizeRetryPolicy(opts2.retry);
+    const maxAttempts = 1 + (policy?.retries ?? 0);
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      const record = { attempt, requestId: null, startedAt: new Date(startedAt).toISOString() };
+      try {
+        const onRequestId = (id, queuedMs) => {
+          record.requestId = id;
+          record.queuedMs = queuedMs;
+        };
+        const result = await request(msg, opts2?.timeoutMs, onRequestId, signal, priority);
+        Object.assign(record, { durationMs: Date.now() - startedAt, ok: true });
+        attempts.push(record);
+        opts2?.onAttempt?.(record);
+        return result;
+      } catch (err) {
+        const retry =
+          attempt < maxAttempts && isRetryableError(err) && !destroyed && !signal?.aborted;
+        const retryInMs = retry ? backoffDelayMs(policy, attempt) : null;
+        Object.assign(record, {
+          durationMs: Date.now() - startedAt,
+          ok: false,
+          code: err?.name === "AbortError" ? "AbortError" : err?.code,
+          message: String(err?.message ?? err),
+          retryInMs,
+        });
+        attempts.push(record);
+        opts2?.onAttempt?.(record);
+        if (!retry) {
+          if (err && typeof err === "object") err.attempts = attempts;
+          throw err;
+        }
+        try {
+          await abortableDelay(retryInMs, signal);
+        } catch (abortErr) {
+          // signal.reason may be any value (e.g. abort("cancelled")): rethrow it unchanged.
+          if (abortErr && typeof abortErr === "object") abortErr.attempts = attempts;
+          throw abortErr;
+        }
+      }
+    }
+  }
+
+  function sendWrite(type, payload, opts2) {
+    /**
+     * Send a create action with a client-generated idempotency key.
+     *
+     * The key is generated once per call (or taken from opts2.idempotencyKey, so a UI can keep
+     * the key across user-initiated re-runs of the same form) and sent with every retry.
+     */
+    const idempotencyKey = opts2?.idempotencyKey || newId("idem");
+    return requestWithRetry({ type, payload, idempotencyKey }, opts2).then((result) => {
+      invalidateCache((entry) => staleAfterWrite(type, payload, entry));
+      return result;
+    });
+  }
+
+  function cacheScope() {
+    /**
+     * sessionStorage key prefix for the current host, or null when nothing may be persisted (no
+     * storage, no HOST_CONTEXT yet, logged out). HostContextV1 does not identify the user, so
+     * entries are dropped on the first HOST_CONTEXT and on every login/logout instead (see
+     * updateContext()).
+     */
+    if (!cacheOptions?.storage || !lockedOrigin || !contextSnapshot?.isAuthed) return null;
+    return `${CACHE_STORAGE_PREFIX}${lockedOrigin}|`;
+  }
+
+  function readPersisted(key) {
+    const scope = cacheScope();
+    if (!scope) return null;
+    try {
+      const entry = JSON.parse(cacheOptions.storage.getItem(scope + key) ?? "null");
+      return entry && entry.expiresAt > Date.now() ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function persist(key, entry) {
+    const scope = cacheScope();
+    if (!scope || !PERSISTED_CACHE_TYPES.includes(entry.type)) return;
+    const { type, payload, value, expiresAt } = entry;
+    try {
+      cacheOptions.storage.setItem(scope + key, JSON.stringify({ type, payload, value, expiresAt }));
+    } catch {
+      // Quota exceeded or storage blocked: the memory cache still works.
+    }
+  }
+
+  function invalidateCache(match) {
+    /**
+     * Drop cached entries, in memory and in sessionStorage (current user only).
+     * `match`: nothing (everything), a request type / bridge method name, or
+     * (entry: { type, payload }) => boolean. Calls in flight still resolve for their callers,
+     * but their results are not stored.
+     */
+    const type = typeof match === "string" ? BRIDGE_METHOD_TYPES[match] ?? match : null;
+    const drops = (entry) =>
+      match == null || (type ? entry.type === type : typeof match === "function" && match(entry));
+    for (const [key, entry] of cache) if (drops(entry)) cache.delete(key);
+
+    const scope = cacheScope();
+    if (scope) dropPersisted(scope, drops);
+  }
+
+  function dropPersisted(scope, drops) {
+    /**
+     * Remove the sessionStorage entries under key prefix `scope` that `drops(entry)` selects.
+     */
+    try {
+      const storage = cacheOptions.storage;
+      for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (!key?.startsWith(scope)) continue;
+        const entry = JSON.parse(storage.getItem(key) ?? "null");
+        if (!entry || drops(entry)) storage.removeItem(key);
+      }
+    } catch {
+      // Storage blocked or corrupt: nothing to drop.
+    }
+  }
+
+  function joinShared(key, entry, signal) {
+    /**
+     * Wait for a shared request, giving up early (AbortError) when this caller's signal fires.
+     * The shared request keeps running while other callers wait on it; once the last one has
+     * given up it is aborted too, which frees its pending entry, timer and queue slot and drops
+     * a late response instead of caching it.
+     */
+    entry.waiters += 1;
+    const promise = entry.promise;
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(abortError(signal));
+        entry.waiters -= 1;
+        if (entry.waiters > 0 || !entry.promise) return;
+        if (cache.get(key) === entry) cache.delete(key);
+        entry.controller.abort(signal.reason);
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      promise.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (err) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(err);
+        }
+      );
+    });
+  }
+
+  async function cachedRequest(msg, opts2) {
+    /**
+     * requestWithRetry() through the read-through cache, for the types with a TTL (see
+     * normalizeCacheOptions(); everything else goes straight to the host).
+     *
+     * - A fresh entry for the same type and payload (key order does not matter) is returned
+     *   without a round-trip; LIST_CATEGORIES is also looked up in sessionStorage.
+     * - Identical calls while one is in flight share it: one message, one result. The shared
+     *   request uses the first caller's timeoutMs/retry/onAttempt; a caller's signal stops that
+     *   caller's wait, and the request itself once no caller is left (see joinShared()).
+     * - opts2.cache: false skips the lookup (the fresh result still replaces the entry).
+     * - Failures are not cached. Every caller gets its own copy of the result.
+     * - Successful creates drop the entries they make stale (see staleAfterWrite()), and a
+     *   HOST_CONTEXT with another user or auth state drops everything.
+     */
+    const ttlMs = cacheOptions?.ttlMs[msg.type] ?? 0;
+    if (!ttlMs) return requestWithRetry(msg, opts2);
+
+    const signal = opts2?.signal;
+    if (signal?.aborted) throw abortError(signal);
+
+    const key = `${msg.type}|${canonicalJson(msg.payload ?? {})}`;
+    let entry = cache.get(key);
+    if (!entry && PERSISTED_CACHE_TYPES.includes(msg.type)) {
+      entry = readPersisted(key);
+      if (entry) cache.set(key, entry);
+    }
+
+    const fresh = entry && !entry.promise && entry.expiresAt > Date.now();
+    if (fresh && opts2?.cache !== false) return structuredClone(entry.value);
+
+    if (!entry?.promise) {
+      const controller = new AbortController();
+      const next = { type: msg.type, payload: msg.payload ?? {}, promise: null, waiters: 0 };
+      next.controller = controller;
+      next.promise = requestWithRetry(msg, { ...opts2, signal: controller.signal }).then(
+        (value) => {
+          next.promise = null;
+          if (cache.get(key) !== next) return value;
+          const now = Date.now();
+          for (const [k, e] of cache) if (!e.promise && e.expiresAt <= now) cache.delete(k);
+          Object.assign(next, { value, expiresAt: now + ttlMs, controller: null });
+          persist(key, next);
+          return value;
+        },
+        (err) => {
+          next.promise = null;
+          if (cache.get(key) === next) cache.delete(key);
+          throw err;
+        }
+      );
+      // Every caller may have given up by the time it fails; each one handles its own wait.
+      next.promise.catch(() => {});
+      cache.set(key, next);
+      entry = next;
+    }
+    return structuredClone(await joinShared(key, entry, signal));
+  }
+
+  async function* iterateTransactions(query, opts2) {
+    /**
+     * Async iterator over every transaction in a month range:
+     *
+     *   for await (const t of bridge.iterateTransactions({ start: "2026-01", end: "2026-12" })) {}
+     *
+     * Params (query):
+     * - start, end (required): "YYYY-MM", { year, month }, "YYYY-MM-DD", Date or ISO date-time.
+     *   Day/instant bounds also filter the first/last month by occurredAt.
+     * - type, categoryId (optional): forwarded to listTransactionsMonth
+     * - concurrency (optional): months fetched in parallel, 1-6 (default 2). Pages within a month
+     *   are sequential because each page needs the previous cursor.
+     * - signal (optional): AbortSignal; stops fetching and makes the loop throw an AbortError
+     *
+     * opts2 is forwarded to every listTransactionsMonth call (timeoutMs, retry, signal, ...), plus
+     * opts2.onPage({ year, month, page, count, items }) after every page (items: that page's
+     * transactions, count: the month's so far). opts2.signal and query.signal are equivalent;
+     * either one also cancels the pages in flight.
+     *
+     * Months are yielded in chronological order, each month in the order the host returns it.
+     * Leaving the loop early (break/return/throw) stops prefetching; responses already in flight
+     * are discarded. A failing page makes the loop throw after the months before it were yielded;
+     * so does a month with more than MAX_MONTH_PAGES pages (code "TOO_MANY_PAGES").
+     */
+    const from = parseRangeBound(query?.start, false);
+    const to = parseRangeBound(query?.end, true);
+    if (!from || !to) throw new Error("[apps-bridge-v1] iterateTransactions: invalid start/end");
+
+    const first = from.year * 12 + from.month - 1;
+    const last = to.year * 12 + to.month - 1;
+    if (last < first) throw new Error("[apps-bridge-v1] iterateTransactions: end is before start");
+
+    const signal = opts2?.signal ?? query?.signal;
+    const concurrency = Math.max(1, Math.min(6, Math.floor(Number(query?.concurrency) || 2)));
+    const { onPage, ...rest } = opts2 ?? {};
+    const callOpts = { ...rest, signal };
+    let stopped = false;
+
+    const inRange = (t) =>
+      (!from.instant || String(t?.occurredAt) >= from.instant) &&
+      (!to.instant || String(t?.occurredAt) <= to.instant);
+
+    async function fetchMonth(index) {
+      const year = Math.floor(index / 12);
+      const month = (index % 12) + 1;
+      const items = [];
+      let cursor = null;
+      let page = 0;
+      do {
+        if (stopped) return items;
+        if (signal?.aborted) throw abortError(signal);
+        const payload = { month, year };
+        if (query?.type) payload.type = query.type;
+        if (query?.categoryId) payload.categoryId = query.categoryId;
+        if (cursor) payload.cursor = cursor;
+        const res = await cachedRequest({ type: "LIST_TRANSACTIONS_MONTH", payload }, callOpts);
+        page += 1;
+        const pageItems = (Array.isArray(res?.items) ? res.items : []).filter(inRange);
+        items.push(...pageItems);
+        cursor = typeof res?.cursor === "string" && res.cursor ? res.cursor : null;
+        onPage?.({ year, month, page, count: items.length, items: pageItems });
+        if (cursor && page >= MAX_MONTH_PAGES) {
+          const e = new Error(
+            `[apps-bridge-v1] iterateTransactions: ${year}-${String(month).padStart(2, "0")} ` +
+              `still has a cursor after ${MAX_MONTH_PAGES} pages`
+          );
+          // Local code: the month would be incomplete, so it is not yielded at all.
+          e.code = "TOO_MANY_PAGES";
+          e.details = { year, month, pages: page, cursor };
+          throw e;
+        }
+      } while (cursor);
+      return items;
+    }
+
+    const inflight = [];
+    let next = first;
+    const fill = () => {
+      while (!stopped && inflight.length < concurrency && next <= last) {
+        const p = fetchMonth(next++);
+        // Mark as handled now; the rejection is re-thrown when the loop reaches this month.
+        p.catch(() => {});
+        inflight.push(p);
+      }
+    };
+
+    try {
+      fill();
+      while (inflight.length) {
+        const items = await inflight.shift();
+        fill();
+        for (const t of items) {
+          if (signal?.aborted) throw abortError(signal);
+          yield t;
+        }
+      }
+    } finally {
+      stopped = true;
+    }
+  }
+
+  function emit(name, detail) {
+    /**
+     * Call every handler of an event. A throwing handler does not stop the others (or the message
+     * handler that triggered the event); its error is re-thrown from a microtask.
+     */
+    for (const handler of [...(listeners.get(name) ?? [])]) {
+      try {
+        handler(detail);
+      } catch (err) {
+        rethrowLater(err);
+      }
+    }
+  }
+
+  function updateContext(context, solicited) {
+    /**
+     * Store a validated HOST_CONTEXT as the current snapshot and emit change events:
+     * - hostContext: every time ({ context, previous, solicited })
+     * - authChange: isAuthed differs from the previous snapshot ({ isAuthed, previous })
+     * - permissionsChange: the permission set differs ({ permissions, added, removed })
+     * No authChange/permissionsChange is emitted for the first snapshot (nothing changed yet).
+     */
+    const previous = contextSnapshot;
+    // Cached results belong to one user, and HostContextV1 does not say which: drop them on every
+    // login/logout, before the snapshot is replaced so the persisted entries of the old scope go
+    // too. On the first snapshot there is no scope yet, so the entries an earlier page session
+    // persisted for this origin are dropped explicitly (the user may have changed since).
+    if (previous?.isAuthed !== context.isAuthed) invalidateCache();
+    if (!previous && cacheOptions?.storage && lockedOrigin) {
+      dropPersisted(`${CACHE_STORAGE_PREFIX}${lockedOrigin}|`, () => true);
+    }
+    contextSnapshot = structuredClone(context);
+    emit("hostContext", { context: structuredClone(context), previous, solicited });
+    if (!previous) return;
+
+    if (previous.isAuthed !== context.isAuthed) {
+      emit("authChange", { isAuthed: context.isAuthed, previous: previous.isAuthed });
+    }
+
+    const before = new Set(previous.permissions);
+    const after = new Set(context.permissions);
+    const added = [...after].filter((p) => !before.has(p));
+    const removed = [...before].filter((p) => !after.has(p));
+    if (added.length || removed.length) {
+      emit("permissionsChange", { permissions: [...context.permissions], added, removed });
+    }
+  }
+
+  function on(name, handler) {
+    /**
+     * Subscribe to host events ("hostContext" | "authChange" | "permissionsChange").
+     * Returns an unsubscribe function.
+     */
+    const set = listeners.get(name);
+    if (!set) throw new Error(`[apps-bridge-v1] unknown event: ${name}`);
+    if (typeof handler !== "function") throw new Error("[apps-bridge-v1] handler must be a function");
+    set.add(handler);
+    return () => set.delete(handler);
+  }
+
+  function onMessage(event) {
+    /**
+     * Global postMessage event handler.
+     *
+     * Hardening checks:
+     * - event.origin must match the locked host origin (or, before the lock, one of the allowed
+     *   origins)
+     * - event.source must be the expected parent window reference
+     *
+     * Then parse/validate payload and resolve/reject the corresponding pending promise.
+     *
+     * Dropped messages (wrong origin/source, invalid, no pending request) are reported to onDrop
+     * middleware with the reason; accepted ones go through afterReceive middleware first.
+     */
+    const drop = (reason) => runHook("onDrop", event.data, { reason, origin: event.origin });
+    if (lockedOrigin && event.origin !== lockedOrigin) {
+      const allowed = allowedOrigins.includes(event.origin);
+      return drop(
+        allowed
+          ? `origin ${event.origin} is allowed, but the session is locked to ${lockedOrigin}`
+          : `origin ${event.origin} is not allowed`
+      );
+    }
+    if (!allowedOrigins.includes(event.origin)) {
+      return drop(`origin ${event.origin} is not allowed`);
+    }
+    if (event.source !== parentWin) return drop("source is not the parent window");
+
+    const problem = messageProblem(event.data);
+    if (problem) return drop(`invalid message: ${problem}`);
+
+    const reqId = typeof event.data.requestId === "string" ? event.data.requestId : null;
+    const entry = reqId ? pending.get(reqId) : undefined;
+    if (event.data.type !== "HOST_CONTEXT" && !entry) {
+      return drop("no pending request for this requestId (late, cancelled or unknown)");
+    }
+
+    const parsed = applyAfterReceive(event.data, {
+      type: event.data.type,
+      requestId: reqId,
+      requestType: entry?.type ?? null,
+      durationMs: entry ? Date.now() - entry.startedAt : null,
+      solicited: Boolean(entry),
+      origin: event.origin,
+    });
+    const changed = messageProblem(parsed);
+    if (changed) return drop(`invalid after afterReceive middleware: ${changed}`);
 
     if (parsed.type === "HOST_CONTEXT") {
+      // The first valid HOST_CONTEXT decides which allowed origin embeds the app.
+      if (!lockedOrigin) lockedOrigin = event.origin;
+      // It answers getHostContext() only. A requestId of another pending call (e.g.
+      // LIST_TRANSACTIONS_MONTH) is not an answer to it: the context is still applied, but the
+      // call keeps waiting for its RESULT (validated against RESULT_SCHEMAS) or times out.
       const reqId = parsed.requestId;
-      if (reqId && pending.has(reqId)) {
+      const solicited = Boolean(reqId && pending.get(reqId)?.type === "REQUEST_HOST_CONTEXT");
+      updateContext(parsed.payload, solicited);
+      if (solicited) {
         const p = pending.get(reqId);
         window.clearTimeout(p.timer);
         pending.delete(reqId);
@@ -234,6 +1718,19 @@ function createAppsBridgeV1(opts) {
       if (!p) return;
       window.clearTimeout(p.timer);
       pending.delete(parsed.requestId);
+
+      const schema = RESULT_SCHEMAS[p.type];
+      const problems = schema ? validateSchema(schema, parsed.result) : [];
+      if (problems.length) {
+        const e = new Error(
+          `[apps-bridge-v1] invalid RESULT for ${p.type}: ${problems.slice(0, 3).join("; ")}`
+        );
+        // Local code: the host answered, but not with the shape this client relies on.
+        e.code = "INVALID_RESULT";
+        e.details = problems;
+        p.reject(e);
+        return;
+      }
       p.resolve(parsed.result);
       return;
     }
@@ -256,6 +1753,28 @@ function createAppsBridgeV1(opts) {
   // Register listener immediately so responses can be captured.
   window.addEventListener("message", onMessage);
 
+  function use(mw) {
+    /**
+     * Add an interceptor (after those from opts.middleware). Every hook is optional:
+     * - beforeSend(message, { type, requestId }): right before postMessage; return a replacement
+     *   message (same type and requestId) or nothing; throw to refuse the send
+     * - afterReceive(message, { type, requestId, requestType, durationMs, solicited, origin }):
+     *   an accepted HOST_CONTEXT/RESULT/ERROR before it is dispatched; may return a replacement
+     * - onError(error, { requestId, type, durationMs, sent }): a request was rejected (host
+     *   ERROR, TIMEOUT, INVALID_RESULT, abort, preflight, destroy)
+     * - onDrop(data, { reason, origin }): an incoming message was ignored, and why
+     * Returns a function that removes the middleware again.
+     */
+    if (!mw || typeof mw !== "object") {
+      throw new Error("[apps-bridge-v1] middleware must be an object");
+    }
+    middleware.push(mw);
+    return () => {
+      const i = middleware.indexOf(mw);
+      if (i !== -1) middleware.splice(i, 1);
+    };
+  }
+
   function ready(requestId) {
     /**
      * Notify the host that the iframe app is ready to receive HOST_CONTEXT.
@@ -263,25 +1782,34 @@ function createAppsBridgeV1(opts) {
      * Usage:
      * - Call once early (after creating the bridge).
      * - Optionally include requestId if you want the host to echo it back in HOST_CONTEXT.
+     * - Advertises the protocol versions and request types this client supports, so the host
+     *   can answer in the highest common version and list what it supports in return.
      */
-    postToHost({ type: "APP_READY", requestId });
+    postToHost({ type: "APP_READY", requestId, protocol: clientProtocol() });
   }
 
   function destroy() {
     /**
      * Cleanup function. Call this when leaving the page/unmounting the app.
-     * - Removes the postMessage listener.
+     * - Removes the postMessage listener and every on() subscription.
      * - Rejects all pending requests with a consistent error message.
      * - Prevents any further requests.
      */
     if (destroyed) return;
     destroyed = true;
     window.removeEventListener("message", onMessage);
+    for (const set of listeners.values()) set.clear();
+    for (const item of queue.splice(0)) {
+      item.signal?.removeEventListener("abort", item.onAbort);
+      item.reject(new Error("[apps-bridge-v1] destroyed"));
+    }
     for (const [id, p] of pending.entries()) {
       window.clearTimeout(p.timer);
       p.reject(new Error("[apps-bridge-v1] destroyed"));
       pending.delete(id);
     }
+    middleware.length = 0;
+    cache.clear();
   }
 
   return {
@@ -294,67 +1822,143 @@ function createAppsBridgeV1(opts) {
      * Retrieve HostContextV1 (auth state, permissions, platform info).
      * Common first call after ready().
      */
-    getHostContext: (opts2) => request({ type: "REQUEST_HOST_CONTEXT" }, opts2?.timeoutMs),
+    getHostContext: (opts2) =>
+      requestWithRetry(
+        { type: "REQUEST_HOST_CONTEXT", payload: { protocol: clientProtocol() } },
+        opts2
+      ),
 
     /**
      * Create an EXPENSE transaction for the currently authenticated host user.
      * Requires: user logged in + permission `finance:transactions:create`.
+     * Idempotent: pass opts2.idempotencyKey to reuse a key across your own re-submits.
      */
-    createExpense: (payload, opts2) =>
-      request({ type: "CREATE_EXPENSE", payload }, opts2?.timeoutMs),
+    createExpense: (payload, opts2) => sendWrite("CREATE_EXPENSE", payload, opts2),
 
     /**
      * Create an INCOME transaction for the currently authenticated host user.
      * Requires: user logged in + permission `finance:transactions:create`.
      */
-    createIncome: (payload, opts2) =>
-      request({ type: "CREATE_INCOME", payload }, opts2?.timeoutMs),
+    createIncome: (payload, opts2) => sendWrite("CREATE_INCOME", payload, opts2),
 
     /**
      * List transactions for a month. Supports limited filtering (month/year/type/category/cursor).
      */
     listTransactionsMonth: (payload, opts2) =>
-      request({ type: "LIST_TRANSACTIONS_MONTH", payload }, opts2?.timeoutMs),
+      cachedRequest({ type: "LIST_TRANSACTIONS_MONTH", payload }, opts2),
 
     /**
      * Get aggregated details for a transaction range (not a full list).
      */
     getTransactionRangeDetails: (payload, opts2) =>
-      request({ type: "GET_TRANSACTION_RANGE_DETAILS", payload }, opts2?.timeoutMs),
+      cachedRequest({ type: "GET_TRANSACTION_RANGE_DETAILS", payload }, opts2),
 
     /**
      * List categories, optionally with counts.
      */
     listCategories: (payload, opts2) =>
-      request({ type: "LIST_CATEGORIES", payload: payload ?? {} }, opts2?.timeoutMs),
+      cachedRequest({ type: "LIST_CATEGORIES", payload: payload ?? {} }, opts2),
 
     /**
      * Create a recurring payment plan.
      */
-    createPaymentPlan: (payload, opts2) =>
-      request({ type: "CREATE_PAYMENT_PLAN", payload }, opts2?.timeoutMs),
+    createPaymentPlan: (payload, opts2) => sendWrite("CREATE_PAYMENT_PLAN", payload, opts2),
 
     /**
      * List payment plans.
      */
-    listPaymentPlans: (opts2) => request({ type: "LIST_PAYMENT_PLANS" }, opts2?.timeoutMs),
+    listPaymentPlans: (opts2) => cachedRequest({ type: "LIST_PAYMENT_PLANS" }, opts2),
 
     /**
      * Create a recurring income plan.
      */
-    createIncomePlan: (payload, opts2) =>
-      request({ type: "CREATE_INCOME_PLAN", payload }, opts2?.timeoutMs),
+    createIncomePlan: (payload, opts2) => sendWrite("CREATE_INCOME_PLAN", payload, opts2),
 
     /**
      * List income plans.
      */
-    listIncomePlans: (opts2) => request({ type: "LIST_INCOME_PLANS" }, opts2?.timeoutMs),
+    listIncomePlans: (opts2) => cachedRequest({ type: "LIST_INCOME_PLANS" }, opts2),
 
     /**
      * List overdue payment occurrences with basic parameters (limit/lookbackDays).
      */
     listOverduePayments: (payload, opts2) =>
-      request({ type: "LIST_OVERDUE_PAYMENTS", payload: payload ?? {} }, opts2?.timeoutMs),
+      cachedRequest({ type: "LIST_OVERDUE_PAYMENTS", payload: payload ?? {} }, opts2),
+
+    /**
+     * Async iterator over transactions of a start/end range (cursor + month stepping handled).
+     */
+    iterateTransactions,
+
+    /**
+     * Subscribe to host pushes: on("hostContext" | "authChange" | "permissionsChange", fn).
+     * Returns an unsubscribe function; off(name, fn) does the same.
+     */
+    on,
+    off: (name, handler) => void listeners.get(name)?.delete(handler),
+
+    /**
+     * Latest HostContextV1 received (solicited or pushed), or null before the first one.
+     */
+    getContextSnapshot: () => (contextSnapshot ? structuredClone(contextSnapshot) : null),
+
+    /**
+     * Whether a bridge method (or request type) can run in the last HOST_CONTEXT, without
+     * sending anything: { allowed, code, missing, checked }. See accessFor().
+     */
+    checkAccess: (typeOrMethod) => accessFor(contextSnapshot, typeOrMethod),
+
+    /**
+     * Concurrency and queue state (see opts.maxInFlight):
+     * { maxInFlight, inFlight, queued, queuedByPriority: { interactive, background },
+     *   oldestQueuedMs, peakQueued, dispatched, waitMs: { last, average, max } }
+     * waitMs covers every request sent so far (0 for those that did not have to wait).
+     */
+    getQueueStats: () => ({
+      maxInFlight,
+      inFlight,
+      queued: queue.length,
+      queuedByPriority: Object.fromEntries(
+        REQUEST_PRIORITIES.map((p) => [p, queue.filter((q) => q.priority === p).length])
+      ),
+      oldestQueuedMs: queue.length ? Date.now() - Math.min(...queue.map((q) => q.enqueuedAt)) : 0,
+      peakQueued: queueTotals.peak,
+      dispatched: queueTotals.dispatched,
+      waitMs: {
+        last: queueTotals.waitMsLast,
+        average: queueTotals.dispatched
+          ? Math.round(queueTotals.waitMsTotal / queueTotals.dispatched)
+          : 0,
+        max: queueTotals.waitMsMax,
+      },
+    }),
+
+    /**
+     * Drop cached reads (see cachedRequest()): all of them, one type or bridge method
+     * ("listCategories"), or those matching (entry: { type, payload }) => boolean.
+     */
+    invalidateCache,
+
+    /**
+     * The host origin this session is locked to, or null while several allowed origins are still
+     * candidates (before the first HOST_CONTEXT).
+     */
+    getHostOrigin: () => lockedOrigin,
+
+    /**
+     * Negotiated protocol: { versions (this client's), version, hostVersions, actions }.
+     * version is null before the first HOST_CONTEXT; hostVersions/actions are null when the host
+     * does not advertise them. See negotiateProtocol().
+     */
+    getProtocol: () => ({
+      versions: [...PROTOCOL_VERSIONS],
+      ...negotiateProtocol(contextSnapshot),
+    }),
+
+    /**
+     * Add a middleware (beforeSend / afterReceive / onError / onDrop). Returns a remover.
+     */
+    use,
 
     /**
      * Cleanup hook.
@@ -369,20 +1973,130 @@ function createAppsBridgeV1(opts) {
 
 const out = document.getElementById("out");
 const hostOriginEl = document.getElementById("hostOrigin");
+const hostStatusEl = document.getElementById("hostStatus");
+const hostConfigStatusEl = document.getElementById("hostConfigStatus");
 const actionEl = document.getElementById("action");
 const timeoutEl = document.getElementById("timeoutMs");
+const retriesEl = document.getElementById("retries");
+const retryBaseEl = document.getElementById("retryBaseMs");
+const maxInFlightEl = document.getElementById("maxInFlight");
+const queueStatsEl = document.getElementById("queueStats");
+const cacheReadsEl = document.getElementById("cacheReads");
+const btnCacheClear = document.getElementById("btnCacheClear");
 const fieldsEl = document.getElementById("fields");
 const btnRun = document.getElementById("btnRun");
+const btnCancel = document.getElementById("btnCancel");
+const accessGuideEl = document.getElementById("accessGuide");
+const accessGuideTitleEl = document.getElementById("accessGuideTitle");
+const accessGuideTextEl = document.getElementById("accessGuideText");
+const btnAccessRefresh = document.getElementById("btnAccessRefresh");
+const outboxListEl = document.getElementById("outboxList");
+const btnOutboxFlush = document.getElementById("btnOutboxFlush");
+const outboxStatusEl = document.getElementById("outboxStatus");
+const exportFromEl = document.getElementById("exportFrom");
+const exportToEl = document.getElementById("exportTo");
+const exportTypeEl = document.getElementById("exportType");
+const exportFormatEl = document.getElementById("exportFormat");
+const exportStatusEl = document.getElementById("exportStatus");
+const btnExport = document.getElementById("btnExport");
+const importFileEl = document.getElementById("importFile");
+const importMappingEl = document.getElementById("importMapping");
+const importCurrencyEl = document.getElementById("importCurrency");
+const importDateFormatEl = document.getElementById("importDateFormat");
+const importDecimalEl = document.getElementById("importDecimal");
+const importSignEl = document.getElementById("importSign");
+const importSuggestEl = document.getElementById("importSuggest");
+const importPreviewEl = document.getElementById("importPreview");
+const importStatusEl = document.getElementById("importStatus");
+const btnImportPreview = document.getElementById("btnImportPreview");
+const btnImportRun = document.getElementById("btnImportRun");
+const btnImportCancel = document.getElementById("btnImportCancel");
+const budgetMonthEl = document.getElementById("budgetMonth");
+const budgetCurrencyEl = document.getElementById("budgetCurrency");
+const budgetSummaryEl = document.getElementById("budgetSummary");
+const budgetChartsEl = document.getElementById("budgetCharts");
+const budgetTableEl = document.getElementById("budgetTable");
+const btnBudgetPrev = document.getElementById("btnBudgetPrev");
+const btnBudgetNext = document.getElementById("btnBudgetNext");
+const btnBudgetLoad = document.getElementById("btnBudgetLoad");
+const fxFromEl = document.getElementById("fxFrom");
+const fxToEl = document.getElementById("fxTo");
+const fxTypeEl = document.getElementById("fxType");
+const fxBaseEl = document.getElementById("fxBase");
+const fxCurrenciesEl = document.getElementById("fxCurrencies");
+const fxStatusEl = document.getElementById("fxStatus");
+const fxTableEl = document.getElementById("fxTable");
+const fxRatesFileEl = document.getElementById("fxRatesFile");
+const fxRatesStatusEl = document.getElementById("fxRatesStatus");
+const btnFxLoad = document.getElementById("btnFxLoad");
+const btnFxClear = document.getElementById("btnFxClear");
+const forecastMonthsEl = document.getElementById("forecastMonths");
+const forecastGranularityEl = document.getElementById("forecastGranularity");
+const forecastStatusEl = document.getElementById("forecastStatus");
+const forecastTableEl = document.getElementById("forecastTable");
+const btnForecast = document.getElementById("btnForecast");
+const calendarAlarmDaysEl = document.getElementById("calendarAlarmDays");
+const calendarOverdueEl = document.getElementById("calendarOverdue");
+const calendarStatusEl = document.getElementById("calendarStatus");
+const btnCalendarExport = document.getElementById("btnCalendarExport");
+const quickEntryEl = document.getElementById("quickEntry");
+const quickEntryHistoryEl = document.getElementById("quickEntryHistory");
+const quickEntryPreviewEl = document.getElementById("quickEntryPreview");
+const quickEntryStatusEl = document.getElementById("quickEntryStatus");
+const btnQuickEntry = document.getElementById("btnQuickEntry");
+const ruleCategoryEl = document.getElementById("ruleCategory");
+const ruleKeywordsEl = document.getElementById("ruleKeywords");
+const rulePatternEl = document.getElementById("rulePattern");
+const ruleMinAmountEl = document.getElementById("ruleMinAmount");
+const ruleMaxAmountEl = document.getElementById("ruleMaxAmount");
+const ruleCurrencyEl = document.getElementById("ruleCurrency");
+const rulesTableEl = document.getElementById("rulesTable");
+const rulesStatusEl = document.getElementById("rulesStatus");
+const rulesFileEl = document.getElementById("rulesFile");
+const learnMonthsEl = document.getElementById("learnMonths");
+const learnStatusEl = document.getElementById("learnStatus");
+const btnRuleAdd = document.getElementById("btnRuleAdd");
+const btnRulesExport = document.getElementById("btnRulesExport");
+const btnLearn = document.getElementById("btnLearn");
+const btnLearnForget = document.getElementById("btnLearnForget");
+const overdueLimitEl = document.getElementById("overdueLimit");
+const overdueLookbackEl = document.getElementById("overdueLookback");
+const overdueShowHiddenEl = document.getElementById("overdueShowHidden");
+const overdueStatusEl = document.getElementById("overdueStatus");
+const overdueListEl = document.getElementById("overdueList");
+const btnOverdueLoad = document.getElementById("btnOverdueLoad");
+const inspectorRecordEl = document.getElementById("inspectorRecord");
+const inspectorFilterEl = document.getElementById("inspectorFilter");
+const inspectorStatusEl = document.getElementById("inspectorStatus");
+const inspectorListEl = document.getElementById("inspectorList");
+const btnInspectorClear = document.getElementById("btnInspectorClear");
 
-function write(status, payload) {
+function write(status, payload, attempts) {
   /**
    * Render a human-friendly output in the UI.
    * We keep it simple and safe:
    * - strings are printed as-is
    * - objects are JSON.stringified with indentation
+   * - attempts (optional) is the retry history of the call, printed below the payload
    */
   const safe = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
-  out.textContent = status + "\n" + safe;
+  const history = attempts?.length ? "\n\n// attempts\n" + JSON.stringify(attempts, null, 2) : "";
+  out.textContent = status + "\n" + safe + history;
+}
+
+function errorPayload(err) {
+  /**
+   * Normalize anything thrown into the { code, message, stack } shape printed as ERROR.
+   */
+  const e = err instanceof Error ? err : new Error(String(err));
+  return {
+    // may be undefined for local validation errors; "AbortError" for cancelled calls
+    code: e.name === "AbortError" ? "AbortError" : e.code,
+    message: e.message,
+    details: e.details, // e.g. schema problems for INVALID_RESULT
+    outboxError: e.outboxError, // set when a write could be neither sent nor queued
+    stack: e.stack,
+  };
 }
 
 function readTimeoutMs() {
@@ -398,116 +2112,246 @@ function readTimeoutMs() {
   return n;
 }
 
+function readRetryPolicy() {
+  /**
+   * Read the opt-in retry policy from the UI.
+   * - retries: 0/empty disables retries
+   * - base delay: first backoff delay in ms (doubles on every retry)
+   */
+  const retries = Number(String(retriesEl?.value ?? "").trim() || 0);
+  if (!Number.isFinite(retries) || retries <= 0) return false;
+  const baseDelayMs = Number(String(retryBaseEl?.value ?? "").trim() || 500);
+  return { retries, baseDelayMs: Number.isFinite(baseDelayMs) ? baseDelayMs : 500 };
+}
+
+/**
+ * Fields with showWhen are only shown while another field has a given value.
+ */
+const CUSTOM_CADENCE = { field: "cadence", equals: "CUSTOM" };
+
+/**
+ * iterateTransactions pages through listTransactionsMonth on the client, so its query has no
+ * PAYLOAD_SCHEMAS entry; this one only drives the form.
+ */
+const ITERATE_QUERY_SCHEMA = {
+  type: "object",
+  required: ["start", "end"],
+  properties: {
+    start: { type: "string", minLength: 1, title: "start (YYYY-MM or ISO)", examples: ["2026-01"] },
+    end: { type: "string", minLength: 1, title: "end (YYYY-MM or ISO)", examples: ["2026-03"] },
+    type: { enum: ["EXPENSE", "INCOME"] },
+    categoryId: { type: "string" },
+    concurrency: { type: "integer", minimum: 1, maximum: 6, examples: [2] },
+  },
+};
+
+function schemaFields(schema, omit = []) {
+  /**
+   * Form fields for the properties of a payload schema, in schema order:
+   * - enum -> select (with a "(none)" option unless required or defaulted)
+   * - boolean -> checkbox; format "amount" -> amount text (money.js)
+   * - integer/number -> number input; anything else -> text
+   * Labels are the property title (or name), marked "(optional)" when the field may stay empty.
+   */
+  const required = new Set(schema?.required ?? []);
+  return Object.entries(schema?.properties ?? {})
+    .filter(([id]) => !omit.includes(id))
+    .map(([id, prop]) => {
+      const optional = !required.has(id) && prop.default === undefined && prop.type !== "boolean";
+      const field = {
+        id,
+        label: (prop.title ?? id) + (optional ? " (optional)" : ""),
+        schema: prop,
+        placeholder: String(prop.examples?.[0] ?? prop.default ?? ""),
+      };
+      if (prop.enum) {
+        const none = required.has(id) || prop.default !== undefined ? [] : [""];
+        return { ...field, kind: "select", options: [...none, ...prop.enum] };
+      }
+      if (prop.type === "boolean") return { ...field, kind: "checkbox" };
+      if (prop.format === "amount") return { ...field, kind: "amount" };
+      if (prop.type === "integer" || prop.type === "number") return { ...field, kind: "number" };
+      return { ...field, kind: "text" };
+    });
+}
+
+const RRULE_FIELDS = [
+  { id: "rruleFreq", label: "RRULE FREQ", kind: "select", options: RRULE_FREQS, showWhen: CUSTOM_CADENCE },
+  {
+    id: "rruleInterval",
+    label: "INTERVAL (optional, every N)",
+    kind: "number",
+    placeholder: "1",
+    showWhen: CUSTOM_CADENCE,
+  },
+  {
+    id: "rruleByDay",
+    label: "BYDAY (optional)",
+    kind: "text",
+    placeholder: "MO,WE or -1FR",
+    showWhen: CUSTOM_CADENCE,
+  },
+  {
+    id: "rruleByMonthDay",
+    label: "BYMONTHDAY (optional)",
+    kind: "text",
+    placeholder: "1,15 or -1",
+    showWhen: CUSTOM_CADENCE,
+  },
+  {
+    id: "rruleByMonth",
+    label: "BYMONTH (optional)",
+    kind: "text",
+    placeholder: "1,7",
+    showWhen: CUSTOM_CADENCE,
+  },
+  { id: "rruleCount", label: "COUNT (optional)", kind: "number", placeholder: "", showWhen: CUSTOM_CADENCE },
+  {
+    id: "rruleUntil",
+    label: "UNTIL (optional, YYYY-MM-DD)",
+    kind: "text",
+    placeholder: "2026-12-31",
+    showWhen: CUSTOM_CADENCE,
+  },
+  { id: "rrulePreview", label: "Next occurrences", kind: "note", showWhen: CUSTOM_CADENCE },
+];
+
+/**
+ * Filled by renderCategorySuggestions() from the category rules and the learned model.
+ */
+const CATEGORY_SUGGESTION_FIELDS = [
+  { id: "categorySuggestions", label: "Suggested category", kind: "note" },
+];
+
 /**
- * Declarative list of actions shown in the UI and their required input fields.
- * Each action maps to a Bridge method in `run()`.
+ * Declarative list of actions shown in the UI. Each action maps to a Bridge method in `run()`;
+ * its form is rendered from `schema` (see schemaFields()), minus `omit`, plus `extraFields`.
  */
 const ACTIONS = [
-  { id: "getHostContext", label: "getHostContext", fields: [] },
+  { id: "getHostContext", label: "getHostContext" },
   {
     id: "createExpense",
     label: "createExpense",
-    fields: [
-      { id: "amount", label: "amount", kind: "number", placeholder: "12.34" },
-      { id: "currencyCode", label: "currencyCode (optional)", kind: "text", placeholder: "EUR" },
-      { id: "note", label: "note (optional)", kind: "text", placeholder: "From starter kit" },
-      {
-        id: "occurredAt",
-        label: "occurredAt (optional ISO)",
-        kind: "text",
-        placeholder: "2026-01-01T10:00:00.000Z",
-      },
-      { id: "categoryId", label: "categoryId (optional)", kind: "text", placeholder: "" },
-    ],
+    schema: PAYLOAD_SCHEMAS.CREATE_EXPENSE,
+    extraFields: CATEGORY_SUGGESTION_FIELDS,
   },
   {
     id: "createIncome",
     label: "createIncome",
-    fields: [
-      { id: "amount", label: "amount", kind: "number", placeholder: "450.00" },
-      { id: "currencyCode", label: "currencyCode (optional)", kind: "text", placeholder: "EUR" },
-      { id: "note", label: "note (optional)", kind: "text", placeholder: "Salary" },
-      { id: "occurredAt", label: "occurredAt (optional ISO)", kind: "text", placeholder: "" },
-      { id: "categoryId", label: "categoryId (optional)", kind: "text", placeholder: "" },
-    ],
+    schema: PAYLOAD_SCHEMAS.CREATE_INCOME,
+    extraFields: CATEGORY_SUGGESTION_FIELDS,
   },
   {
     id: "listTransactionsMonth",
     label: "listTransactionsMonth",
-    fields: [
-      { id: "month", label: "month", kind: "number", placeholder: "1" },
-      { id: "year", label: "year (optional)", kind: "number", placeholder: "2026" },
-      { id: "type", label: "type (optional)", kind: "select", options: ["", "EXPENSE", "INCOME"] },
-      { id: "categoryId", label: "categoryId (optional)", kind: "text", placeholder: "" },
-      { id: "cursor", label: "cursor (optional)", kind: "text", placeholder: "" },
-    ],
+    schema: PAYLOAD_SCHEMAS.LIST_TRANSACTIONS_MONTH,
   },
   {
-    id: "getTransactionRangeDetails",
-    label: "getTransactionRangeDetails",
-    fields: [
-      { id: "start", label: "start (ISO)", kind: "text", placeholder: "2026-01-01T00:00:00.000Z" },
-      { id: "end", label: "end (ISO)", kind: "text", placeholder: "2026-01-31T23:59:59.999Z" },
-      { id: "type", label: "type", kind: "select", options: ["EXPENSE", "INCOME"] },
-      { id: "currencyCode", label: "currencyCode (optional)", kind: "text", placeholder: "EUR" },
-    ],
+    id: "iterateTransactions",
+    label: "iterateTransactions (all pages)",
+    schema: ITERATE_QUERY_SCHEMA,
   },
   {
-    id: "listCategories",
-    label: "listCategories",
-    fields: [
-      { id: "type", label: "type (optional)", kind: "select", options: ["", "BOTH", "EXPENSE", "INCOME"] },
-      { id: "includeCounts", label: "includeCounts", kind: "checkbox" },
-    ],
+    id: "getTransactionRangeDetails",
+    label: "getTransactionRangeDetails",
+    schema: PAYLOAD_SCHEMAS.GET_TRANSACTION_RANGE_DETAILS,
   },
+  { id: "listCategories", label: "listCategories", schema: PAYLOAD_SCHEMAS.LIST_CATEGORIES },
   {
     id: "createPaymentPlan",
     label: "createPaymentPlan",
-    fields: [
-      { id: "title", label: "title", kind: "text", placeholder: "Internet" },
-      { id: "amount", label: "amount", kind: "number", placeholder: "29.99" },
-      { id: "currencyCode", label: "currencyCode", kind: "text", placeholder: "EUR" },
-      { id: "cadence", label: "cadence", kind: "select", options: ["MONTHLY", "WEEKLY", "YEARLY", "CUSTOM"] },
-      { id: "startDate", label: "startDate (YYYY-MM-DD)", kind: "text", placeholder: "2026-01-01" },
-      { id: "autopostTransaction", label: "autopostTransaction (optional)", kind: "checkbox" },
-    ],
+    schema: PAYLOAD_SCHEMAS.CREATE_PAYMENT_PLAN,
+    // Built from the RRULE fields below instead of typed in.
+    omit: ["rrule"],
+    extraFields: RRULE_FIELDS,
   },
-  { id: "listPaymentPlans", label: "listPaymentPlans", fields: [] },
-  {
-    id: "createIncomePlan",
-    label: "createIncomePlan",
-    fields: [
-      { id: "title", label: "title", kind: "text", placeholder: "Recurring income" },
-      { id: "amount", label: "amount", kind: "number", placeholder: "1000" },
-      { id: "currencyCode", label: "currencyCode", kind: "text", placeholder: "EUR" },
-      { id: "frequency", label: "frequency", kind: "select", options: ["WEEKLY", "BIWEEKLY", "MONTHLY", "YEARLY"] },
-      { id: "startDate", label: "startDate (YYYY-MM-DD)", kind: "text", placeholder: "2026-01-01" },
-      { id: "isPaused", label: "isPaused (optional)", kind: "checkbox" },
-    ],
-  },
-  { id: "listIncomePlans", label: "listIncomePlans", fields: [] },
+  { id: "listPaymentPlans", label: "listPaymentPlans" },
+  { id: "createIncomePlan", label: "createIncomePlan", schema: PAYLOAD_SCHEMAS.CREATE_INCOME_PLAN },
+  { id: "listIncomePlans", label: "listIncomePlans" },
   {
     id: "listOverduePayments",
     label: "listOverduePayments",
-    fields: [
-      { id: "limit", label: "limit (optional)", kind: "number", placeholder: "20" },
-      { id: "lookbackDays", label: "lookbackDays (optional)", kind: "number", placeholder: "60" },
-    ],
+    schema: PAYLOAD_SCHEMAS.LIST_OVERDUE_PAYMENTS,
   },
-  { id: "destroy", label: "destroy (cleanup)", fields: [] },
-];
+  { id: "destroy", label: "destroy (cleanup)" },
+].map((a) => ({ ...a, fields: [...schemaFields(a.schema, a.omit), ...(a.extraFields ?? [])] }));
+
+let running = false;
+
+/**
+ * runController: aborts the action started by "Run Action" (null when nothing is running).
+ */
+let runController = null;
+
+function actionAccess(actionId) {
+  /**
+   * Access check for a playground action against the bridge's cached host context.
+   * Actions that are not bridge calls (destroy) and a missing bridge count as allowed.
+   */
+  if (!bridge || !BRIDGE_METHOD_TYPES[actionId]) return { allowed: true, code: null, missing: [] };
+  return bridge.checkAccess(actionId);
+}
 
 function renderActions() {
   /**
    * Populate the <select> with available actions.
+   * Actions the current host context cannot perform are annotated (see renderAccessGuide()).
    */
+  const selected = actionEl.value;
   actionEl.innerHTML = "";
   for (const a of ACTIONS) {
+    const access = actionAccess(a.id);
     const opt = document.createElement("option");
     opt.value = a.id;
-    opt.textContent = a.label;
+    opt.textContent =
+      access.code === "UNSUPPORTED_ACTION"
+        ? `${a.label} — not supported by this host`
+        : access.code === "NOT_AUTHED"
+          ? `${a.label} — log in required`
+          : access.code === "MISSING_PERMISSION"
+            ? `${a.label} — needs ${access.missing.join(", ")}`
+            : a.label;
     actionEl.appendChild(opt);
   }
+  if (selected) actionEl.value = selected;
+}
+
+function renderAccessGuide() {
+  /**
+   * Explain why the selected action is blocked and what the user can do about it.
+   * The Run button stays disabled until the host context allows the action, except for creates
+   * while logged out: those still run and go to the outbox (see runWrite()). "Refresh host
+   * context" re-reads the context in case the host changed without pushing HOST_CONTEXT.
+   */
+  const access = actionAccess(actionEl.value);
+  const queueable = access.code === "NOT_AUTHED" && OUTBOX_METHODS.includes(actionEl.value);
+  accessGuideEl.hidden = access.allowed;
+  btnRun.disabled = running || (!access.allowed && !queueable);
+  if (access.allowed) return;
+
+  if (access.code === "UNSUPPORTED_ACTION") {
+    const { version } = bridge.getProtocol();
+    accessGuideTitleEl.textContent = "Not supported by this host";
+    accessGuideTextEl.textContent =
+      `The host speaks Bridge protocol v${version} and does not list this action among the ` +
+      "ones it supports. It needs a newer host; Refresh host context re-reads the list.";
+  } else if (access.code === "NOT_AUTHED") {
+    accessGuideTitleEl.textContent = "Log in required";
+    accessGuideTextEl.textContent =
+      "The host reports that no user is logged in. Log in to MyBudgetSocial in the host " +
+      "window; the app picks up the new session automatically (or use Refresh host context)." +
+      (queueable ? " Run Action still works: the write waits in the outbox until then." : "");
+  } else {
+    accessGuideTitleEl.textContent = "Permission required";
+    accessGuideTextEl.textContent =
+      `This action needs ${access.missing.join(", ")}. In the host, open My apps, add it to ` +
+      "this app's permissionsRequested and approve it, then use Refresh host context.";
+  }
+}
+
+function renderAccess() {
+  renderActions();
+  renderAccessGuide();
 }
 
 function renderFields(actionId) {
@@ -517,6 +2361,7 @@ function renderFields(actionId) {
    */
   const action = ACTIONS.find((a) => a.id === actionId) ?? ACTIONS[0];
   fieldsEl.innerHTML = "";
+  touchedFields.clear();
 
   for (const f of action.fields) {
     const wrapper = document.createElement("div");
@@ -534,7 +2379,13 @@ function renderFields(actionId) {
         opt.textContent = v || "(none)";
         sel.appendChild(opt);
       }
+      if (f.schema?.default !== undefined) sel.value = f.schema.default;
       wrapper.appendChild(sel);
+    } else if (f.kind === "note") {
+      const note = document.createElement("div");
+      note.id = "field_" + f.id;
+      note.className = "muted";
+      wrapper.appendChild(note);
     } else if (f.kind === "checkbox") {
       const input = document.createElement("input");
       input.id = "field_" + f.id;
@@ -546,16 +2397,85 @@ function renderFields(actionId) {
       const input = document.createElement("input");
       input.id = "field_" + f.id;
       input.type = f.kind === "number" ? "number" : "text";
-      if (f.kind === "number") {
+      if (f.kind === "number" && f.schema?.type === "integer") {
+        input.step = "1";
+        input.inputMode = "numeric";
+        if (f.schema.minimum != null) input.min = String(f.schema.minimum);
+        if (f.schema.maximum != null) input.max = String(f.schema.maximum);
+      } else if (f.kind === "number") {
         input.step = "0.01";
         input.inputMode = "decimal";
       }
+      // Amounts are typed as text so "12,34" works in every locale (see money.js).
+      if (f.kind === "amount") input.inputMode = "decimal";
       if (f.placeholder) input.placeholder = f.placeholder;
       wrapper.appendChild(input);
     }
 
+    if (f.schema) {
+      const error = document.createElement("div");
+      error.className = "field-error";
+      error.dataset.errorFor = f.id;
+      error.hidden = true;
+      wrapper.appendChild(error);
+    }
+
+    if (f.showWhen) {
+      wrapper.dataset.showField = f.showWhen.field;
+      wrapper.dataset.showEquals = f.showWhen.equals;
+    }
     fieldsEl.appendChild(wrapper);
   }
+  updateFieldVisibility();
+}
+
+function updateFieldVisibility() {
+  /**
+   * Show/hide conditional fields (showWhen) and refresh the RRULE preview.
+   */
+  for (const wrapper of fieldsEl.querySelectorAll("[data-show-field]")) {
+    wrapper.hidden = getFieldValue(wrapper.dataset.showField) !== wrapper.dataset.showEquals;
+  }
+  updateRrulePreview();
+}
+
+function rruleFieldId(key) {
+  return "rrule" + key[0].toUpperCase() + key.slice(1);
+}
+
+function readRruleFields() {
+  return normalizeRrule({
+    freq: getFieldValue("rruleFreq"),
+    interval: getFieldValue("rruleInterval"),
+    byDay: getFieldValue("rruleByDay"),
+    byMonthDay: getFieldValue("rruleByMonthDay"),
+    byMonth: getFieldValue("rruleByMonth"),
+    count: getFieldValue("rruleCount"),
+    until: getFieldValue("rruleUntil"),
+  });
+}
+
+function updateRrulePreview() {
+  /**
+   * Live RRULE check for CUSTOM payment plans: the rule that will be sent and the next
+   * occurrences from today (or from startDate when it is in the future), or what is wrong.
+   */
+  const el = document.getElementById("field_rrulePreview");
+  if (!el || getFieldValue("cadence") !== "CUSTOM") return;
+  try {
+    const rule = readRruleFields();
+    const startDate = getFieldValue("startDate");
+    validateRrule(rule, startDate);
+    const today = localToday();
+    const from = startDate > today ? startDate : today;
+    const next = expandRrule(rule, startDate, { from, limit: 5 });
+    el.className = "muted";
+    const dates = next.length ? next.join(", ") : "no occurrences after today";
+    el.textContent = `RRULE:${formatRrule(rule)} — ${dates}`;
+  } catch (err) {
+    el.className = "field-error";
+    el.textContent = String(err?.message ?? err);
+  }
 }
 
 function getFieldValue(id) {
@@ -572,44 +2492,424 @@ function getFieldValue(id) {
   return undefined;
 }
 
-function omitEmpty(obj) {
+function fillFields(values) {
   /**
-   * Remove null/undefined values and empty strings from an object.
-   * Useful to avoid sending optional fields as empty values.
+   * Inverse of getFieldValue(): write values into the rendered fields (unknown keys are ignored).
    */
-  const out = {};
-  for (const [k, v] of Object.entries(obj)) {
-    if (v == null) continue;
-    if (typeof v === "string" && !v.trim()) continue;
-    out[k] = v;
+  for (const [k, v] of Object.entries(values ?? {})) {
+    const el = document.getElementById("field_" + k);
+    if (!el) continue;
+    if (el instanceof HTMLInputElement && el.type === "checkbox") el.checked = Boolean(v);
+    else el.value = v == null ? "" : String(v);
   }
-  return out;
 }
 
-let bridge = null;
-let bridgeReady = false;
+/**
+ * Fields the user has changed since the form was rendered; only those get inline errors before
+ * "Run Action" is clicked.
+ */
+const touchedFields = new Set();
 
-function ensureBridge() {
+function coerceFieldValue(field, raw, currencyCode) {
   /**
-   * Lazily create and initialize the Bridge instance.
-   *
-   * Why lazy?
-   * - It lets the user update hostOrigin/timeout in the UI before first use.
-   *
+   * A form value converted to the type its schema expects; undefined leaves it out.
+   * - checkbox -> boolean; empty -> the schema default (if any)
+   * - format "amount" -> number, parsed in the user's locale with the currency's decimals
+   * - format "currency" -> validated ISO 4217 code
+   * - integer/number -> number (the host gets 3, never "3")
+   * Throws an Error describing the problem when the value cannot be converted.
+   */
+  const prop = field.schema;
+  if (field.kind === "checkbox") return Boolean(raw);
+  if (raw == null || raw === "") return prop.default;
+  if (prop.format === "amount") return parsePositiveAmount(raw, currencyCode ?? null);
+  if (prop.format === "currency") return normalizeCurrencyCode(raw);
+  if (prop.type === "integer" || prop.type === "number") {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) throw new Error("must be a number");
+    if (prop.type === "integer" && !Number.isInteger(n)) throw new Error("must be a whole number");
+    return n;
+  }
+  return raw;
+}
+
+function readActionForm(action) {
+  /**
+   * Read the schema-driven fields of an action into a payload and validate it against the
+   * action's schema (the same check the bridge runs before sending).
+   *
+   * Returns { payload, errors } where errors is { [fieldId]: message } (empty when valid).
+   * The currency is read first so the amount is parsed with its decimals.
+   */
+  const fields = action.fields.filter((f) => f.schema);
+  const isCurrency = (f) => f.schema.format === "currency";
+  const payload = {};
+  const errors = {};
+  for (const f of [...fields.filter(isCurrency), ...fields.filter((f) => !isCurrency(f))]) {
+    try {
+      const value = coerceFieldValue(f, getFieldValue(f.id), payload.currencyCode);
+      if (value !== undefined) payload[f.id] = value;
+    } catch (err) {
+      errors[f.id] = String(err?.message ?? err);
+    }
+  }
+  for (const problem of validateSchema(action.schema, payload)) {
+    const m = /^\$\.(\w+): (.*)$/.exec(problem);
+    if (m && fields.some((f) => f.id === m[1]) && !errors[m[1]]) errors[m[1]] = m[2];
+  }
+  return { payload, errors };
+}
+
+function renderFieldErrors(errors, only) {
+  /**
+   * Show each field's error under it; with `only` (a Set of field ids), other fields are cleared.
+   */
+  for (const el of fieldsEl.querySelectorAll("[data-error-for]")) {
+    const id = el.dataset.errorFor;
+    const message = only && !only.has(id) ? "" : errors[id] ?? "";
+    el.textContent = message;
+    el.hidden = !message;
+  }
+}
+
+function readActionPayload(action) {
+  /**
+   * The action's payload from the form; shows the inline errors and throws (INVALID_PAYLOAD,
+   * err.details = ["field: problem", ...]) when a field is invalid, so nothing is sent.
+   */
+  const { payload, errors } = readActionForm(action);
+  renderFieldErrors(errors);
+  const details = Object.entries(errors).map(([id, message]) => `${id}: ${message}`);
+  if (details.length) {
+    const e = new Error(`Invalid ${action.label} input: ${details.join("; ")}`);
+    e.code = "INVALID_PAYLOAD";
+    e.details = details;
+    throw e;
+  }
+  return payload;
+}
+
+function omitEmpty(obj) {
+  /**
+   * Remove null/undefined values and empty strings from an object.
+   * Useful to avoid sending optional fields as empty values.
+   */
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v == null) continue;
+    if (typeof v === "string" && !v.trim()) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+let bridge = null;
+let bridgeReady = false;
+
+/**
+ * Attempt history of the current run (filled by callOpts().onAttempt).
+ */
+let attemptLog = [];
+
+/**
+ * writeKeys: actionId (or another runWrite() slot, e.g. "quickEntry") -> { payloadJson, key }
+ * Keeps the idempotency key of a failed write so clicking "Run Action" again with the same form
+ * values re-sends the same key (the host deduplicates) instead of creating a duplicate.
+ */
+const writeKeys = new Map();
+
+function callOpts(extra) {
+  /**
+   * Per-call bridge options shared by every action: UI retry policy, cache toggle, attempt
+   * history and the "Cancel" button's signal.
+   */
+  return {
+    ...extra,
+    retry: readRetryPolicy(),
+    cache: cacheReadsEl.checked,
+    signal: runController?.signal,
+    onAttempt: (attempt) => {
+      attemptLog.push(attempt);
+      write("PENDING", { action: actionEl.value }, attemptLog);
+    },
+  };
+}
+
+async function runWrite(actionId, call, payload, opts) {
+  /**
+   * Run a create action with an idempotency key that survives retries and re-clicks.
+   * The key is dropped once the write succeeds or is queued, or when the payload changes.
+   *
+   * NOT_AUTHED/TIMEOUT failures are moved to the outbox (with their key) instead of being lost;
+   * the result then is { queued: true, outboxId, reason } and the outbox replays it later. When
+   * the outbox cannot store it either, the call's error is thrown with err.outboxError set and
+   * the key is kept for the next attempt.
+   *
+   * The action form passes no opts; quick entry and the overdue inbox use:
+   * - opts.slot: writeKeys entry for the key (default actionId)
+   * - opts.idempotencyKey: a fixed key instead (e.g. derived from an overdue occurrence)
+   * - opts.callOpts: call options instead of the form's callOpts()
+   */
+  const slot = opts?.slot ?? actionId;
+  const fixedKey = opts?.idempotencyKey;
+  const payloadJson = JSON.stringify(payload);
+  let entry = fixedKey ? { payloadJson, key: fixedKey } : writeKeys.get(slot);
+  if (!entry || entry.payloadJson !== payloadJson) {
+    entry = { payloadJson, key: newId("idem") };
+    writeKeys.set(slot, entry);
+  }
+  const forgetKey = () => {
+    if (!fixedKey) writeKeys.delete(slot);
+  };
+
+  const options = opts?.callOpts ?? callOpts();
+  let result;
+  try {
+    result = await call(payload, { ...options, idempotencyKey: entry.key });
+  } catch (err) {
+    if (!shouldQueue(err) || !OUTBOX_METHODS.includes(actionId)) throw err;
+    let item;
+    try {
+      item = await outbox.enqueue(actionId, payload, entry.key, err);
+    } catch (storeErr) {
+      err.outboxError = String(storeErr?.message ?? storeErr);
+      throw err;
+    }
+    forgetKey();
+    return { queued: true, outboxId: item.id, reason: item.lastError };
+  }
+  forgetKey();
+  return result;
+}
+
+// --- Outbox -------------------------------------------------------------------
+
+let outboxPending = 0;
+
+const outbox = createOutbox({
+  // Replays use the current bridge only; they never create one (that needs a hostOrigin).
+  getBridge: () => bridge,
+  getScope: outboxScope,
+  onChange: (items) => {
+    renderOutbox(items);
+    syncQueuedSettles(items);
+  },
+  onSent: (item, result) => {
+    const context = bridge?.getContextSnapshot();
+    if (context && item.method === "createExpense") {
+      resolveQueued(context, item.id, result?.id ?? null, localToday());
+    }
+  },
+});
+
+function outboxScope() {
+  /**
+   * Outbox items belong to the locked host origin and the host (storage.js); null until the
+   * bridge has a host context.
+   */
+  const origin = bridge?.getHostOrigin();
+  const context = bridge?.getContextSnapshot();
+  return origin && context ? `${origin}|${storageKey(context, "outbox")}` : null;
+}
+
+function refreshOutbox() {
+  /**
+   * Re-render the outbox for the current scope (after connecting or destroying the bridge).
+   */
+  outbox.list().then(renderOutbox, (err) => {
+    outboxStatusEl.textContent = `Outbox unavailable: ${String(err?.message ?? err)}`;
+  });
+}
+
+function flushOutbox() {
+  /**
+   * Replay the outbox in the background (after a login or a successful call). A replay that
+   * fails as a whole (e.g. storage unavailable) is shown under the outbox list.
+   */
+  outboxStatusEl.textContent = "";
+  outbox.flush().catch((err) => {
+    outboxStatusEl.textContent = `Replay failed: ${String(err?.message ?? err)}`;
+  });
+}
+
+function describeOutboxItem(item) {
+  const p = item.payload ?? {};
+  const amount = p.currencyCode && typeof p.amount === "number"
+    ? formatMoney(p.amount, p.currencyCode)
+    : p.amount;
+  const what = [p.title, amount, p.note].filter((x) => x != null).join(" ");
+  return `#${item.id} ${item.method} ${what}`;
+}
+
+function renderOutbox(items) {
+  /**
+   * Render outbox items with their status, last failure reason and per-item actions.
+   */
+  outboxPending = items.filter((i) => i.status === "pending").length;
+  outboxListEl.innerHTML = "";
+  if (!items.length) {
+    const li = document.createElement("li");
+    li.className = "muted";
+    li.textContent = "Nothing pending.";
+    outboxListEl.appendChild(li);
+    return;
+  }
+
+  for (const item of items) {
+    const li = document.createElement("li");
+    li.className = "outbox-item outbox-" + item.status;
+
+    const text = document.createElement("div");
+    text.textContent = `${describeOutboxItem(item)} — ${item.status}`;
+    li.appendChild(text);
+
+    if (item.lastError) {
+      const reason = document.createElement("div");
+      reason.className = "muted";
+      reason.textContent = `${item.lastError.code ?? "ERROR"}: ${item.lastError.message}`;
+      li.appendChild(reason);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "outbox-actions";
+    const addButton = (label, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = label;
+      btn.disabled = item.status === "sending";
+      // The outbox calls return promises; an IndexedDB failure is printed, not left unhandled.
+      btn.addEventListener("click", async () => {
+        try {
+          await onClick();
+        } catch (err) {
+          write("ERROR", errorPayload(err));
+        }
+      });
+      actions.appendChild(btn);
+    };
+    addButton("Edit", () => editOutboxItem(item.id));
+    if (item.status === "failed") addButton("Retry", () => outbox.retry(item.id));
+    if (item.status === "held") addButton("Send", () => sendHeldItem(item.id));
+    addButton("Discard", () => outbox.discard(item.id));
+    li.appendChild(actions);
+
+    outboxListEl.appendChild(li);
+  }
+}
+
+async function sendHeldItem(id) {
+  /**
+   * The user confirmed a held item belongs to this session: queue it here and replay now.
+   */
+  await outbox.retry(id);
+  flushOutbox();
+}
+
+async function editOutboxItem(id) {
+  /**
+   * Move an item back into the form. Its idempotency key is kept while the values are unchanged,
+   * so re-running it as-is cannot duplicate a create the host already received.
+   */
+  const item = await outbox.take(id);
+  if (!item) return;
+  actionEl.value = item.method;
+  renderFields(item.method);
+  renderAccessGuide();
+  fillFields(item.payload);
+  if (typeof item.payload?.amount === "number") {
+    // Refill in the user's locale, so parsing it back yields the same amount ("1.234" is 1234
+    // in German).
+    fillFields({ amount: formatAmountInput(item.payload.amount, item.payload.currencyCode) });
+  }
+  if (item.payload?.rrule) {
+    try {
+      const fields = rruleToFields(parseRrule(item.payload.rrule));
+      fillFields(Object.fromEntries(Object.entries(fields).map(([k, v]) => [rruleFieldId(k), v])));
+    } catch {
+      // Stored before validation existed or edited by hand; the preview will show the problem.
+    }
+  }
+  updateFieldVisibility();
+  writeKeys.set(item.method, { payloadJson: JSON.stringify(item.payload), key: item.idempotencyKey });
+  write("EDIT", { outboxId: id, payload: item.payload });
+}
+
+function renderHostStatus(context) {
+  /**
+   * Show the latest host context (auth state + permissions) above the action form.
+   */
+  hostStatusEl.className = "host-status";
+  if (!context) {
+    hostStatusEl.textContent = "Not connected";
+    return;
+  }
+  hostStatusEl.classList.add(context.isAuthed ? "host-authed" : "host-anon");
+  const perms = context.permissions.length ? context.permissions.join(", ") : "no permissions";
+  const auth = context.isAuthed ? "Logged in" : "Not logged in";
+  const version = `protocol v${bridge?.getProtocol().version ?? context.v}`;
+  const origin = bridge?.getHostOrigin() ?? "";
+  hostStatusEl.textContent =
+    `${auth} · ${context.platform.host} (${context.platform.mode}) · ${version} · ${perms}` +
+    (origin ? ` · ${origin}` : "");
+}
+
+function ensureBridge() {
+  /**
+   * Lazily create and initialize the Bridge instance.
+   *
+   * Why lazy?
+   * - It lets the user update hostOrigin/timeout in the UI before first use.
+   *
    * Notes:
    * - hostOrigin MUST be the exact host origin. If wrong, all requests will be ignored by hardening.
+   *   It may list several (prefilled from the deployment config, see applyHostConfig()); the
+   *   bridge locks to the one that answers first.
    * - ready() is called only once per bridge lifecycle.
    */
   if (bridge) return bridge;
 
-  const hostOriginRaw = String(hostOriginEl.value ?? "").trim();
-  if (!hostOriginRaw || hostOriginRaw === "<PUT_HOST_ORIGIN_HERE>") {
+  const { origins, invalid } = parseOriginList(hostOriginEl.value, normalizeAllowedOrigin);
+  if (invalid.length) throw new Error(`Not a host origin: ${invalid.join(", ")}`);
+  if (!origins.length) {
     throw new Error("Set hostOrigin to the exact host origin (e.g. https://mybudgetsocial.com).");
   }
 
   bridge = createAppsBridgeV1({
-    allowedParentOrigin: hostOriginRaw,
+    allowedParentOrigins: origins,
     defaultTimeoutMs: readTimeoutMs() ?? 8000,
+    maxInFlight: readMaxInFlight(),
+    middleware: [queueStatsMiddleware, inspector.middleware],
+    // Dashboards re-read the same lists on every view change; unticking "Cache list results"
+    // only makes the playground's own actions bypass it (callOpts()).
+    cache: true,
+  });
+
+  // Live host state: the host may push HOST_CONTEXT at any time (login/logout, permission edits).
+  bridge.on("hostContext", ({ context, previous }) => {
+    renderHostStatus(context);
+    renderAccess();
+    // Budgets, rates and category rules are stored per host (storage.js); it may have changed.
+    if (budgetState.spend) renderBudgetDashboard();
+    renderFxRatesStatus();
+    renderQuickEntryHistory();
+    renderRules();
+    // Categories belong to the logged-in user: reload them after a login or logout.
+    if (previous?.isAuthed !== context.isAuthed) {
+      quickCategories = null;
+      ruleCategories = null;
+      renderRuleCategoryOptions();
+    }
+    // A new session (first context, login, logout, another host) may be another user: hold
+    // pending outbox items until they are confirmed with "Send" (outbox.js).
+    if (
+      !previous ||
+      previous.isAuthed !== context.isAuthed ||
+      previous.platform.host !== context.platform.host
+    ) {
+      outbox.hold().catch((err) => {
+        outboxStatusEl.textContent = `Outbox unavailable: ${String(err?.message ?? err)}`;
+      });
+    }
   });
 
   if (!bridgeReady) {
@@ -632,6 +2932,15 @@ async function run() {
    * - NOT_AUTHED: user is not logged into the host
    * - MISSING_PERMISSION: app lacks required permission (e.g. finance:transactions:create)
    * - UNKNOWN: server-side exception or validation error
+   * NOT_AUTHED/MISSING_PERMISSION may also come from the local preflight (err.preflight).
+   *
+   * Local error codes:
+   * - TIMEOUT: no response within timeoutMs (retried when a retry policy is set)
+   * - INVALID_RESULT: the host's RESULT does not match the action's schema (err.details)
+   * - UNSUPPORTED_ACTION: the host's HOST_CONTEXT does not list the action (nothing is sent)
+   * - INVALID_PAYLOAD: a form field does not match the action's schema (err.details)
+   *
+   * Create actions that fail with NOT_AUTHED/TIMEOUT resolve with { queued: true } (outbox).
    */
   const actionId = String(actionEl.value ?? "");
   const timeoutMs = readTimeoutMs();
@@ -641,6 +2950,10 @@ async function run() {
     if (bridge) bridge.destroy();
     bridge = null;
     bridgeReady = false;
+    renderHostStatus(null);
+    renderQueueStats();
+    renderAccess();
+    refreshOutbox();
     return { ok: true, destroyed: true };
   }
 
@@ -648,147 +2961,1417 @@ async function run() {
 
   if (actionId === "getHostContext") {
     // Example: override timeout for a specific call.
-    return b.getHostContext({ timeoutMs: timeoutMs ?? 8000 });
+    return b.getHostContext(callOpts({ timeoutMs: timeoutMs ?? 8000 }));
   }
 
+  const action = ACTIONS.find((a) => a.id === actionId);
+
   if (actionId === "createExpense") {
-    const amount = Number(getFieldValue("amount"));
-    if (!Number.isFinite(amount) || amount <= 0) throw new Error("Invalid amount (must be > 0)");
-    const payload = omitEmpty({
-      amount,
-      currencyCode: getFieldValue("currencyCode") || undefined,
-      note: getFieldValue("note") || undefined,
-      occurredAt: getFieldValue("occurredAt") || undefined,
-      categoryId: getFieldValue("categoryId") || undefined,
-    });
-    return b.createExpense(payload);
+    return runWrite(actionId, b.createExpense, readActionPayload(action));
   }
 
   if (actionId === "createIncome") {
-    const amount = Number(getFieldValue("amount"));
-    if (!Number.isFinite(amount) || amount <= 0) throw new Error("Invalid amount (must be > 0)");
-    const payload = omitEmpty({
-      amount,
-      currencyCode: getFieldValue("currencyCode") || undefined,
-      note: getFieldValue("note") || undefined,
-      occurredAt: getFieldValue("occurredAt") || undefined,
-      categoryId: getFieldValue("categoryId") || undefined,
-    });
-    return b.createIncome(payload);
+    return runWrite(actionId, b.createIncome, readActionPayload(action));
   }
 
   if (actionId === "listTransactionsMonth") {
-    const month = String(getFieldValue("month") || "").trim();
-    if (!month) throw new Error("month is required");
-    const payload = omitEmpty({
-      month,
-      year: getFieldValue("year") || undefined,
-      type: getFieldValue("type") || undefined,
-      categoryId: getFieldValue("categoryId") || undefined,
-      cursor: getFieldValue("cursor") || undefined,
-    });
+    const payload = readActionPayload(action);
     // Example: custom timeout (month listing can be heavier).
-    return b.listTransactionsMonth(payload, { timeoutMs: timeoutMs ?? 12000 });
+    return b.listTransactionsMonth(payload, callOpts({ timeoutMs: timeoutMs ?? 12000 }));
+  }
+
+  if (actionId === "iterateTransactions") {
+    const query = readActionPayload(action);
+    const items = [];
+    let pages = 0;
+    const opts2 = callOpts({ timeoutMs, onPage: () => pages++ });
+    for await (const t of b.iterateTransactions(query, opts2)) items.push(t);
+    return { count: items.length, pages, items };
   }
 
   if (actionId === "getTransactionRangeDetails") {
-    const payload = omitEmpty({
-      start: getFieldValue("start"),
-      end: getFieldValue("end"),
-      type: getFieldValue("type") || "EXPENSE",
-      currencyCode: getFieldValue("currencyCode") || undefined,
-    });
-    if (!payload.start || !payload.end) throw new Error("start and end are required");
-    return b.getTransactionRangeDetails(payload);
+    return b.getTransactionRangeDetails(readActionPayload(action), callOpts());
   }
 
   if (actionId === "listCategories") {
-    const payload = omitEmpty({
-      type: getFieldValue("type") || undefined,
-      includeCounts: Boolean(getFieldValue("includeCounts")),
-    });
-    return b.listCategories(payload);
+    return b.listCategories(readActionPayload(action), callOpts());
   }
 
   if (actionId === "createPaymentPlan") {
-    const amount = Number(getFieldValue("amount"));
-    if (!Number.isFinite(amount) || amount <= 0) throw new Error("Invalid amount (must be > 0)");
-    const payload = omitEmpty({
-      title: getFieldValue("title"),
-      amount,
-      currencyCode: getFieldValue("currencyCode") || "EUR",
-      cadence: getFieldValue("cadence") || "MONTHLY",
-      startDate: getFieldValue("startDate"),
-      autopostTransaction: Boolean(getFieldValue("autopostTransaction")),
-    });
-    if (!payload.title || !payload.startDate) throw new Error("title and startDate are required");
-    return b.createPaymentPlan(payload);
+    const payload = readActionPayload(action);
+    if (payload.cadence === "CUSTOM") {
+      // Rules outside the supported RRULE subset are rejected here, before anything is sent.
+      const rule = readRruleFields();
+      validateRrule(rule, payload.startDate);
+      payload.rrule = formatRrule(rule);
+    }
+    return runWrite(actionId, b.createPaymentPlan, payload);
   }
 
   if (actionId === "listPaymentPlans") {
-    return b.listPaymentPlans();
+    return b.listPaymentPlans(callOpts());
   }
 
   if (actionId === "createIncomePlan") {
-    const amount = Number(getFieldValue("amount"));
-    if (!Number.isFinite(amount) || amount <= 0) throw new Error("Invalid amount (must be > 0)");
-    const payload = omitEmpty({
-      title: getFieldValue("title"),
-      amount,
-      currencyCode: getFieldValue("currencyCode") || "EUR",
-      frequency: getFieldValue("frequency") || "MONTHLY",
-      startDate: getFieldValue("startDate"),
-      isPaused: Boolean(getFieldValue("isPaused")),
-    });
-    if (!payload.title || !payload.startDate) throw new Error("title and startDate are required");
-    return b.createIncomePlan(payload);
+    return runWrite(actionId, b.createIncomePlan, readActionPayload(action));
   }
 
   if (actionId === "listIncomePlans") {
-    return b.listIncomePlans();
+    return b.listIncomePlans(callOpts());
   }
 
   if (actionId === "listOverduePayments") {
-    const payload = omitEmpty({
-      limit: getFieldValue("limit") || undefined,
-      lookbackDays: getFieldValue("lookbackDays") || undefined,
-    });
-    return b.listOverduePayments(payload);
+    return b.listOverduePayments(readActionPayload(action), callOpts());
   }
 
   throw new Error("Unsupported action: " + actionId);
 }
 
-// Initial render + UI bindings.
-renderActions();
-renderFields(ACTIONS[0].id);
+// --- Import wizard --------------------------------------------------------------
 
-actionEl.addEventListener("change", () => {
-  // Update visible fields whenever the action changes.
-  renderFields(actionEl.value);
+/**
+ * importState: the parsed file, its preview rows and the running import (if any).
+ */
+const importState = { fileName: "", table: null, rows: [], controller: null };
+
+function renderImportMapping(columns, mapping) {
+  /**
+   * One <select> per createExpense field, listing the file's columns.
+   */
+  importMappingEl.innerHTML = "";
+  for (const target of IMPORT_TARGETS) {
+    const wrapper = document.createElement("div");
+    const label = document.createElement("label");
+    label.setAttribute("for", "importMap_" + target);
+    label.textContent = target;
+    const sel = document.createElement("select");
+    sel.id = "importMap_" + target;
+    const none = document.createElement("option");
+    none.value = "-1";
+    none.textContent = "(not mapped)";
+    sel.appendChild(none);
+    columns.forEach((c, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = c;
+      sel.appendChild(opt);
+    });
+    sel.value = String(mapping[target] ?? -1);
+    wrapper.appendChild(label);
+    wrapper.appendChild(sel);
+    importMappingEl.appendChild(wrapper);
+  }
+}
+
+function readImportMapping() {
+  const mapping = {};
+  for (const target of IMPORT_TARGETS) {
+    mapping[target] = Number(document.getElementById("importMap_" + target)?.value ?? -1);
+  }
+  return mapping;
+}
+
+function renderImportPreview(rows) {
+  /**
+   * Preview table: accept checkbox (disabled for invalid rows), parsed values and issues.
+   */
+  importPreviewEl.innerHTML = "";
+  if (!rows.length) return;
+
+  const table = document.createElement("table");
+  table.className = "table";
+  const head = table.createTHead().insertRow();
+  for (const h of ["", "#", "date", "amount", "note", "category", "issues"]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const r of rows) {
+    const tr = body.insertRow();
+    if (r.errors.length) tr.className = "row-error";
+    else if (r.duplicate) tr.className = "row-duplicate";
+
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.checked = r.accepted;
+    check.disabled = r.errors.length > 0;
+    check.addEventListener("change", () => {
+      r.accepted = check.checked;
+      updateImportButtons();
+    });
+    tr.insertCell().appendChild(check);
+
+    const issues = [...r.errors, ...r.warnings];
+    if (r.duplicate?.source === "host") {
+      const day = r.duplicate.occurredAt.slice(0, 10);
+      issues.push(`possible duplicate of ${r.duplicate.id} (${day})`);
+    } else if (r.duplicate?.source === "file") {
+      issues.push(`same as row ${r.duplicate.row}`);
+    }
+
+    const cells = [
+      r.index + 1,
+      r.payload.occurredAt?.slice(0, 10) ?? "",
+      r.payload.amount != null ? `${r.payload.amount} ${r.payload.currencyCode ?? ""}` : "",
+      r.payload.note ?? "",
+      r.suggestion
+        ? `${r.suggestion.name ?? r.suggestion.categoryId} (suggested: ${r.suggestion.reason})`
+        : r.payload.categoryId ?? "",
+      issues.join("; "),
+    ];
+    for (const c of cells) tr.insertCell().textContent = String(c);
+  }
+  importPreviewEl.appendChild(table);
+}
+
+function updateImportButtons() {
+  const running = Boolean(importState.controller);
+  const accepted = importState.rows.filter((r) => r.accepted).length;
+  btnImportRun.disabled = running || accepted === 0;
+  btnImportRun.textContent = `Import ${accepted} accepted row${accepted === 1 ? "" : "s"}`;
+  btnImportCancel.disabled = !running;
+  btnImportPreview.disabled = running;
+}
+
+importFileEl.addEventListener("change", async () => {
+  /**
+   * Parse the chosen file and guess the column mapping; the preview is built on demand.
+   */
+  const file = importFileEl.files?.[0];
+  importState.rows = [];
+  renderImportPreview([]);
+  if (!file) return;
+  try {
+    importState.fileName = file.name;
+    importState.table = parseStatement(file.name, await file.text());
+    renderImportMapping(importState.table.columns, guessMapping(importState.table.columns));
+    if (importState.table.format !== "csv") importSignEl.value = "negative-expenses";
+    importStatusEl.textContent =
+      `${importState.table.format.toUpperCase()} · ${importState.table.rows.length} rows`;
+  } catch (err) {
+    importState.table = null;
+    write("ERROR", errorPayload(err));
+  }
+  updateImportButtons();
 });
 
-btnRun.addEventListener("click", async () => {
+btnImportPreview.addEventListener("click", async () => {
   /**
-   * Main UI trigger:
-   * - disables the Run button while running
-   * - prints PENDING/OK/ERROR to the output panel
-   * - formats host Bridge errors to include err.code when present
+   * Validate every row, then flag duplicates against the host's transactions for the
+   * affected months.
    */
-  btnRun.disabled = true;
-  write("PENDING", { action: actionEl.value });
+  if (!importState.table) {
+    write("ERROR", { message: "Choose a file first" });
+    return;
+  }
+  btnImportPreview.disabled = true;
   try {
-    const result = await run();
-    write("OK", result);
+    const b = ensureBridge();
+    let categories = [];
+    try {
+      categories = (await b.listCategories({}))?.items ?? [];
+    } catch {
+      // Names then stay unresolved; rows get an "unknown category" warning instead.
+    }
+    importState.rows = buildPreview(importState.table, readImportMapping(), {
+      fileName: importState.fileName,
+      format: importState.table.format,
+      defaultCurrency: normalizeCurrencyCode(importCurrencyEl.value),
+      dateFormat: importDateFormatEl.value,
+      decimalSeparator: importDecimalEl.value,
+      signMode: importSignEl.value,
+      categories,
+      suggest: importSuggestEl.checked
+        ? (payload) => confidentSuggestion(suggestFor(payload, "EXPENSE", categories))
+        : undefined,
+    });
+    renderImportPreview(importState.rows);
+    const dup = await flagDuplicates(b, importState.rows, {
+      onProgress: (p) => {
+        importStatusEl.textContent = `Checking duplicates: ${p.done}/${p.total} months`;
+      },
+    });
+    renderImportPreview(importState.rows);
+    const invalid = importState.rows.filter((r) => r.errors.length).length;
+    const duplicates = importState.rows.filter((r) => r.duplicate).length;
+    importStatusEl.textContent =
+      `${importState.rows.length} rows · ${invalid} invalid · ${duplicates} possible duplicates`;
+    if (dup.failures.length) write("PARTIAL", { duplicateCheckFailures: dup.failures });
   } catch (err) {
-    const e = err instanceof Error ? err : new Error(String(err));
-    const payload = {
-      code: e.code, // may be undefined for local validation errors
-      message: e.message,
-      stack: e.stack,
+    write("ERROR", errorPayload(err));
+  } finally {
+    updateImportButtons();
+  }
+});
+
+btnImportRun.addEventListener("click", async () => {
+  /**
+   * Submit accepted rows (throttled) and print the per-row report.
+   */
+  importState.controller = new AbortController();
+  updateImportButtons();
+  try {
+    const report = await submitRows(ensureBridge(), importState.rows, {
+      signal: importState.controller.signal,
+      retry: readRetryPolicy(),
+      onProgress: (p) => {
+        importStatusEl.textContent =
+          `Importing ${p.done}/${p.total} · row ${p.row}: ${p.result.status}`;
+      },
+    });
+    const count = (status) => report.filter((r) => r.status === status).length;
+    const summary = {
+      created: count("created"),
+      failed: count("failed"),
+      cancelled: count("cancelled"),
     };
-    write("ERROR", payload);
+    importStatusEl.textContent =
+      `Done: ${summary.created} created, ${summary.failed} failed, ${summary.cancelled} cancelled`;
+    write(summary.failed || summary.cancelled ? "PARTIAL" : "OK", { ...summary, report });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  } finally {
+    importState.controller = null;
+    updateImportButtons();
+  }
+});
+
+btnImportCancel.addEventListener("click", () => {
+  importState.controller?.abort();
+});
+
+// --- Budget dashboard -----------------------------------------------------------
+
+/**
+ * budgetState: the month shown, the spend loaded for it (null until "Load") and the controller
+ * of the load in progress (null when idle).
+ */
+const budgetState = {
+  month: { year: new Date().getFullYear(), month: new Date().getMonth() + 1 },
+  spend: null,
+  controller: null,
+};
+
+function budgetMonthLabel({ year, month }) {
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "long",
+    timeZone: "UTC",
+  });
+}
+
+function renderBudgetDashboard() {
+  /**
+   * Summary, charts and the per-category table (with editable budgets) for budgetState.spend.
+   * Editing a budget re-renders from the loaded spend; it does not call the host again.
+   */
+  budgetMonthEl.textContent = budgetMonthLabel(budgetState.month);
+  budgetChartsEl.innerHTML = "";
+  budgetTableEl.innerHTML = "";
+  const spend = budgetState.spend;
+  if (!spend) {
+    budgetSummaryEl.textContent = "";
+    return;
+  }
+
+  const context = bridge?.getContextSnapshot() ?? null;
+  const currency = spend.currencyCode;
+  const model = buildDashboard(spend, loadBudgets(context));
+  const parts = [`${formatMoney(model.total, currency)} spent in ${spend.count} transactions`];
+  if (model.budgeted) parts.push(`budget ${formatMoney(model.budgeted, currency)}`);
+  if (model.overCount) parts.push(`${model.overCount} over budget`);
+  budgetSummaryEl.textContent = parts.join(" · ");
+
+  budgetChartsEl.appendChild(renderDonutChart(model, currency));
+  budgetChartsEl.appendChild(renderBarChart(model, currency));
+
+  const table = document.createElement("table");
+  table.className = "table";
+  const head = table.createTHead().insertRow();
+  for (const h of ["category", "#", "spent", `budget (${currency})`, "left", "used"]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const r of model.rows) {
+    const tr = body.insertRow();
+    if (r.over) tr.className = "row-over";
+    tr.insertCell().textContent = r.name;
+    tr.insertCell().textContent = String(r.count);
+    tr.insertCell().textContent = formatMoney(r.spent, currency);
+
+    const budgetCell = tr.insertCell();
+    if (r.categoryId != null) {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.inputMode = "decimal";
+      input.className = "input-small";
+      input.value = r.budget == null ? "" : formatAmountInput(r.budget, currency);
+      input.addEventListener("change", () => {
+        try {
+          saveBudget(context, currency, r.categoryId, input.value);
+          renderBudgetDashboard();
+        } catch (err) {
+          write("ERROR", errorPayload(err));
+        }
+      });
+      budgetCell.appendChild(input);
+    }
+
+    tr.insertCell().textContent = r.remaining == null ? "" : formatMoney(r.remaining, currency);
+    tr.insertCell().textContent = r.ratio == null ? "" : `${Math.round(r.ratio * 100)}%`;
+  }
+  budgetTableEl.appendChild(table);
+}
+
+async function loadBudgetDashboard() {
+  /**
+   * Load the shown month. Switching month while a load is running cancels that load, so the
+   * previous month's late responses can never replace the current one.
+   */
+  budgetState.controller?.abort();
+  const controller = new AbortController();
+  budgetState.controller = controller;
+  budgetMonthEl.textContent = budgetMonthLabel(budgetState.month);
+  btnBudgetLoad.disabled = true;
+
+  let spend = null;
+  try {
+    const currencyCode = normalizeCurrencyCode(budgetCurrencyEl.value);
+    budgetSummaryEl.textContent = "Loading…";
+    spend = await loadMonthSpend(ensureBridge(), {
+      ...budgetState.month,
+      currencyCode,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    write("ERROR", errorPayload(err));
+  }
+  if (controller.signal.aborted) return;
+  budgetState.controller = null;
+  budgetState.spend = spend;
+  renderBudgetDashboard();
+  btnBudgetLoad.disabled = false;
+}
+
+btnBudgetLoad.addEventListener("click", loadBudgetDashboard);
+btnBudgetPrev.addEventListener("click", () => {
+  budgetState.month = shiftMonth(budgetState.month, -1);
+  loadBudgetDashboard();
+});
+btnBudgetNext.addEventListener("click", () => {
+  budgetState.month = shiftMonth(budgetState.month, 1);
+  loadBudgetDashboard();
+});
+
+// --- Totals in one currency -----------------------------------------------------
+
+function renderFxRatesStatus() {
+  const rates = loadRates(bridge?.getContextSnapshot() ?? null);
+  fxRatesStatusEl.textContent = rates.length
+    ? `${rates.length} rate${rates.length === 1 ? "" : "s"} stored, ` +
+      `${rates[0].date} → ${rates[rates.length - 1].date}`
+    : "No rates stored. Same-currency totals still load; others show as missing a rate.";
+}
+
+function renderFxTotals(res) {
+  /**
+   * One row per currency: original total, rate (and its date) and the converted amount.
+   */
+  fxTableEl.innerHTML = "";
+  const table = document.createElement("table");
+  table.className = "table";
+  const head = table.createTHead().insertRow();
+  for (const h of ["currency", "transactions", "total", "rate", "rate date", res.baseCurrency]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const r of res.rows) {
+    const tr = body.insertRow();
+    if (r.count > 0 && r.rate == null) tr.className = "row-over";
+    const rate = r.rate == null ? "no rate" : String(Number(r.rate.toPrecision(6)));
+    const cells = [
+      r.currencyCode,
+      String(r.count),
+      formatMoney(r.total, r.currencyCode),
+      r.inverted ? `${rate} (1 / ${Number((1 / r.rate).toPrecision(6))})` : rate,
+      r.rateDate ?? (r.rate === 1 ? "—" : ""),
+      r.converted == null ? "" : formatMoney(r.converted, res.baseCurrency),
+    ];
+    for (const text of cells) tr.insertCell().textContent = text;
+  }
+  const foot = table.createTFoot().insertRow();
+  foot.insertCell().textContent = "Total";
+  foot.insertCell().colSpan = 4;
+  foot.insertCell().textContent = formatMoney(res.total, res.baseCurrency);
+  fxTableEl.appendChild(table);
+}
+
+btnFxLoad.addEventListener("click", async () => {
+  btnFxLoad.disabled = true;
+  try {
+    if (!fxFromEl.value || !fxToEl.value) throw new Error("From and To dates are required");
+    if (fxFromEl.value > fxToEl.value) throw new Error("From must not be after To");
+    fxStatusEl.textContent = "Loading…";
+    const res = await loadConvertedTotals(ensureBridge(), {
+      start: `${fxFromEl.value}T00:00:00.000Z`,
+      end: `${fxToEl.value}T23:59:59.999Z`,
+      type: fxTypeEl.value,
+      baseCurrency: fxBaseEl.value,
+      currencies: fxCurrenciesEl.value,
+      rates: loadRates(bridge?.getContextSnapshot() ?? null),
+    });
+    renderFxTotals(res);
+    const notes = [`rates as of ${res.rateDate}`];
+    if (res.missingRates.length) notes.push(`no rate for ${res.missingRates.join(", ")}`);
+    if (res.uncovered.count) {
+      notes.push(`${res.uncovered.count} transaction(s) in other currencies not included`);
+    }
+    fxStatusEl.textContent = notes.join(" · ");
+    write("OK", res);
+  } catch (err) {
+    fxStatusEl.textContent = "";
+    write("ERROR", errorPayload(err));
+  } finally {
+    btnFxLoad.disabled = false;
+  }
+});
+
+fxRatesFileEl.addEventListener("change", async () => {
+  /**
+   * Merge the chosen CSV into the stored rates (same date and pair: the file wins).
+   */
+  const file = fxRatesFileEl.files?.[0];
+  if (!file) return;
+  try {
+    const { rates, errors } = parseRatesCsv(await file.text());
+    const context = bridge?.getContextSnapshot() ?? null;
+    saveRates(context, mergeRates(loadRates(context), rates));
+    renderFxRatesStatus();
+    write(errors.length ? "PARTIAL" : "OK", { imported: rates.length, skipped: errors });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  } finally {
+    fxRatesFileEl.value = "";
+  }
+});
+
+btnFxClear.addEventListener("click", () => {
+  saveRates(bridge?.getContextSnapshot() ?? null, []);
+  renderFxRatesStatus();
+});
+
+// --- Cash-flow forecast ---------------------------------------------------------
+
+function renderForecast(forecast) {
+  /**
+   * One row per period and currency; periods where outflow exceeds inflow are highlighted.
+   */
+  forecastTableEl.innerHTML = "";
+  if (!forecast.periods.length) return;
+
+  const table = document.createElement("table");
+  table.className = "table";
+  const head = table.createTHead().insertRow();
+  const periodLabel = forecast.granularity === "week" ? "week of" : "month";
+  for (const h of [periodLabel, "currency", "#", "in", "out", "net"]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const p of forecast.periods) {
+    const tr = body.insertRow();
+    if (p.deficit) tr.className = "row-deficit";
+    const cells = [
+      forecast.granularity === "week" ? p.start : p.key,
+      p.currencyCode,
+      p.count,
+      formatMoney(p.inflow, p.currencyCode),
+      formatMoney(p.outflow, p.currencyCode),
+      formatMoney(p.net, p.currencyCode),
+    ];
+    for (const c of cells) tr.insertCell().textContent = String(c);
+  }
+  forecastTableEl.appendChild(table);
+}
+
+btnForecast.addEventListener("click", async () => {
+  /**
+   * Project plans for the chosen number of months; the occurrences go to the output panel.
+   */
+  btnForecast.disabled = true;
+  try {
+    const forecast = await loadForecast(ensureBridge(), {
+      months: Number(forecastMonthsEl.value),
+      granularity: forecastGranularityEl.value,
+    });
+    renderForecast(forecast);
+    const deficits = forecast.periods.filter((p) => p.deficit).length;
+    const skipped = forecast.skipped.map((s) => `${s.title} (${s.reason})`);
+    forecastStatusEl.textContent =
+      `${forecast.from} → ${forecast.to} · ${forecast.occurrences.length} occurrences · ` +
+      `${deficits} period${deficits === 1 ? "" : "s"} with more out than in` +
+      (skipped.length ? ` · not projected: ${skipped.join(", ")}` : "");
+    write("OK", { occurrences: forecast.occurrences, skipped: forecast.skipped });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  } finally {
+    btnForecast.disabled = false;
+  }
+});
+
+// --- Auto-categorization --------------------------------------------------------
+
+/**
+ * ruleCategories: listCategories items for rule editing and suggestion names (null until
+ * loaded; reset on login/logout).
+ */
+let ruleCategories = null;
+
+async function loadRuleCategories() {
+  try {
+    const res = await ensureBridge().listCategories({});
+    ruleCategories = Array.isArray(res?.items) ? res.items : [];
+  } catch (err) {
+    rulesStatusEl.textContent = `Categories not loaded: ${String(err?.message ?? err)}`;
+  }
+  renderRuleCategoryOptions();
+}
+
+function suggestFor(payload, type, categories) {
+  /**
+   * Ranked suggestions for a payload from the stored rules and learned model.
+   */
+  const context = bridge?.getContextSnapshot() ?? null;
+  return suggestCategories(payload, {
+    type,
+    categories: categories ?? undefined,
+    rules: loadRules(context),
+    model: loadModel(context),
+  });
+}
+
+function categoryLabel(categoryId) {
+  const name = ruleCategories?.find((c) => c.id === categoryId)?.name;
+  return name ? `${name} (${categoryId})` : categoryId;
+}
+
+function renderCategorySuggestions() {
+  /**
+   * createExpense / createIncome form: one button per suggestion for the note, amount and
+   * currency typed so far; clicking one fills categoryId.
+   */
+  const el = document.getElementById("field_categorySuggestions");
+  const action = ACTIONS.find((a) => a.id === actionEl.value);
+  if (!el || !action) return;
+  el.innerHTML = "";
+  const { payload } = readActionForm(action);
+  const type = action.id === "createIncome" ? "INCOME" : "EXPENSE";
+  const suggestions =
+    payload.note || payload.amount != null ? suggestFor(payload, type, ruleCategories) : [];
+  if (!suggestions.length) {
+    el.textContent = payload.note
+      ? "No suggestion — add a rule or learn from past transactions (Auto-categorization)."
+      : "Type a note to get a suggestion.";
+    return;
+  }
+  for (const s of suggestions) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn-small";
+    btn.textContent = `${s.name ?? s.categoryId} · ${s.reason}`;
+    btn.title = `score ${s.score}`;
+    btn.disabled = payload.categoryId === s.categoryId;
+    btn.addEventListener("click", () => {
+      const input = document.getElementById("field_categoryId");
+      if (input) input.value = s.categoryId;
+      renderCategorySuggestions();
+    });
+    el.appendChild(btn);
+  }
+}
+
+function renderRuleCategoryOptions() {
+  const selected = ruleCategoryEl.value;
+  ruleCategoryEl.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = ruleCategories ? "(choose a category)" : "(categories not loaded)";
+  ruleCategoryEl.appendChild(none);
+  for (const c of ruleCategories ?? []) {
+    const opt = document.createElement("option");
+    opt.value = c.id;
+    opt.textContent = `${c.name} (${c.type})`;
+    ruleCategoryEl.appendChild(opt);
+  }
+  ruleCategoryEl.value = selected;
+}
+
+function renderRules() {
+  /**
+   * The stored rules in priority order (the first matching rule per category wins), with
+   * enable / move up / delete controls, and what the learned model was built from.
+   */
+  const context = bridge?.getContextSnapshot() ?? null;
+  const rules = loadRules(context);
+  rulesTableEl.innerHTML = "";
+  if (rules.length) {
+    const table = document.createElement("table");
+    table.className = "table";
+    const head = table.createTHead().insertRow();
+    for (const h of ["#", "category", "when", "on", ""]) {
+      const th = document.createElement("th");
+      th.textContent = h;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    rules.forEach((rule, i) => {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = String(i + 1);
+      tr.insertCell().textContent = categoryLabel(rule.categoryId);
+      tr.insertCell().textContent = describeRule(rule);
+
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.checked = rule.enabled;
+      enabled.addEventListener("change", () => {
+        saveRules(context, rules.map((r) => (r === rule ? { ...r, enabled: enabled.checked } : r)));
+        renderRules();
+      });
+      tr.insertCell().appendChild(enabled);
+
+      const actions = tr.insertCell();
+      const up = document.createElement("button");
+      up.type = "button";
+      up.className = "btn-small";
+      up.textContent = "↑";
+      up.setAttribute("aria-label", "Move up");
+      up.disabled = i === 0;
+      up.addEventListener("click", () => {
+        const next = [...rules];
+        [next[i - 1], next[i]] = [next[i], next[i - 1]];
+        saveRules(context, next);
+        renderRules();
+      });
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "btn-small";
+      remove.textContent = "Delete";
+      remove.addEventListener("click", () => {
+        saveRules(context, rules.filter((r) => r !== rule));
+        renderRules();
+      });
+      actions.append(up, remove);
+    });
+    rulesTableEl.appendChild(table);
+  }
+
+  const model = loadModel(context);
+  learnStatusEl.textContent = model
+    ? `Learned from ${model.transactions} transaction${model.transactions === 1 ? "" : "s"} ` +
+      `(${model.from} → ${model.to}), ${Object.keys(model.tokens).length} words`
+    : "Nothing learned yet.";
+}
+
+ruleCategoryEl.addEventListener("focus", () => {
+  if (!ruleCategories) loadRuleCategories().then(renderRules);
+});
+
+btnRuleAdd.addEventListener("click", () => {
+  rulesStatusEl.className = "muted";
+  try {
+    const rule = normalizeRule({
+      categoryId: ruleCategoryEl.value,
+      keywords: ruleKeywordsEl.value,
+      pattern: rulePatternEl.value,
+      minAmount: ruleMinAmountEl.value,
+      maxAmount: ruleMaxAmountEl.value,
+      currencyCode: ruleCurrencyEl.value,
+    });
+    const context = bridge?.getContextSnapshot() ?? null;
+    saveRules(context, [...loadRules(context), rule]);
+    for (const el of [ruleKeywordsEl, rulePatternEl, ruleMinAmountEl, ruleMaxAmountEl]) {
+      el.value = "";
+    }
+    rulesStatusEl.textContent =
+      `Added: ${categoryLabel(rule.categoryId)} when ${describeRule(rule)}`;
+    renderRules();
+  } catch (err) {
+    rulesStatusEl.className = "field-error";
+    rulesStatusEl.textContent = String(err?.message ?? err);
+  }
+});
+
+btnRulesExport.addEventListener("click", () => {
+  const rules = loadRules(bridge?.getContextSnapshot() ?? null);
+  const filename = `category-rules-${new Date().toISOString().slice(0, 10)}.json`;
+  downloadText(filename, "application/json", exportRules(rules));
+  write("OK", { filename, rules: rules.length });
+});
+
+rulesFileEl.addEventListener("change", async () => {
+  /**
+   * Merge the chosen rules file into the stored rules (same id: the file wins; new rules are
+   * added after the existing ones).
+   */
+  const file = rulesFileEl.files?.[0];
+  if (!file) return;
+  try {
+    const { rules, errors } = importRules(await file.text());
+    const context = bridge?.getContextSnapshot() ?? null;
+    saveRules(context, mergeRules(loadRules(context), rules));
+    renderRules();
+    write(errors.length ? "PARTIAL" : "OK", { imported: rules.length, skipped: errors });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  } finally {
+    rulesFileEl.value = "";
+  }
+});
+
+btnLearn.addEventListener("click", async () => {
+  /**
+   * Rebuild the learned model from every transaction of the last N months (background
+   * priority, so the playground's own calls go first).
+   */
+  btnLearn.disabled = true;
+  try {
+    const res = await learnFromHistory(ensureBridge(), {
+      months: Number(learnMonthsEl.value),
+      onProgress: (p) => {
+        learnStatusEl.textContent =
+          `Reading ${p.done}/${p.total} months · ${p.items} transactions`;
+      },
+    });
+    saveModel(bridge?.getContextSnapshot() ?? null, res.model);
+    if (res.categories.length) ruleCategories = res.categories;
+    renderRuleCategoryOptions();
+    renderRules();
+    const { tokens, ...summary } = res.model;
+    const learned = { ...summary, words: Object.keys(tokens).length };
+    write(res.failures.length ? "PARTIAL" : "OK", { learned, failures: res.failures });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+    renderRules();
+  } finally {
+    btnLearn.disabled = false;
+  }
+});
+
+btnLearnForget.addEventListener("click", () => {
+  saveModel(bridge?.getContextSnapshot() ?? null, null);
+  renderRules();
+});
+
+// --- Quick entry ----------------------------------------------------------------
+
+/**
+ * quickCategories: listCategories items used to resolve #tags (null until loaded).
+ */
+let quickCategories = null;
+
+async function loadQuickCategories() {
+  try {
+    const res = await ensureBridge().listCategories({});
+    quickCategories = Array.isArray(res?.items) ? res.items : [];
+  } catch (err) {
+    quickEntryStatusEl.textContent = `Categories not loaded: ${String(err?.message ?? err)}`;
+  }
+}
+
+function renderQuickEntryHistory() {
+  quickEntryHistoryEl.innerHTML = "";
+  for (const text of loadHistory(bridge?.getContextSnapshot() ?? null)) {
+    const opt = document.createElement("option");
+    opt.value = text;
+    quickEntryHistoryEl.appendChild(opt);
+  }
+}
+
+function renderQuickEntryPreview() {
+  /**
+   * Show what the quick-entry line parses to, field by field, with its problems. "Add expense"
+   * is only enabled while the line parses without errors.
+   */
+  quickEntryPreviewEl.innerHTML = "";
+  quickEntryStatusEl.textContent = "";
+  quickEntryStatusEl.className = "muted";
+  const text = quickEntryEl.value.trim();
+  btnQuickEntry.disabled = !text;
+  if (!text) return null;
+
+  const parsed = parseQuickEntry(text, { categories: quickCategories ?? undefined });
+  const { preview } = parsed;
+  // Without a #tag, a confident rule / learned suggestion fills the category.
+  const suggestion = /(^|\s)#\S/.test(text)
+    ? null
+    : confidentSuggestion(suggestFor(parsed.payload, "EXPENSE", quickCategories));
+  if (suggestion) parsed.payload.categoryId = suggestion.categoryId;
+  const when = preview.occurredAt
+    ? `${new Date(preview.occurredAt).toLocaleString()} (${preview.occurredAt})`
+    : "now (set by the host)";
+  const rows = [
+    [
+      "amount",
+      preview.amount == null
+        ? "—"
+        : preview.currencyCode
+          ? formatMoney(preview.amount, preview.currencyCode)
+          : String(preview.amount),
+    ],
+    ["currencyCode", preview.currencyCode ?? "host default"],
+    ["note", preview.note || "—"],
+    [
+      "category",
+      preview.category
+        ? `${preview.category.name} (${preview.category.id})`
+        : suggestion
+          ? `${suggestion.name ?? suggestion.categoryId} — suggested (${suggestion.reason})`
+          : "—",
+    ],
+    ["occurredAt", when],
+  ];
+  const table = document.createElement("table");
+  table.className = "table";
+  const body = table.createTBody();
+  for (const [field, value] of rows) {
+    const tr = body.insertRow();
+    tr.insertCell().textContent = field;
+    tr.insertCell().textContent = value;
+  }
+  quickEntryPreviewEl.appendChild(table);
+
+  if (parsed.errors.length) quickEntryStatusEl.className = "field-error";
+  quickEntryStatusEl.textContent = [...parsed.errors, ...parsed.warnings].join(" · ");
+  btnQuickEntry.disabled = parsed.errors.length > 0;
+  return parsed;
+}
+
+async function submitQuickEntry() {
+  /**
+   * createExpense from the quick-entry line through runWrite(), so NOT_AUTHED/TIMEOUT failures go
+   * to the outbox as for the action form. The line is added to the history once the expense is
+   * created or queued.
+   */
+  const text = quickEntryEl.value.trim();
+  const parsed = renderQuickEntryPreview();
+  if (!parsed || parsed.errors.length) return;
+
+  btnQuickEntry.disabled = true;
+  let result;
+  try {
+    result = await runWrite("createExpense", ensureBridge().createExpense, parsed.payload, {
+      slot: "quickEntry",
+      callOpts: { retry: readRetryPolicy() },
+    });
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+    btnQuickEntry.disabled = false;
+    return;
+  }
+  if (result?.queued) {
+    write("QUEUED", { quickEntry: text, outboxId: result.outboxId, reason: result.reason });
+  } else {
+    write("OK", { quickEntry: text, transaction: result });
+  }
+  rememberEntry(bridge?.getContextSnapshot() ?? null, text);
+  renderQuickEntryHistory();
+  quickEntryEl.value = "";
+  renderQuickEntryPreview();
+}
+
+quickEntryEl.addEventListener("focus", async () => {
+  if (quickCategories) return;
+  await loadQuickCategories();
+  renderQuickEntryPreview();
+});
+quickEntryEl.addEventListener("input", renderQuickEntryPreview);
+quickEntryEl.addEventListener("keydown", (ev) => {
+  if (ev.key === "Enter" && !btnQuickEntry.disabled) submitQuickEntry();
+});
+btnQuickEntry.addEventListener("click", submitQuickEntry);
+
+// --- Overdue inbox --------------------------------------------------------------
+
+/**
+ * overdueItems: the last listOverduePayments() items (null until loaded).
+ */
+let overdueItems = null;
+
+function readIntInput(el, min, max, name) {
+  /**
+   * Optional integer input: undefined when empty, throws when outside [min, max].
+   */
+  const raw = String(el.value ?? "").trim();
+  if (!raw) return undefined;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function syncQueuedSettles(items) {
+  /**
+   * Overdue occurrences settled through the outbox stay "queued" while their item waits. When the
+   * item failed, or is gone without having been sent (discarded, taken for editing), no expense
+   * exists: the occurrence shows up as overdue again. Sent items are settled by outbox onSent.
+   */
+  const context = bridge?.getContextSnapshot();
+  if (!context || !outboxScope()) return;
+  const waiting = new Set(items.filter((i) => i.status !== "failed").map((i) => i.id));
+  const lost = Object.values(loadInboxState(context))
+    .filter((entry) => entry?.status === "queued" && !waiting.has(entry.outboxId));
+  if (!lost.length) return;
+  try {
+    for (const entry of lost) resolveQueued(context, entry.outboxId, null, localToday());
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  }
+  if (overdueItems) renderOverdueInbox();
+}
+
+function describeLocal(local) {
+  if (local.status === "settled") return `settled → ${local.transactionId}`;
+  if (local.status === "queued") return `settling (outbox #${local.outboxId})`;
+  if (local.status === "snoozed") return `snoozed until ${local.until}`;
+  return "dismissed";
+}
+
+function renderOverdueInbox() {
+  /**
+   * Overdue occurrences grouped by plan, with Settle / Snooze / Dismiss per occurrence
+   * (Restore for the ones hidden locally when "show hidden" is on).
+   */
+  overdueListEl.innerHTML = "";
+  if (!overdueItems) return;
+
+  const context = bridge?.getContextSnapshot() ?? null;
+  const today = localToday();
+  const { groups, hidden } = groupOverdue(overdueItems, loadInboxState(context), {
+    today,
+    showHidden: overdueShowHiddenEl.checked,
+  });
+  overdueStatusEl.textContent =
+    `${overdueItems.length} overdue from the host · ${hidden} hidden locally`;
+
+  if (!groups.length) {
+    const li = document.createElement("li");
+    li.className = "muted";
+    li.textContent = "Nothing overdue.";
+    overdueListEl.appendChild(li);
+    return;
+  }
+
+  for (const g of groups) {
+    const li = document.createElement("li");
+    li.className = "overdue-group";
+    const title = document.createElement("div");
+    title.className = "overdue-title";
+    title.textContent = `${g.title} — ${formatMoney(g.total, g.currencyCode)} open`;
+    li.appendChild(title);
+
+    for (const item of g.items) {
+      const row = document.createElement("div");
+      row.className = "overdue-row" + (item.local ? " overdue-hidden" : "");
+      const text = document.createElement("div");
+      const days = `${item.daysOverdue} day${item.daysOverdue === 1 ? "" : "s"} overdue`;
+      const amount = formatMoney(item.amount, item.currencyCode);
+      text.textContent = `${item.dueDate} · ${days} · ${amount}`;
+      if (item.local) text.textContent += ` · ${describeLocal(item.local)}`;
+      row.appendChild(text);
+
+      const actions = document.createElement("div");
+      actions.className = "overdue-actions";
+      const addButton = (label, onClick) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.textContent = label;
+        btn.addEventListener("click", async () => {
+          btn.disabled = true;
+          try {
+            await onClick();
+          } catch (err) {
+            write("ERROR", errorPayload(err));
+          } finally {
+            renderOverdueInbox();
+          }
+        });
+        actions.appendChild(btn);
+      };
+      if (item.local) {
+        addButton("Restore", () => restoreOccurrence(context, item, today));
+      } else {
+        addButton("Settle", () => settleOverdue(item));
+        addButton("Snooze 1d", () => snoozeOccurrence(context, item, 1, today));
+        addButton("Snooze 7d", () => snoozeOccurrence(context, item, 7, today));
+        addButton("Dismiss", () => markOccurrence(context, item, { status: "dismissed" }, today));
+      }
+      row.appendChild(actions);
+      li.appendChild(row);
+    }
+    overdueListEl.appendChild(li);
+  }
+}
+
+async function settleOverdue(item) {
+  /**
+   * Create the expense for an occurrence through runWrite(). The idempotency key is derived from
+   * the occurrence, so a second settle (or a replay from the outbox) cannot book it twice.
+   * Failures are thrown to the button handler, which prints them.
+   */
+  const context = bridge?.getContextSnapshot() ?? null;
+  const { createExpense } = ensureBridge();
+  const result = await runWrite("createExpense", createExpense, settlePayload(item), {
+    idempotencyKey: settleKey(item),
+    callOpts: { retry: readRetryPolicy() },
+  });
+  if (result?.queued) {
+    const { outboxId, reason } = result;
+    // Not settled yet: syncQueuedSettles() and the outbox's onSent decide once it is sent or lost.
+    markOccurrence(context, item, { status: "queued", outboxId }, localToday());
+    write("QUEUED", { settled: item.occurrenceId, outboxId, reason });
+    return;
+  }
+  markOccurrence(context, item, { status: "settled", transactionId: result.id }, localToday());
+  write("OK", { settled: item.occurrenceId, transaction: result });
+}
+
+btnOverdueLoad.addEventListener("click", async () => {
+  btnOverdueLoad.disabled = true;
+  try {
+    const payload = omitEmpty({
+      limit: readIntInput(overdueLimitEl, 1, 100, "limit"),
+      lookbackDays: readIntInput(overdueLookbackEl, 1, 365, "lookbackDays"),
+    });
+    overdueStatusEl.textContent = "Loading…";
+    const res = await ensureBridge().listOverduePayments(payload, { retry: readRetryPolicy() });
+    overdueItems = res.items;
+  } catch (err) {
+    overdueStatusEl.textContent = "";
+    write("ERROR", errorPayload(err));
+  } finally {
+    btnOverdueLoad.disabled = false;
+    renderOverdueInbox();
+  }
+});
+
+overdueShowHiddenEl.addEventListener("change", renderOverdueInbox);
+
+// --- Calendar export ------------------------------------------------------------
+
+btnCalendarExport.addEventListener("click", async () => {
+  /**
+   * Download plans (and overdue payments) as .ics. Occurrences settled, snoozed or dismissed in
+   * the overdue inbox are left out, like in the inbox itself.
+   */
+  btnCalendarExport.disabled = true;
+  try {
+    const context = bridge?.getContextSnapshot() ?? null;
+    const state = loadInboxState(context);
+    const today = localToday();
+    const res = await exportCalendar(ensureBridge(), {
+      alarmDaysBefore: readIntInput(calendarAlarmDaysEl, 0, 30, "Remind days before") ?? null,
+      includeOverdue: calendarOverdueEl.checked,
+      overdueFilter: (item) => !isHidden(state[occurrenceId(item)], today),
+    });
+    const skipped = res.skipped.map((s) => `${s.title} (${s.reason})`);
+    calendarStatusEl.textContent =
+      `${res.filename} · ${res.events} event${res.events === 1 ? "" : "s"}` +
+      (skipped.length ? ` · left out: ${skipped.join(", ")}` : "") +
+      (res.failures.length ? " · overdue payments could not be loaded" : "");
+    write("OK", res);
+  } catch (err) {
+    calendarStatusEl.textContent = "";
+    write("ERROR", errorPayload(err));
+  } finally {
+    btnCalendarExport.disabled = false;
+  }
+});
+
+// --- Message inspector ----------------------------------------------------------
+
+const INSPECTOR_MARKS = { out: "→", in: "←", error: "✕", dropped: "⊘" };
+
+const inspector = createInspector({
+  onEntry: (entry) => {
+    if (!inspectorFilterEl.value || inspectorFilterEl.value === entry.kind) {
+      inspectorListEl.prepend(renderInspectorEntry(entry));
+    }
+    renderInspectorStatus();
+  },
+});
+
+function describeDiff(diff) {
+  const show = (v) => (v === undefined ? "undefined" : JSON.stringify(v));
+  return diff
+    .map((d) => {
+      if (d.kind === "added") return `+ ${d.path}: ${show(d.after)}`;
+      if (d.kind === "removed") return `- ${d.path}: ${show(d.before)}`;
+      return `~ ${d.path}: ${show(d.before)} → ${show(d.after)}`;
+    })
+    .join("\n");
+}
+
+function renderInspectorEntry(entry) {
+  /**
+   * One collapsed line per message; the JSON and the diff against the previous message of the
+   * same kind are only rendered when the entry is opened.
+   */
+  const li = document.createElement("li");
+  li.className = `inspector-entry inspector-${entry.kind}`;
+  li.dataset.id = String(entry.id);
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  const parts = [entry.at.slice(11, 23), INSPECTOR_MARKS[entry.kind], entry.type];
+  if (entry.requestType && entry.requestType !== entry.type) parts.push(`(${entry.requestType})`);
+  if (entry.requestId) parts.push(entry.requestId.slice(0, 8));
+  if (entry.durationMs != null) parts.push(`${entry.durationMs} ms`);
+  if (entry.diff?.length) parts.push(`Δ${entry.diff.length}`);
+  if (entry.reason) parts.push(`— ${entry.reason}`);
+  summary.textContent = parts.join(" ");
+  details.appendChild(summary);
+
+  details.addEventListener("toggle", () => {
+    if (!details.open || details.querySelector("pre")) return;
+    const body = document.createElement("pre");
+    body.textContent =
+      (entry.origin ? `// from ${entry.origin}\n` : "") + JSON.stringify(entry.data, null, 2);
+    details.appendChild(body);
+    if (entry.diff?.length) {
+      const diff = document.createElement("pre");
+      diff.textContent = "// changes since the previous one\n" + describeDiff(entry.diff);
+      details.appendChild(diff);
+    }
+  });
+  li.appendChild(details);
+  return li;
+}
+
+function renderInspectorStatus() {
+  const entries = inspector.entries();
+  const counts = { out: 0, in: 0, error: 0, dropped: 0 };
+  for (const e of entries) counts[e.kind] += 1;
+  inspectorStatusEl.textContent =
+    `${counts.out} sent · ${counts.in} received · ${counts.error} failed · ` +
+    `${counts.dropped} dropped` + (inspector.recording ? "" : " · paused");
+
+  // Entries pushed out of the inspector's buffer leave the list too.
+  const oldest = entries[0]?.id ?? Infinity;
+  while (Number(inspectorListEl.lastElementChild?.dataset.id) < oldest) {
+    inspectorListEl.lastElementChild.remove();
+  }
+}
+
+function renderInspector() {
+  inspectorListEl.innerHTML = "";
+  const kind = inspectorFilterEl.value;
+  for (const entry of inspector.entries().reverse()) {
+    if (!kind || entry.kind === kind) inspectorListEl.appendChild(renderInspectorEntry(entry));
+  }
+  renderInspectorStatus();
+}
+
+inspectorRecordEl.addEventListener("change", () => {
+  inspector.recording = inspectorRecordEl.checked;
+  renderInspectorStatus();
+});
+inspectorFilterEl.addEventListener("change", renderInspector);
+btnInspectorClear.addEventListener("click", () => {
+  inspector.clear();
+  renderInspector();
+});
+
+// --- Host origins ---------------------------------------------------------------
+
+async function applyHostConfig() {
+  /**
+   * Prefill the host origins from the deployment config (config file, meta tag, signed query
+   * parameter). Anything the user typed meanwhile is kept.
+   */
+  const { origins, sources, problems } = await loadHostConfig({
+    normalizeOrigin: normalizeAllowedOrigin,
+  });
+  if (origins.length && !hostOriginEl.value.trim()) hostOriginEl.value = origins.join(", ");
+  const from = origins.map((o) => `${o} (${sources[o].join(", ")})`);
+  hostConfigStatusEl.textContent = [
+    from.length ? `Configured: ${from.join(" · ")}` : "No host origins configured; enter one.",
+    ...problems,
+  ].join(" · ");
+}
+
+// --- Request queue --------------------------------------------------------------
+
+function readMaxInFlight() {
+  /**
+   * The "Max requests in flight" setting; empty or invalid -> the bridge default (6).
+   */
+  const n = Number(String(maxInFlightEl.value ?? "").trim());
+  return Number.isInteger(n) && n >= 1 ? n : undefined;
+}
+
+function renderQueueStats() {
+  if (!bridge) {
+    queueStatsEl.textContent = "Not connected";
+    return;
+  }
+  const s = bridge.getQueueStats();
+  const waiting = s.queued
+    ? `${s.queued} queued (${s.queuedByPriority.interactive} interactive, ` +
+      `${s.queuedByPriority.background} background), oldest ${s.oldestQueuedMs} ms`
+    : "nothing queued";
+  queueStatsEl.textContent =
+    `${s.inFlight}/${s.maxInFlight} in flight · ${waiting} · ` +
+    `wait avg ${s.waitMs.average} ms, max ${s.waitMs.max} ms (peak queue ${s.peakQueued})`;
+}
+
+/**
+ * Refreshes the queue line whenever a message goes out or a call settles (after the bridge has
+ * updated its counters).
+ */
+const queueStatsMiddleware = {
+  beforeSend: () => queueMicrotask(renderQueueStats),
+  afterReceive: () => void window.setTimeout(renderQueueStats, 0),
+  onError: () => void window.setTimeout(renderQueueStats, 0),
+};
+
+// Initial render + UI bindings.
+renderActions();
+renderFields(ACTIONS[0].id);
+exportFromEl.value = exportToEl.value = new Date().toISOString().slice(0, 7);
+renderBudgetDashboard();
+fxToEl.value = localToday();
+fxFromEl.value = fxToEl.value.slice(0, 8) + "01";
+renderFxRatesStatus();
+renderInspector();
+renderQuickEntryHistory();
+renderRuleCategoryOptions();
+renderRules();
+applyHostConfig().catch((err) => {
+  hostConfigStatusEl.textContent = `Host config: ${String(err?.message ?? err)}`;
+});
+
+btnOutboxFlush.addEventListener("click", async () => {
+  outboxStatusEl.textContent = "";
+  try {
+    write("OUTBOX", await outbox.flush());
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  }
+});
+
+fieldsEl.addEventListener("input", () => {
+  updateFieldVisibility();
+  renderCategorySuggestions();
+});
+fieldsEl.addEventListener("focusin", async () => {
+  // Suggestions show category names once the categories are loaded.
+  if (ruleCategories || !document.getElementById("field_categorySuggestions")) return;
+  await loadRuleCategories();
+  renderCategorySuggestions();
+});
+fieldsEl.addEventListener("change", (ev) => {
+  updateFieldVisibility();
+  // Inline validation: re-check the form and show errors for the fields touched so far.
+  const action = ACTIONS.find((a) => a.id === actionEl.value);
+  if (!action?.schema) return;
+  touchedFields.add(String(ev.target?.id ?? "").replace(/^field_/, ""));
+  renderFieldErrors(readActionForm(action).errors, touchedFields);
+});
+
+actionEl.addEventListener("change", () => {
+  // Update visible fields whenever the action changes.
+  renderFields(actionEl.value);
+  renderCategorySuggestions();
+  renderAccessGuide();
+});
+
+btnCacheClear.addEventListener("click", () => {
+  bridge?.invalidateCache();
+  write("OK", { cacheCleared: true });
+});
+
+btnAccessRefresh.addEventListener("click", async () => {
+  btnAccessRefresh.disabled = true;
+  try {
+    write("OK", await ensureBridge().getHostContext());
+  } catch (err) {
+    write("ERROR", errorPayload(err));
+  } finally {
+    btnAccessRefresh.disabled = false;
+  }
+});
+
+btnRun.addEventListener("click", async () => {
+  /**
+   * Main UI trigger:
+   * - disables the Run button while running
+   * - prints PENDING/OK/ERROR to the output panel, followed by the attempt history
+   * - formats host Bridge errors to include err.code when present
+   */
+  running = btnRun.disabled = true;
+  runController = new AbortController();
+  btnCancel.disabled = false;
+  attemptLog = [];
+  write("PENDING", { action: actionEl.value });
+  try {
+    const result = await run();
+    write(result?.queued ? "QUEUED" : "OK", result, attemptLog);
+    // A successful round-trip is a good moment to replay anything left in the outbox.
+    if (!result?.queued && outboxPending) flushOutbox();
+  } catch (err) {
+    write(err?.name === "AbortError" ? "CANCELLED" : "ERROR", errorPayload(err), attemptLog);
+  } finally {
+    running = false;
+    runController = null;
+    btnCancel.disabled = true;
+    renderAccessGuide();
+  }
+});
+
+btnCancel.addEventListener("click", () => {
+  /**
+   * Abort the running action: the call rejects now and a late host response is ignored. A
+   * cancelled create may still reach the host; its idempotency key is kept for a re-run.
+   */
+  runController?.abort();
+});
+
+btnExport.addEventListener("click", async () => {
+  /**
+   * Export every transaction in the selected month range.
+   * Progress is shown next to the button; months that failed are listed in the output.
+   */
+  btnExport.disabled = true;
+  try {
+    const from = parseMonthInput(exportFromEl.value);
+    const to = parseMonthInput(exportToEl.value);
+    if (!from || !to) throw new Error("Pick a start and end month");
+    const res = await exportTransactions(ensureBridge(), {
+      from,
+      to,
+      type: exportTypeEl.value || undefined,
+      format: exportFormatEl.value,
+      onProgress: (p) => {
+        const month = `${p.year}-${String(p.month).padStart(2, "0")}`;
+        exportStatusEl.textContent =
+          `${p.done}/${p.total} months · ${month} page ${p.page} · ${p.items} transactions`;
+      },
+    });
+    write(res.failures.length ? "PARTIAL" : "OK", res);
+  } catch (err) {
+    write("ERROR", errorPayload(err));
   } finally {
-    btnRun.disabled = false;
+    btnExport.disabled = false;
   }
 });
\ No newline at end of file
@@ -0,0 +1,496 @@
+// Auto-categorization (Vanilla JS) — suggest a categoryId for new expenses and incomes
+//
+// PURPOSE
+// - Keep user-editable rules per host in localStorage (see storage.js). A rule points at a
+//   category and matches on the note (keywords or a regular expression), an amount range and/or
+//   a currency.
+// - Learn which note words go with which category from past transactions (every page of
+//   `listTransactionsMonth` for the last few months, see transaction-export.js).
+// - Rank categories for a payload: matching rules first (in rule order), then learned ones by
+//   score. Import/export the rules as JSON.
+//
+// Nothing is sent from here: callers decide whether to fill `categoryId` with a suggestion.
+
+import { shiftMonth } from "./dates.js";
+import { newId } from "./ids.js";
+import { fromMinor, normalizeCurrencyCode, parseAmountInput } from "./money.js";
+import { storageKey } from "./storage.js";
+import { collectTransactions } from "./transaction-export.js";
+
+export const RULES_FORMAT = "acme-expenses-category-rules";
+
+const RULES_VERSION = 1;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MODEL_TOKENS = 2000;
+const DEFAULT_LEARN_MONTHS = 6;
+const DEFAULT_LIMIT = 3;
+
+/**
+ * A learned token needs this many categorized transactions to count fully; rarer ones are
+ * scaled down so one odd note does not decide a category.
+ */
+const MIN_EVIDENCE = 3;
+
+/**
+ * Learned suggestions below this score are not offered at all; from CONFIDENT_SCORE on (and for
+ * every rule match) confidentSuggestion() lets callers fill the category without asking.
+ */
+const MIN_LEARNED_SCORE = 0.3;
+const CONFIDENT_SCORE = 0.6;
+
+const STOPWORDS = new Set(["and", "the", "for", "with", "from", "von", "und", "les", "des", "por"]);
+
+function foldText(value) {
+  /**
+   * Lower case without accents, for case- and accent-insensitive keyword matches.
+   */
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+export function noteTokens(note) {
+  /**
+   * Distinct words of a note the learner keys on: folded (see foldText()), at least 3 letters,
+   * no plain numbers and no stopwords ("Lunch with Café team #2" -> ["lunch", "cafe", "team"]).
+   */
+  const words = foldText(note).split(/[^\p{L}\p{N}]+/u);
+  return [...new Set(words.filter((w) => w.length >= 3 && !/^\d+$/.test(w) && !STOPWORDS.has(w)))];
+}
+
+function backtrackingRisk(pattern) {
+  /**
+   * Why `pattern` (valid "iu" regex source) could backtrack exponentially, or null.
+   *
+   * Rejects backreferences and groups repeated by * + or {n,m} that contain a quantifier or an
+   * alternation ("(a+)+$", "(a|a)*$"). Conservative: "(foo|bar)+" is refused too; a character
+   * class ("[\s-]+") or keywords cover those cases.
+   */
+  const groups = [{ risky: false }];
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    const top = groups[groups.length - 1];
+    if (ch === "\\") {
+      const next = pattern[i + 1] ?? "";
+      if (/[1-9k]/.test(next)) return "backreferences are not supported";
+      i += 1;
+    } else if (ch === "[") {
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i += 1) {
+        if (pattern[i] === "\\") i += 1;
+      }
+    } else if (ch === "(") {
+      groups.push({ risky: false });
+      if (pattern[i + 1] === "?") i += 1;
+    } else if (ch === ")") {
+      const group = groups.pop();
+      const next = pattern[i + 1] ?? "";
+      if (/[*+{]/.test(next) && group.risky) {
+        return "a repeated group must not contain quantifiers or |";
+      }
+      const parent = groups[groups.length - 1];
+      parent.risky ||= group.risky || /[*+?{]/.test(next);
+    } else if (/[*+?{|]/.test(ch)) {
+      top.risky = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compiled rule patterns by source, so suggestCategories() does not rebuild them per payload.
+ */
+const compiledPatterns = new Map();
+
+function patternRegExp(pattern) {
+  let re = compiledPatterns.get(pattern);
+  if (!re) {
+    re = new RegExp(pattern, "iu");
+    compiledPatterns.set(pattern, re);
+  }
+  return re;
+}
+
+function optionalAmount(value, name, currencyCode) {
+  /**
+   * Rule bound in major units: numbers as stored, text as typed in the user's locale ("1.234,5")
+   * with the currency's decimals (see money.js parseAmountInput()). null when empty.
+   */
+  if (value == null || value === "") return null;
+  let n;
+  if (typeof value === "number") n = value;
+  else {
+    try {
+      n = fromMinor(parseAmountInput(value, currencyCode), currencyCode);
+    } catch (err) {
+      throw new Error(`${name}: ${String(err?.message ?? err)}`);
+    }
+  }
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a number >= 0`);
+  return n;
+}
+
+export function normalizeRule(input) {
+  /**
+   * Validate a rule and return it in stored form:
+   * { id, categoryId, keywords, pattern, minAmount, maxAmount, currencyCode, enabled }
+   *
+   * - keywords: array or comma separated string; any one of them appearing in the note matches
+   *   (case and accents ignored)
+   * - pattern: regular expression source tested against the note (case-insensitive); patterns
+   *   that could backtrack exponentially are rejected (see backtrackingRisk())
+   * - minAmount / maxAmount: inclusive bounds, in major units (numbers, or text typed in the
+   *   user's locale)
+   * - currencyCode: ISO 4217 code the payload must use
+   *
+   * Every condition given must hold; a rule needs a categoryId and at least one condition.
+   * Throws an Error describing the first problem.
+   */
+  if (!input || typeof input !== "object") throw new Error("rule must be an object");
+  const categoryId = String(input.categoryId ?? "").trim();
+  if (!categoryId) throw new Error("categoryId is required");
+
+  const keywordList = Array.isArray(input.keywords)
+    ? input.keywords
+    : String(input.keywords ?? "").split(",");
+  const keywords = [...new Set(keywordList.map((k) => String(k ?? "").trim()).filter(Boolean))];
+
+  const pattern = String(input.pattern ?? "").trim();
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (pattern) {
+    try {
+      new RegExp(pattern, "iu");
+    } catch (err) {
+      throw new Error(`invalid pattern: ${String(err?.message ?? err)}`);
+    }
+    const risk = backtrackingRisk(pattern);
+    if (risk) throw new Error(`unsafe pattern: ${risk}`);
+  }
+
+  const rawCurrency = String(input.currencyCode ?? "").trim();
+  const currencyCode = rawCurrency ? normalizeCurrencyCode(rawCurrency) : null;
+
+  const minAmount = optionalAmount(input.minAmount, "minAmount", currencyCode);
+  const maxAmount = optionalAmount(input.maxAmount, "maxAmount", currencyCode);
+  if (minAmount != null && maxAmount != null && minAmount > maxAmount) {
+    throw new Error("minAmount must not be greater than maxAmount");
+  }
+
+  if (!keywords.length && !pattern && minAmount == null && maxAmount == null && !currencyCode) {
+    throw new Error("rule needs at least one condition (keywords, pattern, amount or currency)");
+  }
+
+  return {
+    id: String(input.id ?? "").trim() || newId("rule"),
+    categoryId,
+    keywords,
+    pattern,
+    minAmount,
+    maxAmount,
+    currencyCode,
+    enabled: input.enabled !== false,
+  };
+}
+
+export function describeRule(rule) {
+  /**
+   * One-line summary of a rule's conditions, e.g. `note has "uber", "taxi" · 5–50 · EUR`.
+   */
+  const parts = [];
+  if (rule.keywords.length) parts.push(`note has ${rule.keywords.map((k) => `"${k}"`).join(", ")}`);
+  if (rule.pattern) parts.push(`note ~ /${rule.pattern}/`);
+  if (rule.minAmount != null && rule.maxAmount != null) {
+    parts.push(`${rule.minAmount}–${rule.maxAmount}`);
+  } else if (rule.minAmount != null) {
+    parts.push(`≥ ${rule.minAmount}`);
+  } else if (rule.maxAmount != null) {
+    parts.push(`≤ ${rule.maxAmount}`);
+  }
+  if (rule.currencyCode) parts.push(rule.currencyCode);
+  return parts.join(" · ");
+}
+
+function ruleMatches(rule, payload) {
+  const note = foldText(payload.note);
+  if (rule.keywords.length && !rule.keywords.some((k) => note.includes(foldText(k)))) {
+    return false;
+  }
+  if (rule.pattern && !patternRegExp(rule.pattern).test(String(payload.note ?? ""))) {
+    return false;
+  }
+  const amount = Number(payload.amount);
+  const bounded = rule.minAmount != null || rule.maxAmount != null;
+  if (bounded && !Number.isFinite(amount)) return false;
+  if (rule.minAmount != null && amount < rule.minAmount) return false;
+  if (rule.maxAmount != null && amount > rule.maxAmount) return false;
+  if (rule.currencyCode && payload.currencyCode !== rule.currencyCode) return false;
+  return true;
+}
+
+export function loadRules(context) {
+  /**
+   * Stored rules for the host in `context`, in priority order. Entries that no longer
+   * validate are skipped; [] when nothing is stored or storage is unavailable/corrupt.
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(context, "category-rules"));
+    const parsed = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(parsed)) return [];
+    return parsed.flatMap((r) => {
+      try {
+        return [normalizeRule(r)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+export function saveRules(context, rules) {
+  const list = rules.map(normalizeRule);
+  globalThis.localStorage?.setItem(storageKey(context, "category-rules"), JSON.stringify(list));
+  return list;
+}
+
+export function mergeRules(existing, incoming) {
+  /**
+   * Existing rules with incoming ones applied: a rule with a known id replaces it in place, new
+   * ones are appended (so imported rules rank after the user's own).
+   */
+  const list = [...existing];
+  for (const rule of incoming) {
+    const at = list.findIndex((r) => r.id === rule.id);
+    if (at === -1) list.push(rule);
+    else list[at] = rule;
+  }
+  return list;
+}
+
+export function exportRules(rules) {
+  /**
+   * JSON text for a rules file: { format, version, exportedAt, rules }.
+   */
+  const file = {
+    format: RULES_FORMAT,
+    version: RULES_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules,
+  };
+  return JSON.stringify(file, null, 2) + "\n";
+}
+
+export function importRules(text) {
+  /**
+   * Parse a rules file written by exportRules() (a bare array of rules is accepted too).
+   *
+   * Returns { rules, errors } where errors is [{ index, message }] for rules that were skipped
+   * (index is the position in the file; -1 when the file itself is unusable).
+   */
+  let data;
+  try {
+    data = JSON.parse(String(text ?? ""));
+  } catch (err) {
+    const message = `not JSON: ${String(err?.message ?? err)}`;
+    return { rules: [], errors: [{ index: -1, message }] };
+  }
+  if (!Array.isArray(data)) {
+    if (data?.format !== RULES_FORMAT || !Array.isArray(data.rules)) {
+      return { rules: [], errors: [{ index: -1, message: `not a ${RULES_FORMAT} file` }] };
+    }
+    if (data.version > RULES_VERSION) {
+      const message = `version ${data.version} is newer than this app (${RULES_VERSION})`;
+      return { rules: [], errors: [{ index: -1, message }] };
+    }
+    data = data.rules;
+  }
+
+  const rules = [];
+  const errors = [];
+  data.forEach((input, index) => {
+    try {
+      const rule = normalizeRule(input);
+      if (rules.some((r) => r.id === rule.id)) throw new Error(`duplicate id "${rule.id}"`);
+      rules.push(rule);
+    } catch (err) {
+      errors.push({ index, message: String(err?.message ?? err) });
+    }
+  });
+  return { rules, errors };
+}
+
+export function learnFromTransactions(transactions, opts) {
+  /**
+   * Count, for every note word (see noteTokens()), the categories of the transactions using it.
+   * Transactions without a note or a categoryId teach nothing.
+   *
+   * Returns the model: { learnedAt, from, to, transactions, tokens: { [word]: { [id]: n } } }
+   * (at most 2000 words, the most frequent ones; from/to are copied from opts).
+   */
+  const counts = new Map();
+  let used = 0;
+  for (const t of transactions ?? []) {
+    if (!t?.categoryId || !t.note) continue;
+    const words = noteTokens(t.note);
+    if (!words.length) continue;
+    used += 1;
+    for (const word of words) {
+      const byCategory = counts.get(word) ?? {};
+      byCategory[t.categoryId] = (byCategory[t.categoryId] ?? 0) + 1;
+      counts.set(word, byCategory);
+    }
+  }
+
+  const total = (byCategory) => Object.values(byCategory).reduce((sum, n) => sum + n, 0);
+  const kept = [...counts.entries()]
+    .sort((a, b) => total(b[1]) - total(a[1]) || a[0].localeCompare(b[0]))
+    .slice(0, MAX_MODEL_TOKENS);
+  return {
+    learnedAt: new Date().toISOString(),
+    from: opts?.from ?? null,
+    to: opts?.to ?? null,
+    transactions: used,
+    tokens: Object.fromEntries(kept),
+  };
+}
+
+export function loadModel(context) {
+  /**
+   * The learned model stored for the host in `context`, or null.
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(context, "category-model"));
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed.tokens === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveModel(context, model) {
+  const key = storageKey(context, "category-model");
+  if (model) globalThis.localStorage?.setItem(key, JSON.stringify(model));
+  else globalThis.localStorage?.removeItem(key);
+  return model;
+}
+
+export async function learnFromHistory(bridge, opts) {
+  /**
+   * Read the last `opts.months` months (default 6, including the current one) with
+   * collectTransactions() and learn from them.
+   *
+   * Params:
+   * - opts.months (optional): 1-24
+   * - opts.now (optional): Date the current month is taken from (default: now)
+   * - opts.onProgress (optional): forwarded to collectTransactions()
+   *
+   * Returns { model, categories, failures }; months that failed are skipped, not fatal.
+   */
+  const requested = Math.floor(Number(opts?.months) || DEFAULT_LEARN_MONTHS);
+  const months = Math.min(24, Math.max(1, requested));
+  const now = opts?.now ?? new Date();
+  const to = { year: now.getFullYear(), month: now.getMonth() + 1 };
+  const from = shiftMonth(to, -(months - 1));
+  const { items, categories, failures } = await collectTransactions(bridge, {
+    from,
+    to,
+    onProgress: opts?.onProgress,
+  });
+  const label = ({ year, month }) => `${year}-${String(month).padStart(2, "0")}`;
+  const model = learnFromTransactions(items, { from: label(from), to: label(to) });
+  return { model, categories, failures };
+}
+
+function learnedScores(model, note) {
+  /**
+   * { [categoryId]: { score, word, count } }: the share of each known note word's transactions
+   * in the category (scaled down below MIN_EVIDENCE), averaged over the known words. `word` is
+   * the one that contributed most.
+   */
+  const scores = {};
+  const known = noteTokens(note).filter((w) => model?.tokens?.[w]);
+  for (const word of known) {
+    const byCategory = model.tokens[word];
+    const total = Object.values(byCategory).reduce((sum, n) => sum + n, 0);
+    const weight = Math.min(1, total / MIN_EVIDENCE);
+    for (const [categoryId, count] of Object.entries(byCategory)) {
+      const part = ((count / total) * weight) / known.length;
+      const entry = scores[categoryId] ?? { score: 0, word, count, best: 0 };
+      entry.score += part;
+      if (part > entry.best) Object.assign(entry, { word, count, best: part });
+      scores[categoryId] = entry;
+    }
+  }
+  return scores;
+}
+
+export function suggestCategories(payload, opts) {
+  /**
+   * Ranked category suggestions for a createExpense / createIncome payload.
+   *
+   * Params:
+   * - payload: { note, amount, currencyCode } (other fields are ignored)
+   * - opts.rules (optional): loadRules(); disabled rules are skipped
+   * - opts.model (optional): loadModel() / learnFromTransactions()
+   * - opts.categories (optional): listCategories items; when given, suggestions are limited to
+   *   existing categories usable for opts.type and carry their names
+   * - opts.type (optional): "EXPENSE" (default) | "INCOME"
+   * - opts.limit (optional): maximum number of suggestions (default 3)
+   *
+   * Returns [{ categoryId, name, source: "rule" | "learned", score, reason, ruleId }]: rule
+   * matches first (score 1, in rule order, one per category), then learned categories by score.
+   */
+  const type = opts?.type === "INCOME" ? "INCOME" : "EXPENSE";
+  const categories = opts?.categories ?? null;
+  const byId = new Map((categories ?? []).map((c) => [c.id, c]));
+  const usable = (id) => {
+    if (!categories) return true;
+    const c = byId.get(id);
+    return Boolean(c) && (c.type === "BOTH" || c.type === type);
+  };
+
+  const out = [];
+  const seen = new Set();
+  for (const rule of opts?.rules ?? []) {
+    if (!rule.enabled || seen.has(rule.categoryId) || !usable(rule.categoryId)) continue;
+    if (!ruleMatches(rule, payload ?? {})) continue;
+    seen.add(rule.categoryId);
+    out.push({
+      categoryId: rule.categoryId,
+      name: byId.get(rule.categoryId)?.name ?? null,
+      source: "rule",
+      score: 1,
+      reason: `rule: ${describeRule(rule)}`,
+      ruleId: rule.id,
+    });
+  }
+
+  const learned = Object.entries(learnedScores(opts?.model, payload?.note))
+    .filter(([id, s]) => !seen.has(id) && usable(id) && s.score >= MIN_LEARNED_SCORE)
+    .sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]));
+  for (const [categoryId, s] of learned) {
+    out.push({
+      categoryId,
+      name: byId.get(categoryId)?.name ?? null,
+      source: "learned",
+      score: Math.round(s.score * 100) / 100,
+      reason: `learned: "${s.word}" (${s.count}×)`,
+      ruleId: null,
+    });
+  }
+
+  const limit = Math.max(1, Math.floor(Number(opts?.limit) || DEFAULT_LIMIT));
+  return out.slice(0, limit);
+}
+
+export function confidentSuggestion(suggestions) {
+  /**
+   * The top suggestion when it is safe to apply without asking (a rule match, or a learned
+   * score of at least 0.6); null otherwise.
+   */
+  const top = suggestions?.[0] ?? null;
+  return top && (top.source === "rule" || top.score >= CONFIDENT_SCORE) ? top : null;
+}
@@ -0,0 +1,290 @@
+// Budget dashboard (Vanilla JS) — monthly spend vs. budget per category
+//
+// PURPOSE
+// - Combine `listCategories` (with counts) and `getTransactionRangeDetails` into per-category
+//   spend for one month and currency.
+// - Compare it with monthly budgets the user sets per category, stored in localStorage per host
+//   (budgets never leave the browser; see storage.js).
+// - Draw a bar chart (spend vs. budget) and a donut (share of spend) as plain SVG.
+
+import { formatMoney, fromMinor, parseAmountInput, sumAmounts } from "./money.js";
+import { storageKey } from "./storage.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const PALETTE = ["#3b82f6", "#22c55e", "#f59e0b", "#a855f7", "#14b8a6", "#ec4899", "#64748b"];
+const OVER_COLOR = "#ef4444";
+const UNCATEGORIZED = "Uncategorized";
+
+export function budgetStorageKey(context) {
+  return storageKey(context, "budgets");
+}
+
+export function loadBudgets(context) {
+  /**
+   * Stored budgets as { [currencyCode]: { [categoryId]: amount } }.
+   * Returns {} when nothing is stored or storage is unavailable/corrupt.
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(budgetStorageKey(context));
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveBudget(context, currencyCode, categoryId, amount) {
+  /**
+   * Set (amount > 0) or clear (empty/0) one category budget. Returns the updated budgets.
+   * `amount` is what the user typed, in their locale ("250", "99,90"); see parseAmountInput().
+   * Throws for negative or invalid amounts.
+   */
+  const text = String(amount ?? "").trim();
+  const minor = text ? parseAmountInput(text, currencyCode) : 0;
+  if (minor < 0) throw new Error("Budget must be >= 0");
+  const value = fromMinor(minor, currencyCode);
+
+  const budgets = loadBudgets(context);
+  const forCurrency = { ...(budgets[currencyCode] ?? {}) };
+  if (value > 0) forCurrency[categoryId] = value;
+  else delete forCurrency[categoryId];
+  budgets[currencyCode] = forCurrency;
+  globalThis.localStorage?.setItem(budgetStorageKey(context), JSON.stringify(budgets));
+  return budgets;
+}
+
+export function monthRange({ year, month }) {
+  /**
+   * ISO start/end instants of a calendar month (UTC, end inclusive).
+   */
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1)).toISOString(),
+    end: new Date(Date.UTC(year, month, 0, 23, 59, 59, 999)).toISOString(),
+  };
+}
+
+export async function loadMonthSpend(bridge, opts) {
+  /**
+   * Expense totals per category for one month.
+   *
+   * Params:
+   * - opts.year, opts.month (required)
+   * - opts.currencyCode (required): totals are only meaningful within one currency
+   * - opts.signal (optional): AbortSignal forwarded to every bridge call
+   *
+   * One getTransactionRangeDetails call is enough when the host returns `byCategory`.
+   * Otherwise the month's expenses are read page by page (iterateTransactions) and added up per
+   * category: range totals have no category filter in Bridge v1.
+   *
+   * Returns { start, end, currencyCode, total, count, categories, byCategory } where byCategory
+   * is a Map(categoryId -> { count, total }) and the uncategorized bucket uses the id null.
+   */
+  const { start, end } = monthRange(opts);
+  const currencyCode = opts.currencyCode;
+  const query = { start, end, type: "EXPENSE", currencyCode };
+  const callOpts = { signal: opts.signal };
+
+  const [categoriesRes, overall] = await Promise.all([
+    bridge.listCategories({ type: "EXPENSE", includeCounts: true }, callOpts),
+    bridge.getTransactionRangeDetails(query, callOpts),
+  ]);
+  const categories = categoriesRes.items;
+
+  const byCategory = new Map();
+  if (Array.isArray(overall.byCategory)) {
+    for (const c of overall.byCategory) {
+      byCategory.set(c.categoryId, { count: c.count, total: c.total });
+    }
+  } else {
+    const month = { year: opts.year, month: opts.month };
+    const amounts = new Map();
+    const expenses = bridge.iterateTransactions(
+      { start: month, end: month, type: "EXPENSE" },
+      callOpts
+    );
+    for await (const t of expenses) {
+      if (t.currencyCode !== currencyCode) continue;
+      const key = t.categoryId ?? null;
+      amounts.set(key, [...(amounts.get(key) ?? []), t.amount]);
+    }
+    for (const [categoryId, list] of amounts) {
+      byCategory.set(categoryId, { count: list.length, total: sumAmounts(list, currencyCode) });
+    }
+  }
+
+  return {
+    start,
+    end,
+    currencyCode,
+    total: overall.total,
+    count: overall.count,
+    categories,
+    byCategory,
+  };
+}
+
+export function buildDashboard(spend, budgets) {
+  /**
+   * Rows for the table and charts: every expense category (spent or budgeted), plus the
+   * uncategorized bucket when it has spend.
+   *
+   * Row: { categoryId, name, count, spent, budget, remaining, ratio, over }
+   * - budget/remaining/ratio are null without a budget; over is spent > budget.
+   */
+  const forCurrency = budgets?.[spend.currencyCode] ?? {};
+  const rows = spend.categories.map((c) => ({ categoryId: c.id, name: c.name }));
+  if (spend.byCategory.has(null)) rows.push({ categoryId: null, name: UNCATEGORIZED });
+
+  for (const r of rows) {
+    const agg = spend.byCategory.get(r.categoryId) ?? { count: 0, total: 0 };
+    const stored = r.categoryId != null ? forCurrency[r.categoryId] : null;
+    const budget = stored > 0 ? stored : null;
+    r.count = agg.count;
+    r.spent = agg.total;
+    r.budget = budget;
+    r.remaining = budget == null ? null : sumAmounts([budget, -agg.total], spend.currencyCode);
+    r.ratio = budget == null ? null : agg.total / budget;
+    r.over = budget != null && agg.total > budget;
+  }
+
+  rows.sort((a, b) => b.spent - a.spent || a.name.localeCompare(b.name));
+  const budgeted = sumAmounts(rows.map((r) => r.budget ?? 0), spend.currencyCode);
+  return {
+    rows,
+    total: spend.total,
+    budgeted,
+    overCount: rows.filter((r) => r.over).length,
+  };
+}
+
+function svg(tag, attrs, children) {
+  /**
+   * Create an SVG element. Text goes through textContent, so category names are never parsed
+   * as markup.
+   */
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs ?? {})) el.setAttribute(k, String(v));
+  for (const child of children ?? []) {
+    if (typeof child === "string") el.appendChild(document.createTextNode(child));
+    else if (child) el.appendChild(child);
+  }
+  return el;
+}
+
+export function renderBarChart(model, currencyCode) {
+  /**
+   * Horizontal bars: spend per category, with a tick at the budget. Over-budget bars are red.
+   * Categories without spend or budget are left out.
+   */
+  const rows = model.rows.filter((r) => r.spent > 0 || r.budget != null);
+  const width = 520;
+  const labelWidth = 130;
+  const valueWidth = 90;
+  const rowHeight = 26;
+  const barArea = width - labelWidth - valueWidth;
+  const height = Math.max(1, rows.length) * rowHeight + 8;
+  const scale = Math.max(1, ...rows.map((r) => Math.max(r.spent, r.budget ?? 0)));
+
+  const root = svg("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    width: "100%",
+    role: "img",
+    "aria-label": "Spend vs. budget per category",
+    class: "chart",
+  });
+  if (!rows.length) {
+    root.appendChild(svg("text", { x: 0, y: 18, class: "chart-muted" }, ["No expenses"]));
+    return root;
+  }
+
+  rows.forEach((r, i) => {
+    const y = i * rowHeight + 4;
+    const barWidth = (r.spent / scale) * barArea;
+    const label = r.name.length > 18 ? r.name.slice(0, 17) + "…" : r.name;
+    const spent = formatMoney(r.spent, currencyCode);
+    const tip = r.budget == null
+      ? `${r.name}: ${spent}`
+      : `${r.name}: ${spent} of ${formatMoney(r.budget, currencyCode)}`;
+
+    const group = svg("g", {}, [svg("title", {}, [tip])]);
+    group.appendChild(svg("text", { x: 0, y: y + 15, class: "chart-label" }, [label]));
+    group.appendChild(
+      svg("rect", { x: labelWidth, y: y + 4, width: barArea, height: 14, rx: 4, fill: "#f1f5f9" })
+    );
+    group.appendChild(
+      svg("rect", {
+        x: labelWidth,
+        y: y + 4,
+        width: Math.max(barWidth, r.spent > 0 ? 2 : 0),
+        height: 14,
+        rx: 4,
+        fill: r.over ? OVER_COLOR : PALETTE[0],
+      })
+    );
+    if (r.budget != null) {
+      const bx = labelWidth + (r.budget / scale) * barArea;
+      group.appendChild(
+        svg("line", { x1: bx, x2: bx, y1: y, y2: y + 22, stroke: "#0f172a", "stroke-width": 2 })
+      );
+    }
+    const valueClass = r.over ? "chart-over" : "chart-label";
+    group.appendChild(
+      svg("text", { x: width, y: y + 15, "text-anchor": "end", class: valueClass }, [spent])
+    );
+    root.appendChild(group);
+  });
+  return root;
+}
+
+export function renderDonutChart(model, currencyCode) {
+  /**
+   * Donut of each category's share of the month's spend, total in the middle.
+   * Over-budget categories are drawn in red.
+   */
+  const rows = model.rows.filter((r) => r.spent > 0);
+  const size = 180;
+  const radius = 70;
+  const circumference = 2 * Math.PI * radius;
+  const center = size / 2;
+
+  const root = svg("svg", {
+    viewBox: `0 0 ${size} ${size}`,
+    width: size,
+    height: size,
+    role: "img",
+    "aria-label": "Share of spend per category",
+    class: "chart",
+  });
+  const ring = { cx: center, cy: center, r: radius, fill: "none", "stroke-width": 24 };
+  root.appendChild(svg("circle", { ...ring, stroke: "#f1f5f9" }));
+
+  const total = rows.reduce((sum, r) => sum + r.spent, 0);
+  let offset = 0;
+  rows.forEach((r, i) => {
+    const length = (r.spent / total) * circumference;
+    const share = Math.round((r.spent / total) * 100);
+    root.appendChild(
+      svg(
+        "circle",
+        {
+          ...ring,
+          stroke: r.over ? OVER_COLOR : PALETTE[i % PALETTE.length],
+          "stroke-dasharray": `${length} ${circumference - length}`,
+          "stroke-dashoffset": -offset,
+          transform: `rotate(-90 ${center} ${center})`,
+        },
+        [svg("title", {}, [`${r.name}: ${formatMoney(r.spent, currencyCode)} (${share}%)`])]
+      )
+    );
+    offset += length;
+  });
+
+  const middle = { x: center, "text-anchor": "middle" };
+  root.appendChild(svg("text", { ...middle, y: center - 4, class: "chart-muted" }, ["Spent"]));
+  root.appendChild(
+    svg("text", { ...middle, y: center + 16, class: "chart-total" }, [
+      formatMoney(model.total, currencyCode),
+    ])
+  );
+  return root;
+}
@@ -0,0 +1,259 @@
+// Calendar export (Vanilla JS) — payment/income plans and overdue payments as an .ics file
+//
+// PURPOSE
+// - One recurring all-day VEVENT per plan (payment `cadence` / income `frequency` -> RRULE),
+//   with a VALARM ahead of every payment due date.
+// - One single VEVENT per overdue occurrence from `listOverduePayments`.
+// - RFC 5545 output: CRLF line endings, TEXT escaping and line folding at 75 octets.
+//
+// UIDs are derived from plan / occurrence ids, so importing a newer file into the same calendar
+// updates the events instead of duplicating them.
+
+import { formatMoney } from "./money.js";
+import { occurrenceId } from "./overdue-inbox.js";
+import { formatRrule, parseRrule, validateRrule } from "./rrule.js";
+import { downloadText } from "./transaction-export.js";
+
+const PRODID = "-//Acme Expenses//Bridge v1 starter//EN";
+const UID_DOMAIN = "acme-expenses";
+const MAX_OCTETS = 75;
+
+export function escapeText(value) {
+  /**
+   * RFC 5545 TEXT escaping (section 3.3.11): backslash, semicolon, comma and newlines.
+   * Other control characters are dropped.
+   */
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n")
+    .replace(/[\u0000-\u001f\u007f]/g, "");
+}
+
+export function foldLine(line) {
+  /**
+   * Fold a content line so no physical line exceeds 75 octets (UTF-8), never splitting a
+   * character. Continuation lines start with a single space (RFC 5545 section 3.1).
+   */
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (octets + size > MAX_OCTETS) {
+      out.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, "");
+}
+
+function icsDateTime(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDay(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+export function planRrule(plan, cadence) {
+  /**
+   * RRULE value for a plan, or null when it cannot be expressed.
+   *
+   * The app clamps monthly/yearly plans to the end of shorter months (Jan 31 -> Feb 28), while a
+   * plain FREQ=MONTHLY skips those months. Start days after the 28th therefore become "the last
+   * of BYMONTHDAY=28..day" (BYSETPOS=-1), which is the same clamping.
+   */
+  const day = Number(String(plan.startDate).slice(8, 10));
+  const clampDays = (d) => Array.from({ length: d - 27 }, (_, i) => 28 + i).join(",");
+
+  switch (cadence) {
+    case "WEEKLY":
+      return "FREQ=WEEKLY";
+    case "BIWEEKLY":
+      return "FREQ=WEEKLY;INTERVAL=2";
+    case "MONTHLY":
+      return day > 28 ? `FREQ=MONTHLY;BYMONTHDAY=${clampDays(day)};BYSETPOS=-1` : "FREQ=MONTHLY";
+    case "YEARLY": {
+      const month = Number(String(plan.startDate).slice(5, 7));
+      return month === 2 && day === 29
+        ? "FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1"
+        : "FREQ=YEARLY";
+    }
+    case "CUSTOM":
+      return plan.rrule ? formatRrule(parseRrule(plan.rrule)) : null;
+    default:
+      return null;
+  }
+}
+
+function amountText(item) {
+  return formatMoney(item.amount, item.currencyCode);
+}
+
+function alarmLines(daysBefore, summary) {
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeText(summary)}`,
+    daysBefore > 0 ? `TRIGGER:-P${daysBefore}D` : "TRIGGER:PT0S",
+    "END:VALARM",
+  ];
+}
+
+function eventLines(fields) {
+  /**
+   * An all-day VEVENT (DTEND is the next day, exclusive).
+   */
+  return [
+    "BEGIN:VEVENT",
+    `UID:${fields.uid}`,
+    `DTSTAMP:${fields.stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(fields.date)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(fields.date))}`,
+    fields.rrule ? `RRULE:${fields.rrule}` : null,
+    `SUMMARY:${escapeText(fields.summary)}`,
+    `DESCRIPTION:${escapeText(fields.description)}`,
+    `CATEGORIES:${escapeText(fields.category)}`,
+    "TRANSP:TRANSPARENT",
+    ...(fields.alarm ?? []),
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+export function buildCalendar(data, opts) {
+  /**
+   * Build the .ics text.
+   *
+   * Params:
+   * - data.paymentPlans, data.incomePlans, data.overdue: items from the list actions
+   * - opts.alarmDaysBefore (optional): days before each payment due date to alert, 0-30
+   *   (default 1; 0 = on the day; null = no alarms)
+   * - opts.now (optional): Date used for DTSTAMP (default: now)
+   * - opts.calendarName (optional): X-WR-CALNAME
+   *
+   * Returns { text, events, skipped } where skipped lists plans whose schedule has no RRULE
+   * equivalent ({ kind, planId, title, reason }). Paused income plans are left out.
+   */
+  const alarmDays = opts?.alarmDaysBefore === undefined ? 1 : opts.alarmDaysBefore;
+  if (alarmDays != null && !(Number.isInteger(alarmDays) && alarmDays >= 0 && alarmDays <= 30)) {
+    throw new Error("Calendar: alarmDaysBefore must be an integer between 0 and 30");
+  }
+  const stamp = icsDateTime(opts?.now ?? new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(opts?.calendarName ?? "Acme Expenses")}`,
+  ];
+  const skipped = [];
+  let events = 0;
+
+  const plans = [
+    ...(data.paymentPlans ?? []).map((p) => ({ kind: "payment", plan: p, cadence: p.cadence })),
+    ...(data.incomePlans ?? []).map((p) => ({ kind: "income", plan: p, cadence: p.frequency })),
+  ];
+  for (const { kind, plan, cadence } of plans) {
+    const ref = { kind, planId: plan.id, title: plan.title };
+    if (kind === "income" && plan.isPaused) continue;
+
+    let rrule;
+    let date = plan.startDate;
+    try {
+      rrule = planRrule(plan, cadence);
+      // RFC 5545 counts DTSTART as an occurrence even when the rule does not match it, so a
+      // CUSTOM event starts on the rule's first date on or after startDate instead.
+      if (rrule && cadence === "CUSTOM") date = validateRrule(parseRrule(rrule), plan.startDate);
+    } catch (err) {
+      skipped.push({ ...ref, reason: String(err?.message ?? err) });
+      continue;
+    }
+    if (!rrule) {
+      skipped.push({ ...ref, reason: `cadence ${cadence} has no RRULE` });
+      continue;
+    }
+
+    const label = kind === "payment" ? "Payment" : "Income";
+    const summary = `${label}: ${plan.title} (${amountText(plan)})`;
+    lines.push(
+      ...eventLines({
+        uid: `${kind}-plan-${plan.id}@${UID_DOMAIN}`,
+        stamp,
+        date,
+        rrule,
+        summary,
+        description: `${label} plan ${plan.id}, ${cadence.toLowerCase()} from ${plan.startDate}.`,
+        category: label,
+        alarm: kind === "payment" && alarmDays != null ? alarmLines(alarmDays, summary) : null,
+      })
+    );
+    events += 1;
+  }
+
+  for (const item of data.overdue ?? []) {
+    lines.push(
+      ...eventLines({
+        uid: `overdue-${occurrenceId(item).replace(/[^A-Za-z0-9_.-]/g, "-")}@${UID_DOMAIN}`,
+        stamp,
+        date: item.dueDate,
+        summary: `Overdue: ${item.title ?? item.planId} (${amountText(item)})`,
+        description: `Unpaid occurrence of payment plan ${item.planId}, due ${item.dueDate}.`,
+        category: "Overdue",
+      })
+    );
+    events += 1;
+  }
+
+  lines.push("END:VCALENDAR");
+  return { text: lines.map(foldLine).join("\r\n") + "\r\n", events, skipped };
+}
+
+export async function exportCalendar(bridge, opts) {
+  /**
+   * Fetch plans (and overdue occurrences unless opts.includeOverdue === false), build the
+   * calendar and download it. Same options as buildCalendar(), plus:
+   * - opts.overdueFilter (optional): (item) => boolean, e.g. to leave out settled items
+   * - opts.lookbackDays (optional): forwarded to listOverduePayments
+   *
+   * A failing listOverduePayments does not stop the export; it is returned in `failures`.
+   * Returns { filename, events, skipped, failures }.
+   */
+  const [payments, incomes] = await Promise.all([
+    bridge.listPaymentPlans(),
+    bridge.listIncomePlans(),
+  ]);
+  const failures = [];
+  let overdue = [];
+  if (opts?.includeOverdue !== false) {
+    try {
+      const payload = { limit: 100 };
+      if (opts?.lookbackDays) payload.lookbackDays = opts.lookbackDays;
+      overdue = (await bridge.listOverduePayments(payload)).items;
+      if (opts?.overdueFilter) overdue = overdue.filter(opts.overdueFilter);
+    } catch (err) {
+      const message = String(err?.message ?? err);
+      failures.push({ scope: "overdue", code: err?.code ?? null, message });
+    }
+  }
+
+  const { text, events, skipped } = buildCalendar(
+    { paymentPlans: payments.items, incomePlans: incomes.items, overdue },
+    opts
+  );
+  const filename = `acme-expenses-${new Date().toISOString().slice(0, 10)}.ics`;
+  downloadText(filename, "text/calendar;charset=utf-8", text);
+  return { filename, events, skipped, failures };
+}
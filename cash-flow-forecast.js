@@ -0,0 +1,217 @@
+// Cash-flow forecast (Vanilla JS) — project payment and income plans forward
+//
+// PURPOSE
+// - Expand every plan from `listPaymentPlans` / `listIncomePlans` into dated occurrences for
+//   the next N months (payment `cadence`, income `frequency`).
+// - Net income against payments per week or month, per currency, and flag periods where the
+//   projected outflow exceeds the inflow.
+//
+// Occurrences are computed from the plan's startDate, never from the previous occurrence, so a
+// plan starting on Jan 31 is due Feb 28 (Feb 29 in leap years), Mar 31, Apr 30, ... and a yearly
+// plan starting on Feb 29 falls on Feb 28 in common years and back on Feb 29 in leap years.
+
+import {
+  addDays,
+  dayNumber,
+  daysInMonth,
+  formatDateOnly,
+  localToday,
+  parseDateOnly,
+} from "./dates.js";
+import { sumAmounts } from "./money.js";
+import { expandRrule, parseRrule } from "./rrule.js";
+
+const MAX_MONTHS = 60;
+const MAX_OCCURRENCES_PER_PLAN = 5000;
+const STEP_DAYS = { WEEKLY: 7, BIWEEKLY: 14 };
+const STEP_MONTHS = { MONTHLY: 1, YEARLY: 12 };
+
+export function occurrenceDate(startDate, cadence, n) {
+  /**
+   * Date of the n-th occurrence (n = 0 is startDate) for WEEKLY, BIWEEKLY, MONTHLY or YEARLY.
+   * Month-based cadences clamp to the last day of shorter months.
+   * Returns null for an invalid startDate or a cadence that cannot be expanded (e.g. CUSTOM).
+   */
+  const d = parseDateOnly(startDate);
+  if (!d) return null;
+
+  if (STEP_DAYS[cadence]) {
+    return new Date(Date.UTC(d.year, d.month - 1, d.day + STEP_DAYS[cadence] * n))
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  if (STEP_MONTHS[cadence]) {
+    const index = d.month - 1 + STEP_MONTHS[cadence] * n;
+    const year = d.year + Math.floor(index / 12);
+    const month = (index % 12) + 1;
+    return formatDateOnly(year, month, Math.min(d.day, daysInMonth(year, month)));
+  }
+
+  return null;
+}
+
+export function expandOccurrences(startDate, cadence, from, to) {
+  /**
+   * Every occurrence date in [from, to] (YYYY-MM-DD, inclusive), in order.
+   * Returns null when the cadence cannot be expanded.
+   */
+  const start = parseDateOnly(startDate);
+  if (!start || occurrenceDate(startDate, cadence, 0) == null) return null;
+
+  // Jump close to `from` instead of walking a plan that started years ago occurrence by occurrence.
+  let n = 0;
+  if (startDate < from) {
+    if (STEP_DAYS[cadence]) {
+      n = Math.floor((dayNumber(from) - dayNumber(startDate)) / STEP_DAYS[cadence]);
+    } else {
+      const f = parseDateOnly(from);
+      const months = (f.year - start.year) * 12 + (f.month - start.month);
+      n = Math.max(0, Math.floor(months / STEP_MONTHS[cadence]) - 1);
+    }
+  }
+
+  const dates = [];
+  for (let i = 0; i < MAX_OCCURRENCES_PER_PLAN; i++, n++) {
+    const date = occurrenceDate(startDate, cadence, n);
+    if (date > to) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+}
+
+export function forecastWindow(from, months) {
+  /**
+   * { from, to } covering `months` calendar months starting at `from` (to is inclusive).
+   */
+  const count = Math.floor(Number(months));
+  if (!Number.isFinite(count) || count < 1 || count > MAX_MONTHS) {
+    throw new Error(`Forecast: months must be between 1 and ${MAX_MONTHS}`);
+  }
+  if (!parseDateOnly(from)) throw new Error("Forecast: from must be YYYY-MM-DD");
+  const end = occurrenceDate(from, "MONTHLY", count);
+  return { from, to: addDays(end, -1) };
+}
+
+function weekStart(date) {
+  /**
+   * Monday of the ISO week containing `date`.
+   */
+  const d = parseDateOnly(date);
+  const weekday = (new Date(Date.UTC(d.year, d.month - 1, d.day)).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+}
+
+function periodOf(date, granularity) {
+  if (granularity === "week") {
+    const start = weekStart(date);
+    return { key: start, start, end: addDays(start, 6) };
+  }
+  const d = parseDateOnly(date);
+  return {
+    key: date.slice(0, 7),
+    start: formatDateOnly(d.year, d.month, 1),
+    end: formatDateOnly(d.year, d.month, daysInMonth(d.year, d.month)),
+  };
+}
+
+export function buildForecast(plans, opts) {
+  /**
+   * Project plans into occurrences and per-period totals.
+   *
+   * Params:
+   * - plans.paymentPlans, plans.incomePlans: items from listPaymentPlans / listIncomePlans
+   * - opts.from (optional): first day, YYYY-MM-DD (default: today in the user's time zone)
+   * - opts.months (optional): how many months to project, 1-60 (default 3)
+   * - opts.granularity (optional): "month" (default) or "week" (weeks start on Monday)
+   *
+   * Returns { from, to, granularity, occurrences, periods, skipped }:
+   * - occurrences: [{ date, kind: "payment" | "income", planId, title, amount, currencyCode }]
+   * - periods: [{ key, start, end, currencyCode, inflow, outflow, net, deficit, count }], one
+   *   per period and currency (amounts in different currencies are never added up). Periods
+   *   without occurrences are included (with zeros) for every currency seen, so gaps show.
+   * - skipped: [{ kind, planId, title, reason }] for paused income plans and plans whose
+   *   cadence cannot be expanded (CUSTOM plans are expanded from their `rrule`, see rrule.js)
+   */
+  const granularity = opts?.granularity === "week" ? "week" : "month";
+  const { from, to } = forecastWindow(opts?.from ?? localToday(), opts?.months ?? 3);
+
+  const occurrences = [];
+  const skipped = [];
+  const sources = [
+    ...(plans.paymentPlans ?? []).map((p) => ({ kind: "payment", plan: p, cadence: p.cadence })),
+    ...(plans.incomePlans ?? []).map((p) => ({ kind: "income", plan: p, cadence: p.frequency })),
+  ];
+
+  for (const { kind, plan, cadence } of sources) {
+    const ref = { kind, planId: plan.id, title: plan.title };
+    if (kind === "income" && plan.isPaused) {
+      skipped.push({ ...ref, reason: "paused" });
+      continue;
+    }
+    let dates;
+    try {
+      dates = cadence === "CUSTOM" && plan.rrule
+        ? expandRrule(parseRrule(plan.rrule), plan.startDate, { from, to })
+        : expandOccurrences(plan.startDate, cadence, from, to);
+    } catch (err) {
+      skipped.push({ ...ref, reason: String(err?.message ?? err) });
+      continue;
+    }
+    if (!dates) {
+      skipped.push({ ...ref, reason: `cadence ${cadence} cannot be projected` });
+      continue;
+    }
+    for (const date of dates) {
+      occurrences.push({ date, ...ref, amount: plan.amount, currencyCode: plan.currencyCode });
+    }
+  }
+  occurrences.sort((a, b) => a.date.localeCompare(b.date) || a.kind.localeCompare(b.kind));
+
+  // Every period in the window, so weeks/months without occurrences still appear.
+  const windows = [];
+  for (let date = from; date <= to; ) {
+    const p = periodOf(date, granularity);
+    windows.push(p);
+    date = addDays(p.end, 1);
+  }
+
+  const currencies = [...new Set(occurrences.map((o) => o.currencyCode))].sort();
+  const byKey = new Map();
+  for (const w of windows) {
+    for (const currencyCode of currencies) {
+      byKey.set(`${w.key}|${currencyCode}`, {
+        ...w,
+        // The first and last period may be cut by the window.
+        start: w.start < from ? from : w.start,
+        end: w.end > to ? to : w.end,
+        currencyCode,
+        inflow: 0,
+        outflow: 0,
+        count: 0,
+      });
+    }
+  }
+  for (const o of occurrences) {
+    const p = byKey.get(`${periodOf(o.date, granularity).key}|${o.currencyCode}`);
+    if (o.kind === "income") p.inflow = sumAmounts([p.inflow, o.amount], o.currencyCode);
+    else p.outflow = sumAmounts([p.outflow, o.amount], o.currencyCode);
+    p.count += 1;
+  }
+
+  const periods = [...byKey.values()].map((p) => ({
+    ...p,
+    net: sumAmounts([p.inflow, -p.outflow], p.currencyCode),
+    deficit: p.outflow > p.inflow,
+  }));
+
+  return { from, to, granularity, occurrences, periods, skipped };
+}
+
+export async function loadForecast(bridge, opts) {
+  /**
+   * Fetch both plan lists and build the forecast (same opts as buildForecast()).
+   */
+  const [payments, incomes] = await Promise.all([bridge.listPaymentPlans(), bridge.listIncomePlans()]);
+  return buildForecast({ paymentPlans: payments.items, incomePlans: incomes.items }, opts);
+}
@@ -0,0 +1,76 @@
+// CSV (Vanilla JS) — reading and writing comma/semicolon/tab separated text
+//
+// PURPOSE
+// - Tokenize CSV into rows for the statement import and the exchange-rate table.
+// - Quote cells for the CSV export.
+
+function detectDelimiter(firstLine) {
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+export function parseCsv(text, opts) {
+  /**
+   * RFC 4180-ish CSV parser: quoted fields, "" escapes and line breaks inside quotes.
+   *
+   * Params:
+   * - opts.delimiter (optional): "," ";" or "\t" (auto-detected from the first line by default)
+   * - opts.hasHeader (optional): first row holds column names (default true)
+   */
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const delimiter = opts?.delimiter || detectDelimiter(src.split(/\r?\n/, 1)[0] ?? "");
+
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((c) => c.trim() !== ""));
+  const hasHeader = opts?.hasHeader ?? true;
+  const width = Math.max(0, ...nonEmpty.map((r) => r.length));
+  const columns = hasHeader
+    ? Array.from({ length: width }, (_, i) => (nonEmpty[0]?.[i] ?? "").trim() || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  return { columns, rows: hasHeader ? nonEmpty.slice(1) : nonEmpty };
+}
+
+export function csvCell(value, isText) {
+  /**
+   * RFC 4180 quoting. Free-text cells starting with = + - @ are prefixed with ' so spreadsheets
+   * do not evaluate them as formulas (CSV injection).
+   */
+  let s = value == null ? "" : String(value);
+  if (isText && /^[=+\-@]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,76 @@
+// Dates (Vanilla JS) — date-only ("YYYY-MM-DD") helpers for plans, forecasts and the inbox
+//
+// PURPOSE
+// - Parse, format and step calendar dates. A date-only string is a day, not an instant: day
+//   arithmetic runs on UTC day numbers, so it never shifts across a DST change.
+// - Today's date in the user's time zone (what "due today" means to them).
+// - Step { year, month } months (budget dashboard, the rules engine's learning window).
+
+const DAY_MS = 86400000;
+
+export function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function daysInMonth(year, month) {
+  /**
+   * Number of days in a month (month is 1-12). Handles leap years via Date rollover.
+   */
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function parseDateOnly(s) {
+  /**
+   * "YYYY-MM-DD" -> { year, month, day } (month 1-12), or null for anything else, including
+   * impossible dates like 2026-02-30.
+   */
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s ?? ""));
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+  return { year, month, day };
+}
+
+export function formatDateOnly(year, month, day) {
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+export function dayNumber(date) {
+  /**
+   * Days since 1970-01-01 for a "YYYY-MM-DD" date (NaN when invalid).
+   */
+  const d = parseDateOnly(date);
+  return d ? Date.UTC(d.year, d.month - 1, d.day) / DAY_MS : NaN;
+}
+
+export function fromDayNumber(n) {
+  return new Date(n * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function addDays(date, days) {
+  return fromDayNumber(dayNumber(date) + days);
+}
+
+export function shiftMonth({ year, month }, delta) {
+  /**
+   * The { year, month } `delta` months after (or before, when negative) the given one.
+   */
+  const index = year * 12 + (month - 1) + delta;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+export function formatLocalDate(d) {
+  /**
+   * Calendar day of a Date in the user's time zone as "YYYY-MM-DD".
+   */
+  return formatDateOnly(d.getFullYear(), d.getMonth() + 1, d.getDate());
+}
+
+export function localToday() {
+  /**
+   * Today's date in the user's time zone as YYYY-MM-DD.
+   */
+  return formatLocalDate(new Date());
+}
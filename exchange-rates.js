@@ -0,0 +1,233 @@
+// Exchange rates (Vanilla JS) — combined totals across currencies from a local, dated rate table
+//
+// PURPOSE
+// - Keep a user-maintained table of dated exchange rates in localStorage (per host),
+//   importable from CSV (date, from, to, rate).
+// - Query `getTransactionRangeDetails` once per currency and convert every total into one base
+//   currency, keeping the original amount, the rate and the date of the rate used.
+//
+// Bridge v1 aggregates one currency at a time (`currencyCode`), and the host has no rates of its
+// own, so conversion happens here. A range is converted with the latest rate dated on or before
+// the range's end date. A rate entered as EUR -> USD is also used (inverted) for USD -> EUR.
+
+import { parseCsv } from "./csv.js";
+import { currencyDigits, fromMinor, normalizeCurrencyCode, toMinor } from "./money.js";
+import { storageKey } from "./storage.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function rateKey(r) {
+  return `${r.date}|${r.from}|${r.to}`;
+}
+
+function sortRates(rates) {
+  return rates.sort((a, b) => a.date.localeCompare(b.date) || rateKey(a).localeCompare(rateKey(b)));
+}
+
+export function loadRates(context) {
+  /**
+   * Stored rates as [{ date: "YYYY-MM-DD", from, to, rate }] (1 `from` = rate `to`), oldest
+   * first. Returns [] when nothing is stored or storage is unavailable/corrupt.
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(context, "rates"));
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveRates(context, rates) {
+  const sorted = sortRates([...rates]);
+  globalThis.localStorage?.setItem(storageKey(context, "rates"), JSON.stringify(sorted));
+  return sorted;
+}
+
+export function mergeRates(existing, incoming) {
+  /**
+   * Union of two rate lists; an incoming rate replaces an existing one for the same date and pair.
+   */
+  const byKey = new Map(existing.map((r) => [rateKey(r), r]));
+  for (const r of incoming) byKey.set(rateKey(r), r);
+  return sortRates([...byKey.values()]);
+}
+
+function parseRate(raw) {
+  /**
+   * Positive decimal with "." or "," as decimal separator (no thousands separators: "1,085" is
+   * 1.085, never 1085).
+   */
+  const s = String(raw ?? "").trim().replace(",", ".");
+  if (!/^\d+(\.\d+)?$/.test(s)) return NaN;
+  const n = Number(s);
+  return n > 0 ? n : NaN;
+}
+
+export function parseRatesCsv(text) {
+  /**
+   * Parse a rates CSV: columns date (YYYY-MM-DD), from, to, rate, meaning 1 `from` = rate `to`.
+   * A header row naming the columns (any order; "base"/"quote" also accepted) is optional;
+   * without one the columns are taken in that order. Delimiter "," ";" or tab.
+   *
+   * Returns { rates, errors } where errors is [{ line, message }] for rows that were skipped.
+   */
+  const { rows } = parseCsv(text, { hasHeader: false });
+  let order = { date: 0, from: 1, to: 2, rate: 3 };
+  let first = 0;
+
+  const header = (rows[0] ?? []).map((c) => c.trim().toLowerCase());
+  if (rows.length && !DATE_RE.test(header[0] ?? "") && Number.isNaN(parseRate(header[3]))) {
+    const find = (...names) => header.findIndex((h) => names.includes(h));
+    order = {
+      date: find("date", "day"),
+      from: find("from", "base", "source"),
+      to: find("to", "quote", "target"),
+      rate: find("rate", "value"),
+    };
+    const missing = Object.entries(order).filter(([, i]) => i < 0).map(([k]) => k);
+    if (missing.length) {
+      const message = `missing column(s): ${missing.join(", ")}`;
+      return { rates: [], errors: [{ line: 1, message }] };
+    }
+    first = 1;
+  }
+
+  const rates = [];
+  const errors = [];
+  for (let i = first; i < rows.length; i++) {
+    const row = rows[i];
+    const line = i + 1;
+    const date = String(row[order.date] ?? "").trim();
+    const rate = parseRate(row[order.rate]);
+    try {
+      if (!DATE_RE.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new Error(`invalid date "${date}" (expected YYYY-MM-DD)`);
+      }
+      const from = normalizeCurrencyCode(row[order.from]);
+      const to = normalizeCurrencyCode(row[order.to]);
+      if (from === to) throw new Error(`${from} -> ${to} is not an exchange rate`);
+      if (Number.isNaN(rate)) throw new Error(`invalid rate "${String(row[order.rate] ?? "")}"`);
+      rates.push({ date, from, to, rate });
+    } catch (err) {
+      errors.push({ line, message: String(err?.message ?? err) });
+    }
+  }
+  return { rates, errors };
+}
+
+export function findRate(rates, from, to, date) {
+  /**
+   * The rate converting `from` into `to` on `date`: the latest one dated on or before it, direct
+   * (from -> to) or inverted (to -> from). A same-day direct rate wins over an inverted one.
+   *
+   * Returns { rate, date, inverted } or null. Same currency -> { rate: 1, date: null }.
+   */
+  if (from === to) return { rate: 1, date: null, inverted: false };
+  let best = null;
+  for (const r of rates) {
+    if (r.date > date) continue;
+    const direct = r.from === from && r.to === to;
+    const inverse = r.from === to && r.to === from;
+    if (!direct && !inverse) continue;
+    if (best && (r.date < best.date || (r.date === best.date && !direct))) continue;
+    best = { rate: direct ? r.rate : 1 / r.rate, date: r.date, inverted: !direct };
+  }
+  return best;
+}
+
+export function convertAmount(amount, from, to, rate) {
+  /**
+   * Convert a major-unit amount with `rate`, rounded to the target currency's minor unit.
+   */
+  const minor = toMinor(amount, from);
+  const scale = 10 ** (currencyDigits(to) - currencyDigits(from));
+  return fromMinor(Math.round(minor * rate * scale), to);
+}
+
+function parseCurrencyList(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(/[\s,;]+/);
+  return [...new Set(list.filter((c) => String(c).trim()).map(normalizeCurrencyCode))];
+}
+
+export function rateCurrencies(rates) {
+  /**
+   * Every currency that appears in the rate table, sorted.
+   */
+  return [...new Set(rates.flatMap((r) => [r.from, r.to]))].sort();
+}
+
+export async function loadConvertedTotals(bridge, opts) {
+  /**
+   * Per-currency totals for a range, converted into a base currency.
+   *
+   * Params:
+   * - opts.start, opts.end (required): ISO instants, as for getTransactionRangeDetails
+   * - opts.type (optional): "EXPENSE" (default) | "INCOME"
+   * - opts.baseCurrency (required): ISO 4217 code to convert into
+   * - opts.currencies (optional): codes to query (array or "EUR, USD"); default: the base
+   *   currency plus every currency in the rate table
+   * - opts.rates: loadRates()
+   *
+   * Also asks for the range without a currency, so transactions in currencies that were not
+   * queried are reported as `uncovered` instead of silently missing from the total.
+   *
+   * Returns { start, end, type, baseCurrency, rateDate, rows, total, missingRates, uncovered }:
+   * - rows: [{ currencyCode, count, total, rate, rateDate, inverted, converted }] (rate,
+   *   rateDate and converted are null when no rate is available)
+   * - total: sum of the converted rows, in the base currency
+   * - missingRates: codes with transactions but no usable rate (not in `total`)
+   * - uncovered: { count } transactions in currencies that were not queried
+   */
+  const baseCurrency = normalizeCurrencyCode(opts.baseCurrency);
+  const rates = opts.rates ?? [];
+  const currencies = parseCurrencyList(opts.currencies);
+  if (!currencies.length) currencies.push(...new Set([baseCurrency, ...rateCurrencies(rates)]));
+
+  const type = opts.type === "INCOME" ? "INCOME" : "EXPENSE";
+  const query = { start: opts.start, end: opts.end, type };
+  const rateDate = String(opts.end).slice(0, 10);
+
+  const [overall, ...details] = await Promise.all([
+    bridge.getTransactionRangeDetails(query),
+    ...currencies.map((currencyCode) =>
+      bridge.getTransactionRangeDetails({ ...query, currencyCode })
+    ),
+  ]);
+
+  let totalMinor = 0;
+  const missingRates = [];
+  const rows = currencies.map((currencyCode, i) => {
+    const res = details[i];
+    const found = findRate(rates, currencyCode, baseCurrency, rateDate);
+    const row = {
+      currencyCode,
+      count: res.count,
+      total: res.total,
+      rate: found?.rate ?? null,
+      rateDate: found?.date ?? null,
+      inverted: found?.inverted ?? false,
+      converted: null,
+    };
+    if (found) {
+      row.converted = convertAmount(res.total, currencyCode, baseCurrency, found.rate);
+      totalMinor += toMinor(row.converted, baseCurrency);
+    } else if (res.count > 0) {
+      missingRates.push(currencyCode);
+    }
+    return row;
+  });
+
+  const covered = rows.reduce((sum, r) => sum + r.count, 0);
+  return {
+    start: opts.start,
+    end: opts.end,
+    type,
+    baseCurrency,
+    rateDate,
+    rows,
+    total: fromMinor(totalMinor, baseCurrency),
+    missingRates,
+    uncovered: { count: Math.max(0, overall.count - covered) },
+  };
+}
@@ -0,0 +1,180 @@
+// Host config (Vanilla JS) — allowed host origins per deployment, without editing the code
+//
+// PURPOSE
+// - Collect the host origins the app may be embedded by from three sources:
+//   1. a JSON config file served next to the app (`app-config.json`)
+//   2. a `<meta name="apps-bridge-host-origins">` tag (comma or space separated)
+//   3. a signed `hostOrigin` query parameter added by the host to the iframe URL
+// - Hand the list to createAppsBridgeV1({ allowedParentOrigins }); the bridge locks itself to
+//   the one that actually sends the first valid HOST_CONTEXT.
+//
+// The query parameter is only trusted with a valid `hostOriginSig`: an ECDSA P-256 / SHA-256
+// signature (base64url, raw r||s as WebCrypto produces it) of "<origin>|<hostOriginExp>", checked
+// against the public key from the config file or the `apps-bridge-host-origin-key` meta tag.
+// Anyone can edit a URL; only the key holder can sign one, and a leaked URL stops working at
+// `hostOriginExp` (Unix seconds).
+//
+// Origins are normalized by the bridge's normalizeAllowedOrigin() (app.js), passed in by the
+// caller, so this module and the bridge always agree on what an origin is.
+
+export const CONFIG_URL = "./app-config.json";
+export const ORIGINS_META = "apps-bridge-host-origins";
+export const KEY_META = "apps-bridge-host-origin-key";
+
+const SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+
+export function parseOriginList(input, normalizeOrigin) {
+  /**
+   * Origins from an array or a comma/space separated string, each normalized with
+   * `normalizeOrigin` (the bridge's normalizeAllowedOrigin(): "" for anything invalid).
+   * Returns { origins, invalid } (deduplicated, in order; invalid entries as given).
+   */
+  const list = Array.isArray(input) ? input : String(input ?? "").split(/[\s,]+/);
+  const origins = [];
+  const invalid = [];
+  for (const raw of list) {
+    if (!String(raw ?? "").trim()) continue;
+    const origin = normalizeOrigin(String(raw));
+    if (!origin) invalid.push(String(raw));
+    else if (!origins.includes(origin)) origins.push(origin);
+  }
+  return { origins, invalid };
+}
+
+function metaContent(doc, name) {
+  return doc?.querySelector?.(`meta[name="${name}"]`)?.getAttribute("content")?.trim() || "";
+}
+
+function base64UrlBytes(text) {
+  const b64 = String(text).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function importPublicKey(key) {
+  /**
+   * A JWK object, or a base64/base64url SPKI string.
+   */
+  if (key && typeof key === "object") {
+    return crypto.subtle.importKey("jwk", key, KEY_ALGORITHM, false, ["verify"]);
+  }
+  return crypto.subtle.importKey("spki", base64UrlBytes(key), KEY_ALGORITHM, false, ["verify"]);
+}
+
+export async function verifyOriginSignature(origin, exp, signature, key) {
+  /**
+   * True when `signature` (base64url) is a valid ECDSA P-256 / SHA-256 signature of
+   * "<origin>|<exp>" for the public `key`. Malformed input is false, never an exception.
+   * Checking that `exp` is still in the future is up to the caller.
+   */
+  try {
+    const publicKey = await importPublicKey(key);
+    const data = new TextEncoder().encode(`${origin}|${exp}`);
+    return await crypto.subtle.verify(SIGN_ALGORITHM, publicKey, base64UrlBytes(signature), data);
+  } catch {
+    return false;
+  }
+}
+
+async function readConfigFile(url, fetchImpl) {
+  /**
+   * { hostOrigins, hostOriginKey } from the config file, or null when there is none (404).
+   */
+  const res = await fetchImpl(url, { cache: "no-store", credentials: "same-origin" });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json || typeof json !== "object") throw new Error("expected a JSON object");
+  return json;
+}
+
+export async function loadHostConfig(opts) {
+  /**
+   * Collect the allowed host origins.
+   *
+   * Params:
+   * - opts.normalizeOrigin (required): the bridge's normalizeAllowedOrigin()
+   * - opts.configUrl (optional): config file URL (default "./app-config.json"); null skips it
+   * - opts.document, opts.location, opts.fetch, opts.now (optional): for tests (default: globals,
+   *   Date.now())
+   *
+   * Config file: { "hostOrigins": ["https://..."], "hostOriginKey": <JWK or SPKI base64> }
+   * Query: ?hostOrigin=https://staging.example&hostOriginExp=<Unix seconds>
+   *   &hostOriginSig=<base64url signature of "https://staging.example|<exp>">
+   *
+   * Returns { origins, sources, problems }:
+   * - origins: union of every source, in the order above, deduplicated
+   * - sources: { [origin]: ["config" | "meta" | "query", ...] }
+   * - problems: human-readable reasons a source was ignored in whole or in part; a missing
+   *   config file or meta tag is not a problem
+   */
+  const normalizeOrigin = opts?.normalizeOrigin;
+  if (typeof normalizeOrigin !== "function") {
+    throw new Error("[host-config] normalizeOrigin is required");
+  }
+  const doc = opts?.document ?? globalThis.document;
+  const location = opts?.location ?? globalThis.location;
+  const fetchImpl = opts?.fetch ?? globalThis.fetch?.bind(globalThis);
+  const configUrl = opts?.configUrl === undefined ? CONFIG_URL : opts.configUrl;
+
+  const origins = [];
+  const sources = {};
+  const problems = [];
+  const add = (list, source) => {
+    for (const origin of list) {
+      if (!origins.includes(origin)) origins.push(origin);
+      sources[origin] = [...new Set([...(sources[origin] ?? []), source])];
+    }
+  };
+
+  let key = metaContent(doc, KEY_META) || null;
+
+  if (configUrl && fetchImpl) {
+    try {
+      const config = await readConfigFile(configUrl, fetchImpl);
+      if (config) {
+        const parsed = parseOriginList(config.hostOrigins ?? [], normalizeOrigin);
+        const { origins: list, invalid } = parsed;
+        if (invalid.length) problems.push(`config file: invalid origin(s) ${invalid.join(", ")}`);
+        add(list, "config");
+        key = config.hostOriginKey ?? key;
+      }
+    } catch (err) {
+      problems.push(`config file ${configUrl}: ${String(err?.message ?? err)}`);
+    }
+  }
+
+  const meta = metaContent(doc, ORIGINS_META);
+  if (meta) {
+    const { origins: list, invalid } = parseOriginList(meta, normalizeOrigin);
+    if (invalid.length) problems.push(`meta tag: invalid origin(s) ${invalid.join(", ")}`);
+    add(list, "meta");
+  }
+
+  const params = new URLSearchParams(location?.search ?? "");
+  const queried = params.get("hostOrigin");
+  if (queried) {
+    const origin = normalizeOrigin(queried);
+    const signature = params.get("hostOriginSig");
+    const exp = params.get("hostOriginExp") ?? "";
+    const now = opts?.now ?? Date.now();
+    if (!origin) {
+      problems.push(`query: invalid hostOrigin "${queried}"`);
+    } else if (!signature) {
+      problems.push("query: hostOrigin ignored (no hostOriginSig)");
+    } else if (!/^\d{1,12}$/.test(exp)) {
+      problems.push("query: hostOrigin ignored (no valid hostOriginExp)");
+    } else if (Number(exp) * 1000 <= now) {
+      problems.push(`query: hostOrigin expired at ${new Date(Number(exp) * 1000).toISOString()}`);
+    } else if (!key) {
+      problems.push("query: hostOrigin ignored (no public key configured)");
+    } else if (!(await verifyOriginSignature(origin, exp, signature, key))) {
+      problems.push(`query: hostOriginSig does not match ${origin}`);
+    } else {
+      add([origin], "query");
+    }
+  }
+
+  return { origins, sources, problems };
+}
@@ -0,0 +1,16 @@
+// Ids (Vanilla JS) — unique ids for bridge requests, idempotency keys and category rules
+//
+// PURPOSE
+// - One generator, so every id has the same format: a UUID where crypto.randomUUID() exists,
+//   else a prefixed timestamp + random suffix.
+
+export function newId(prefix) {
+  /**
+   * Generate a unique id.
+   * - Prefer crypto.randomUUID() when available.
+   * - Fallback to `${prefix}_` + timestamp + random suffix.
+   */
+  const g = globalThis;
+  if (g?.crypto?.randomUUID) return g.crypto.randomUUID();
+  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
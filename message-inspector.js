@@ -0,0 +1,171 @@
+// Message inspector (Vanilla JS) — devtools-style log of the iframe/host conversation
+//
+// PURPOSE
+// - A bridge middleware (createAppsBridgeV1 `middleware` / `use()`) that records every outgoing
+//   message, every incoming HOST_CONTEXT / RESULT / ERROR with its round-trip time, every failed
+//   request, and every dropped message with the reason it was ignored.
+// - Diff each message against the previous one of the same kind, so a changed HOST_CONTEXT or a
+//   request re-sent with other parameters stands out.
+//
+// The inspector only observes: its hooks never return replacements and never throw.
+
+const DEFAULT_LIMIT = 200;
+const MAX_DIFF_ENTRIES = 50;
+
+function isObject(v) {
+  return v !== null && typeof v === "object";
+}
+
+function snapshot(value) {
+  /**
+   * Detached copy of a message (later mutations by the app must not change the log).
+   */
+  try {
+    return structuredClone(value);
+  } catch {
+    return JSON.parse(JSON.stringify(value ?? null));
+  }
+}
+
+export function diffJson(before, after, path = "$", out = []) {
+  /**
+   * Differences between two JSON-like values as [{ path, kind, before?, after? }] where kind is
+   * "added" | "removed" | "changed". Arrays are compared index by index. At most 50 entries.
+   */
+  if (out.length >= MAX_DIFF_ENTRIES || Object.is(before, after)) return out;
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (out.length >= MAX_DIFF_ENTRIES) break;
+      const p = Array.isArray(after) ? `${path}[${key}]` : `${path}.${key}`;
+      if (!(key in after)) out.push({ path: p, kind: "removed", before: before[key] });
+      else if (!(key in before)) out.push({ path: p, kind: "added", after: after[key] });
+      else diffJson(before[key], after[key], p, out);
+    }
+    return out;
+  }
+  out.push({ path, kind: "changed", before, after });
+  return out;
+}
+
+function errorInfo(err) {
+  return {
+    name: err?.name ?? "Error",
+    code: err?.name === "AbortError" ? "AbortError" : err?.code ?? null,
+    message: String(err?.message ?? err),
+    preflight: err?.preflight || undefined,
+  };
+}
+
+export function createInspector(opts) {
+  /**
+   * Create an inspector.
+   *
+   * Params:
+   * - opts.limit (optional): entries kept, oldest dropped first (default 200)
+   * - opts.onEntry (optional): called with every new entry
+   *
+   * Entry: { id, at, kind, type, requestId, requestType, durationMs, data, reason, diff }
+   *   (+ origin for dropped messages)
+   * - kind: "out" (sent), "in" (accepted from the host), "error" (request rejected, incl.
+   *   timeouts and aborts) or "dropped" (incoming message ignored; `reason` says why)
+   * - diff: diffJson() of the message body (payload / result / error) against the previous
+   *   entry of the same kind and request type; null for the first one
+   *
+   * Returns { middleware, entries(), clear(), recording }; set `recording = false` to pause.
+   * Middleware runs in order, so register the inspector last to log messages as other
+   * middleware left them.
+   */
+  const limit = Math.max(1, Math.floor(Number(opts?.limit) || DEFAULT_LIMIT));
+  const list = [];
+  const lastBody = new Map();
+  let nextId = 1;
+
+  const inspector = {
+    recording: true,
+    entries: () => [...list],
+    clear() {
+      list.length = 0;
+      lastBody.clear();
+    },
+    middleware: null,
+  };
+
+  function record(fields, body) {
+    if (!inspector.recording) return;
+    const key = `${fields.kind}|${fields.requestType ?? fields.type}`;
+    const hasBody = body !== undefined;
+    const entry = {
+      id: nextId++,
+      at: new Date().toISOString(),
+      requestId: null,
+      requestType: null,
+      durationMs: null,
+      reason: null,
+      ...fields,
+      diff: hasBody && lastBody.has(key) ? diffJson(lastBody.get(key), body) : null,
+    };
+    if (hasBody) lastBody.set(key, body);
+    list.push(entry);
+    if (list.length > limit) list.splice(0, list.length - limit);
+    try {
+      opts?.onEntry?.(entry);
+    } catch (err) {
+      // Surface the error without breaking the bridge call that is being recorded.
+      queueMicrotask(() => {
+        throw err;
+      });
+    }
+  }
+
+  inspector.middleware = {
+    beforeSend(message, info) {
+      const data = snapshot(message);
+      record({ kind: "out", type: info.type, requestId: info.requestId, data }, data?.payload);
+    },
+    afterReceive(message, info) {
+      const data = snapshot(message);
+      const body = data.type === "HOST_CONTEXT" ? data.payload : data.result ?? data.error;
+      record(
+        {
+          kind: "in",
+          type: info.type,
+          requestId: info.requestId,
+          requestType: info.requestType,
+          durationMs: info.durationMs,
+          data,
+        },
+        body
+      );
+    },
+    onError(err, info) {
+      record({
+        kind: "error",
+        type: info.type,
+        requestId: info.requestId,
+        requestType: info.type,
+        durationMs: info.sent ? info.durationMs : null,
+        data: errorInfo(err),
+        reason: info.sent ? null : "not sent",
+      });
+    },
+    onDrop(data, info) {
+      let copy;
+      try {
+        copy = snapshot(data);
+      } catch {
+        copy = String(data);
+      }
+      record({
+        kind: "dropped",
+        type: isObject(data) && typeof data.type === "string" ? data.type : "(unknown)",
+        requestId: isObject(data) && typeof data.requestId === "string" ? data.requestId : null,
+        data: copy,
+        origin: info.origin,
+        reason: info.reason,
+      });
+    },
+  };
+
+  return inspector;
+}
@@ -0,0 +1,783 @@
+// Mock host (Vanilla JS) — Bridge v1 stand-in for offline development and automated tests
+//
+// PURPOSE
+// - Embeds the app in an iframe and answers Bridge v1 messages the way MyBudgetSocial does.
+// - Serves every action from an in-memory ledger (transactions, categories, payment/income plans).
+// - Lets you configure HOST_CONTEXT (auth state, permissions, platform mode) and inject
+//   NOT_AUTHED / MISSING_PERMISSION / UNKNOWN errors, slow responses and dropped responses.
+//
+// SECURITY NOTES
+// - Only messages whose `event.source` is the embedded iframe and whose `event.origin` is the
+//   app origin are answered (same hardening as the real host).
+// - Replies always use the exact app origin as `targetOrigin` (never "*").
+//
+// This module has no side effects: `mock-host.html` wires it to a page, and tests can drive
+// `createMockLedger()` / `createMockHost()` directly.
+
+import { daysInMonth, formatDateOnly, pad2, parseDateOnly } from "./dates.js";
+
+const CREATE_PERMISSION = "finance:transactions:create";
+
+const ERROR_CODES = ["MISSING_PERMISSION", "NOT_AUTHED", "UNKNOWN"];
+
+/**
+ * Every message type the mock host answers (besides APP_READY).
+ * Used by the fault-injection UI and by `setFault("*", ...)`.
+ */
+export const MOCK_ACTION_TYPES = [
+  "REQUEST_HOST_CONTEXT",
+  "CREATE_EXPENSE",
+  "CREATE_INCOME",
+  "LIST_TRANSACTIONS_MONTH",
+  "GET_TRANSACTION_RANGE_DETAILS",
+  "LIST_CATEGORIES",
+  "CREATE_PAYMENT_PLAN",
+  "LIST_PAYMENT_PLANS",
+  "CREATE_INCOME_PLAN",
+  "LIST_INCOME_PLANS",
+  "LIST_OVERDUE_PAYMENTS",
+];
+
+/**
+ * Bridge protocol versions the mock host speaks.
+ */
+export const MOCK_PROTOCOL_VERSIONS = [1];
+
+function hostError(code, message) {
+  /**
+   * Build an Error carrying a Bridge v1 error code.
+   * Thrown by ledger handlers and turned into an ERROR message by the host.
+   */
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function isoDay(date) {
+  /**
+   * UTC calendar day of a Date as "YYYY-MM-DD".
+   */
+  return date.toISOString().slice(0, 10);
+}
+
+function nthOccurrence(startDate, cadence, n) {
+  /**
+   * Date of the n-th occurrence (n = 0 is startDate) of a plan.
+   *
+   * Occurrences are always computed from the start date (not from the previous occurrence),
+   * so a plan starting on Jan 31 is due Feb 28/29, Mar 31, Apr 30, ... without drifting.
+   *
+   * Returns null for cadences the mock cannot expand (e.g. CUSTOM).
+   */
+  const d = parseDateOnly(startDate);
+  if (!d) return null;
+
+  if (cadence === "WEEKLY" || cadence === "BIWEEKLY") {
+    const step = cadence === "WEEKLY" ? 7 : 14;
+    return isoDay(new Date(Date.UTC(d.year, d.month - 1, d.day + step * n)));
+  }
+
+  if (cadence === "MONTHLY" || cadence === "YEARLY") {
+    const months = cadence === "MONTHLY" ? n : n * 12;
+    const index = d.month - 1 + months;
+    const year = d.year + Math.floor(index / 12);
+    const month = (index % 12) + 1;
+    return formatDateOnly(year, month, Math.min(d.day, daysInMonth(year, month)));
+  }
+
+  return null;
+}
+
+function requireAmount(payload) {
+  const amount = payload?.amount;
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    throw hostError("UNKNOWN", "Validation failed: amount must be a number > 0");
+  }
+  return amount;
+}
+
+function optionalString(payload, key) {
+  const v = payload?.[key];
+  if (v == null || v === "") return null;
+  if (typeof v !== "string") throw hostError("UNKNOWN", `Validation failed: ${key} must be a string`);
+  return v;
+}
+
+function requireIsoInstant(payload, key) {
+  const v = payload?.[key];
+  if (typeof v !== "string" || Number.isNaN(Date.parse(v))) {
+    throw hostError("UNKNOWN", `Validation failed: ${key} must be an ISO date-time`);
+  }
+  return new Date(v).toISOString();
+}
+
+function requireCurrency(payload, fallback) {
+  const v = payload?.currencyCode ?? fallback;
+  if (typeof v !== "string" || !/^[A-Z]{3}$/.test(v)) {
+    throw hostError("UNKNOWN", "Validation failed: currencyCode must be a 3-letter ISO 4217 code");
+  }
+  return v;
+}
+
+function roundAmount(n) {
+  /**
+   * Strip floating-point noise from sums (0.1 + 0.2 -> 0.3) the way a DB decimal column would.
+   */
+  return Math.round(n * 1e6) / 1e6;
+}
+
+function seedLedger(ledger, now) {
+  /**
+   * Populate a ledger with a small, realistic data set relative to `now`:
+   * categories of every type, transactions in the current and previous month,
+   * one payment plan with overdue occurrences and one income plan.
+   */
+  const meals = ledger.addCategory({ name: "Meals", type: "EXPENSE" });
+  const travel = ledger.addCategory({ name: "Travel", type: "EXPENSE" });
+  const office = ledger.addCategory({ name: "Office", type: "EXPENSE" });
+  const salary = ledger.addCategory({ name: "Salary", type: "INCOME" });
+  ledger.addCategory({ name: "Refunds", type: "BOTH" });
+
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const at = (monthOffset, day, hour) =>
+    new Date(Date.UTC(y, m + monthOffset, day, hour)).toISOString();
+
+  const rows = [
+    ["INCOME", 3200, "EUR", "Salary", at(-1, 1, 9), salary],
+    ["EXPENSE", 18.5, "EUR", "Lunch with client", at(-1, 4, 12), meals],
+    ["EXPENSE", 240, "EUR", "Train tickets", at(-1, 12, 8), travel],
+    ["EXPENSE", 42.99, "USD", "Printer toner", at(-1, 20, 15), office],
+    ["INCOME", 3200, "EUR", "Salary", at(0, 1, 9), salary],
+    ["EXPENSE", 12.4, "EUR", "Team coffee", at(0, 2, 10), meals],
+    ["EXPENSE", 65, "GBP", "Taxi to airport", at(0, 3, 6), travel],
+    ["EXPENSE", 9.99, "EUR", "Notebooks", at(0, 3, 16), null],
+  ];
+  for (const [type, amount, currencyCode, note, occurredAt, category] of rows) {
+    ledger.addTransaction({ type, amount, currencyCode, note, occurredAt, categoryId: category?.id });
+  }
+
+  ledger.addPaymentPlan({
+    title: "Internet",
+    amount: 29.99,
+    currencyCode: "EUR",
+    cadence: "MONTHLY",
+    startDate: formatDateOnly(y - 1, 1, 31),
+    autopostTransaction: false,
+  });
+  ledger.addIncomePlan({
+    title: "Salary",
+    amount: 3200,
+    currencyCode: "EUR",
+    frequency: "MONTHLY",
+    startDate: formatDateOnly(y - 1, 1, 1),
+    isPaused: false,
+  });
+}
+
+export function createMockLedger(opts) {
+  /**
+   * In-memory ledger that implements every Bridge v1 action.
+   *
+   * Params:
+   * - opts.seed (optional): populate with sample data (default true)
+   * - opts.pageSize (optional): page size for LIST_TRANSACTIONS_MONTH (default 20)
+   * - opts.now (optional): function returning the current Date (default () => new Date())
+   *
+   * Returns:
+   * - An object with:
+   *   - handle(type, payload, context, meta) -> result (throws Error with .code on failure)
+   *   - add* helpers to build fixtures, markOccurrencePaid(planId, dueDate)
+   *   - snapshot() for inspection
+   */
+  const now = opts?.now ?? (() => new Date());
+  const pageSize = Math.max(1, opts?.pageSize ?? 20);
+
+  const state = {
+    categories: [],
+    transactions: [],
+    paymentPlans: [],
+    incomePlans: [],
+    paidOccurrences: new Set(),
+    /**
+     * "<type>:<idempotencyKey>" -> result of the first successful create with that key.
+     */
+    idempotentResults: new Map(),
+  };
+
+  let seq = 0;
+  const nextId = (prefix) => `${prefix}_${++seq}`;
+
+  function addCategory(c) {
+    const category = { id: c.id ?? nextId("cat"), name: c.name, type: c.type ?? "EXPENSE" };
+    state.categories.push(category);
+    return category;
+  }
+
+  function addTransaction(t) {
+    const txn = {
+      id: t.id ?? nextId("txn"),
+      type: t.type,
+      amount: t.amount,
+      currencyCode: t.currencyCode ?? "EUR",
+      note: t.note ?? null,
+      occurredAt: t.occurredAt ?? now().toISOString(),
+      categoryId: t.categoryId ?? null,
+      createdAt: now().toISOString(),
+    };
+    state.transactions.push(txn);
+    return txn;
+  }
+
+  function addPaymentPlan(p) {
+    const plan = {
+      id: p.id ?? nextId("pplan"),
+      title: p.title,
+      amount: p.amount,
+      currencyCode: p.currencyCode ?? "EUR",
+      cadence: p.cadence ?? "MONTHLY",
+      startDate: p.startDate,
+      autopostTransaction: Boolean(p.autopostTransaction),
+      rrule: p.cadence === "CUSTOM" ? p.rrule ?? null : null,
+      createdAt: now().toISOString(),
+    };
+    state.paymentPlans.push(plan);
+    return plan;
+  }
+
+  function addIncomePlan(p) {
+    const plan = {
+      id: p.id ?? nextId("iplan"),
+      title: p.title,
+      amount: p.amount,
+      currencyCode: p.currencyCode ?? "EUR",
+      frequency: p.frequency ?? "MONTHLY",
+      startDate: p.startDate,
+      isPaused: Boolean(p.isPaused),
+      createdAt: now().toISOString(),
+    };
+    state.incomePlans.push(plan);
+    return plan;
+  }
+
+  function markOccurrencePaid(planId, dueDate) {
+    state.paidOccurrences.add(`${planId}:${dueDate}`);
+  }
+
+  function assertAuthed(context) {
+    if (!context?.isAuthed) throw hostError("NOT_AUTHED", "User is not logged in");
+  }
+
+  function assertCanCreate(context) {
+    if (!context.permissions?.includes(CREATE_PERMISSION)) {
+      throw hostError("MISSING_PERMISSION", `Missing permission: ${CREATE_PERMISSION}`);
+    }
+  }
+
+  function createTransaction(type, payload, context) {
+    assertCanCreate(context);
+    const amount = requireAmount(payload);
+    const categoryId = optionalString(payload, "categoryId");
+    if (categoryId && !state.categories.some((c) => c.id === categoryId)) {
+      throw hostError("UNKNOWN", `Validation failed: unknown categoryId ${categoryId}`);
+    }
+    return addTransaction({
+      type,
+      amount,
+      currencyCode: requireCurrency(payload, "EUR"),
+      note: optionalString(payload, "note"),
+      occurredAt: payload?.occurredAt ? requireIsoInstant(payload, "occurredAt") : undefined,
+      categoryId,
+    });
+  }
+
+  function listTransactionsMonth(payload) {
+    /**
+     * Page through one month of transactions, newest first.
+     * The cursor is an opaque offset token; `cursor: null` means there are no more pages.
+     * month/year are accepted as numbers or numeric strings (older clients sent strings).
+     */
+    const month = Number(payload?.month);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw hostError("UNKNOWN", "Validation failed: month must be an integer 1-12");
+    }
+    const rawYear = payload?.year;
+    const year = rawYear == null || rawYear === "" ? now().getUTCFullYear() : Number(rawYear);
+    if (!Number.isInteger(year)) {
+      throw hostError("UNKNOWN", "Validation failed: year must be an integer");
+    }
+
+    let offset = 0;
+    if (payload?.cursor) {
+      const m = /^o:(\d+)$/.exec(String(payload.cursor));
+      if (!m) throw hostError("UNKNOWN", "Validation failed: invalid cursor");
+      offset = Number(m[1]);
+    }
+
+    const type = optionalString(payload, "type");
+    const categoryId = optionalString(payload, "categoryId");
+    const prefix = `${year}-${pad2(month)}`;
+    const all = state.transactions
+      .filter((t) => t.occurredAt.slice(0, 7) === prefix)
+      .filter((t) => !type || t.type === type)
+      .filter((t) => !categoryId || t.categoryId === categoryId)
+      .sort((a, b) => (a.occurredAt < b.occurredAt ? 1 : a.occurredAt > b.occurredAt ? -1 : 0));
+
+    const items = all.slice(offset, offset + pageSize);
+    const nextOffset = offset + items.length;
+    return {
+      month,
+      year,
+      items,
+      cursor: nextOffset < all.length ? `o:${nextOffset}` : null,
+    };
+  }
+
+  function getTransactionRangeDetails(payload) {
+    /**
+     * Aggregate (not list) transactions in [start, end] for one type, optionally one currency.
+     */
+    const start = requireIsoInstant(payload, "start");
+    const end = requireIsoInstant(payload, "end");
+    const type = payload?.type === "INCOME" ? "INCOME" : "EXPENSE";
+    const currencyCode = payload?.currencyCode ? requireCurrency(payload) : null;
+
+    const rows = state.transactions.filter(
+      (t) =>
+        t.type === type &&
+        t.occurredAt >= start &&
+        t.occurredAt <= end &&
+        (!currencyCode || t.currencyCode === currencyCode)
+    );
+
+    const byCategory = new Map();
+    let total = 0;
+    for (const t of rows) {
+      total += t.amount;
+      const key = t.categoryId ?? null;
+      const agg = byCategory.get(key) ?? { categoryId: key, count: 0, total: 0 };
+      agg.count += 1;
+      agg.total = roundAmount(agg.total + t.amount);
+      byCategory.set(key, agg);
+    }
+
+    return {
+      start,
+      end,
+      type,
+      currencyCode,
+      count: rows.length,
+      total: roundAmount(total),
+      byCategory: [...byCategory.values()],
+    };
+  }
+
+  function listCategories(payload) {
+    const type = optionalString(payload, "type");
+    const items = state.categories
+      .filter((c) => !type || type === "BOTH" || c.type === type || c.type === "BOTH")
+      .map((c) => {
+        if (!payload?.includeCounts) return { ...c };
+        const count = state.transactions.filter((t) => t.categoryId === c.id).length;
+        return { ...c, count };
+      });
+    return { items };
+  }
+
+  function createPlanFields(payload) {
+    const title = optionalString(payload, "title");
+    if (!title) throw hostError("UNKNOWN", "Validation failed: title is required");
+    if (!parseDateOnly(payload?.startDate)) {
+      throw hostError("UNKNOWN", "Validation failed: startDate must be YYYY-MM-DD");
+    }
+    return {
+      title,
+      amount: requireAmount(payload),
+      currencyCode: requireCurrency(payload),
+      startDate: payload.startDate,
+    };
+  }
+
+  function createPaymentPlan(payload) {
+    const cadence = payload?.cadence;
+    if (!["WEEKLY", "MONTHLY", "YEARLY", "CUSTOM"].includes(cadence)) {
+      throw hostError("UNKNOWN", "Validation failed: cadence must be WEEKLY, MONTHLY, YEARLY or CUSTOM");
+    }
+    // The mock stores the RRULE as-is (the app validates it); it does not expand it.
+    const rrule = optionalString(payload, "rrule");
+    if (cadence === "CUSTOM" && !rrule) {
+      throw hostError("UNKNOWN", "Validation failed: rrule is required for cadence CUSTOM");
+    }
+    return addPaymentPlan({
+      ...createPlanFields(payload),
+      cadence,
+      rrule,
+      autopostTransaction: payload.autopostTransaction,
+    });
+  }
+
+  function createIncomePlan(payload) {
+    const frequency = payload?.frequency;
+    if (!["WEEKLY", "BIWEEKLY", "MONTHLY", "YEARLY"].includes(frequency)) {
+      throw hostError(
+        "UNKNOWN",
+        "Validation failed: frequency must be WEEKLY, BIWEEKLY, MONTHLY or YEARLY"
+      );
+    }
+    return addIncomePlan({ ...createPlanFields(payload), frequency, isPaused: payload.isPaused });
+  }
+
+  function listOverduePayments(payload) {
+    /**
+     * Unpaid occurrences of payment plans due before today and within `lookbackDays`.
+     * Plans with autopostTransaction are settled automatically and never become overdue.
+     */
+    const limit = Math.max(1, Math.min(100, Number(payload?.limit) || 20));
+    const lookbackDays = Math.max(1, Math.min(365, Number(payload?.lookbackDays) || 60));
+    const t = now();
+    const today = isoDay(t);
+    const from = isoDay(
+      new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate() - lookbackDays))
+    );
+
+    const items = [];
+    for (const plan of state.paymentPlans) {
+      if (plan.autopostTransaction) continue;
+      for (let n = 0; n < 10000; n++) {
+        const dueDate = nthOccurrence(plan.startDate, plan.cadence, n);
+        if (!dueDate || dueDate >= today) break;
+        if (dueDate < from || state.paidOccurrences.has(`${plan.id}:${dueDate}`)) continue;
+        items.push({
+          id: `${plan.id}:${dueDate}`,
+          planId: plan.id,
+          title: plan.title,
+          dueDate,
+          amount: plan.amount,
+          currencyCode: plan.currencyCode,
+        });
+      }
+    }
+    items.sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0));
+    return { items: items.slice(0, limit) };
+  }
+
+  function handle(type, payload, context, meta) {
+    /**
+     * Execute one Bridge v1 action against the ledger.
+     * Auth is enforced for every action; create-transaction actions also need CREATE_PERMISSION.
+     *
+     * When meta.idempotencyKey is set, a repeated create with the same key returns the result
+     * of the first successful one instead of creating a duplicate (failures are not cached).
+     */
+    assertAuthed(context);
+    const key = typeof meta?.idempotencyKey === "string" ? `${type}:${meta.idempotencyKey}` : null;
+    if (key && state.idempotentResults.has(key)) {
+      return structuredClone(state.idempotentResults.get(key));
+    }
+
+    const result = execute(type, payload, context);
+    if (key && type.startsWith("CREATE_")) state.idempotentResults.set(key, structuredClone(result));
+    return result;
+  }
+
+  function execute(type, payload, context) {
+    switch (type) {
+      case "CREATE_EXPENSE":
+        return createTransaction("EXPENSE", payload, context);
+      case "CREATE_INCOME":
+        return createTransaction("INCOME", payload, context);
+      case "LIST_TRANSACTIONS_MONTH":
+        return listTransactionsMonth(payload);
+      case "GET_TRANSACTION_RANGE_DETAILS":
+        return getTransactionRangeDetails(payload);
+      case "LIST_CATEGORIES":
+        return listCategories(payload);
+      case "CREATE_PAYMENT_PLAN":
+        return createPaymentPlan(payload);
+      case "LIST_PAYMENT_PLANS":
+        return { items: state.paymentPlans.map((p) => ({ ...p })) };
+      case "CREATE_INCOME_PLAN":
+        return createIncomePlan(payload);
+      case "LIST_INCOME_PLANS":
+        return { items: state.incomePlans.map((p) => ({ ...p })) };
+      case "LIST_OVERDUE_PAYMENTS":
+        return listOverduePayments(payload);
+      default:
+        throw hostError("UNKNOWN", `Unsupported action: ${type}`);
+    }
+  }
+
+  function snapshot() {
+    return {
+      categories: state.categories.map((c) => ({ ...c })),
+      transactions: state.transactions.map((t) => ({ ...t })),
+      paymentPlans: state.paymentPlans.map((p) => ({ ...p })),
+      incomePlans: state.incomePlans.map((p) => ({ ...p })),
+      paidOccurrences: [...state.paidOccurrences],
+    };
+  }
+
+  const ledger = {
+    handle,
+    addCategory,
+    addTransaction,
+    addPaymentPlan,
+    addIncomePlan,
+    markOccurrencePaid,
+    snapshot,
+  };
+
+  if (opts?.seed ?? true) seedLedger(ledger, now());
+  return ledger;
+}
+
+export function defaultMockContext() {
+  /**
+   * A logged-in HostContextV1 with the create permission, as a dev host would send it.
+   */
+  return {
+    v: 1,
+    app: { id: "acme-expenses", kind: "external", mode: "embedded" },
+    platform: { mode: "embedded", host: "mock-host", isDevHost: true, isMobile: false },
+    permissions: [CREATE_PERMISSION],
+    isAuthed: true,
+  };
+}
+
+export function createMockHost(opts) {
+  /**
+   * Host side of Bridge v1 for an embedded app iframe.
+   *
+   * Params:
+   * - opts.frame (required): the <iframe> element embedding the app
+   * - opts.appOrigin (optional): exact app origin (defaults to the origin of frame.src)
+   * - opts.context (optional): initial HostContextV1 payload (defaults to defaultMockContext())
+   * - opts.ledger (optional): ledger from createMockLedger() (defaults to a seeded one)
+   * - opts.latencyMs (optional): delay applied to every response (default 0)
+   * - opts.actions (optional): request types advertised in HOST_CONTEXT.protocol (default
+   *   MOCK_ACTION_TYPES); null advertises nothing, like a host without capability discovery
+   * - opts.onLog (optional): callback({ dir, msg, note }) for every message in/out/dropped
+   *
+   * Fault injection (per message type, or "*" for all):
+   * - error: "NOT_AUTHED" | "MISSING_PERMISSION" | "UNKNOWN" -> reply ERROR without executing
+   * - delayMs: extra delay before replying (to exercise client timeouts)
+   * - drop: execute the action but never reply (simulates a lost response)
+   *
+   * Returns:
+   * - An object with setContext(), getContext(), pushContext(), setFault(), clearFaults(),
+   *   setLatency(), setActions(), ledger and destroy().
+   *
+   * Protocol: HOST_CONTEXT is sent in the highest version listed by the app's APP_READY /
+   * REQUEST_HOST_CONTEXT that the mock also speaks, with `protocol: { versions, actions }`.
+   * Request types that are not advertised are answered with ERROR UNKNOWN.
+   */
+  const frame = opts?.frame;
+  if (!frame) throw new Error("[mock-host] frame is required");
+
+  const appOrigin = opts?.appOrigin ?? new URL(frame.src, window.location.href).origin;
+  const ledger = opts?.ledger ?? createMockLedger();
+  const onLog = opts?.onLog ?? (() => {});
+
+  let context = structuredClone(opts?.context ?? defaultMockContext());
+  let latencyMs = Math.max(0, opts?.latencyMs ?? 0);
+  let actions = opts?.actions === undefined ? [...MOCK_ACTION_TYPES] : opts.actions;
+
+  /**
+   * Versions the app advertised last (null until it advertises any).
+   */
+  let appVersions = null;
+
+  /**
+   * faults: message type (or "*") -> { error, delayMs, drop }
+   */
+  const faults = new Map();
+
+  /**
+   * Timers for delayed replies, cleared on destroy().
+   */
+  const timers = new Set();
+  let destroyed = false;
+
+  function appWindow() {
+    return frame.contentWindow;
+  }
+
+  function send(msg) {
+    /**
+     * Post to the app with strict targetOrigin.
+     */
+    if (destroyed || !appWindow()) return;
+    onLog({ dir: "out", msg });
+    appWindow().postMessage(msg, appOrigin);
+  }
+
+  function negotiatedVersion() {
+    const common = MOCK_PROTOCOL_VERSIONS.filter((v) => appVersions?.includes(v) ?? v === 1);
+    return common.length ? Math.max(...common) : 1;
+  }
+
+  function rememberProtocol(protocol) {
+    if (Array.isArray(protocol?.versions)) appVersions = protocol.versions.filter(Number.isInteger);
+  }
+
+  function contextMessage(requestId) {
+    const payload = { ...structuredClone(context), v: negotiatedVersion() };
+    if (actions) {
+      payload.protocol = { versions: [...MOCK_PROTOCOL_VERSIONS], actions: [...actions] };
+    }
+    const msg = { type: "HOST_CONTEXT", payload };
+    if (typeof requestId === "string") msg.requestId = requestId;
+    return msg;
+  }
+
+  function faultFor(type) {
+    return faults.get(type) ?? faults.get("*") ?? null;
+  }
+
+  function reply(msg, delayMs) {
+    if (delayMs <= 0) {
+      send(msg);
+      return;
+    }
+    const timer = window.setTimeout(() => {
+      timers.delete(timer);
+      send(msg);
+    }, delayMs);
+    timers.add(timer);
+  }
+
+  function respond(msg) {
+    /**
+     * Compute the response for one request, honouring injected faults.
+     * Returns null when the reply should be dropped.
+     */
+    const requestId = msg.requestId;
+    const fault = faultFor(msg.type);
+
+    if (fault?.error) {
+      return {
+        type: "ERROR",
+        requestId,
+        error: { code: fault.error, message: `[mock-host] injected ${fault.error}` },
+      };
+    }
+
+    let response;
+    if (msg.type === "REQUEST_HOST_CONTEXT") {
+      rememberProtocol(msg.payload?.protocol);
+      response = contextMessage(requestId);
+    } else if (actions && !actions.includes(msg.type)) {
+      const error = { code: "UNKNOWN", message: `[mock-host] ${msg.type} is not supported` };
+      response = { type: "ERROR", requestId, error };
+    } else {
+      try {
+        const result = ledger.handle(msg.type, msg.payload, context, {
+          idempotencyKey: msg.idempotencyKey,
+        });
+        response = { type: "RESULT", requestId, result };
+      } catch (err) {
+        const code = ERROR_CODES.includes(err?.code) ? err.code : "UNKNOWN";
+        response = { type: "ERROR", requestId, error: { code, message: String(err?.message ?? err) } };
+      }
+    }
+
+    return fault?.drop ? null : response;
+  }
+
+  function onMessage(event) {
+    /**
+     * Same hardening as the real host: exact app origin and the embedded iframe as source.
+     */
+    if (event.source !== appWindow()) return;
+    if (event.origin !== appOrigin) return;
+
+    const msg = event.data;
+    if (!msg || typeof msg !== "object" || typeof msg.type !== "string") return;
+    onLog({ dir: "in", msg });
+
+    if (msg.type === "APP_READY") {
+      rememberProtocol(msg.protocol);
+      reply(contextMessage(msg.requestId), latencyMs);
+      return;
+    }
+
+    if (typeof msg.requestId !== "string") {
+      onLog({ dir: "drop", msg, note: "missing requestId" });
+      return;
+    }
+
+    const response = respond(msg);
+    if (!response) {
+      onLog({ dir: "drop", msg, note: "injected drop" });
+      return;
+    }
+    reply(response, latencyMs + (faultFor(msg.type)?.delayMs ?? 0));
+  }
+
+  window.addEventListener("message", onMessage);
+
+  function setContext(patch) {
+    /**
+     * Shallow-merge into the current HostContextV1 (app/platform are merged one level deep).
+     */
+    context = {
+      ...context,
+      ...patch,
+      app: { ...context.app, ...patch?.app },
+      platform: { ...context.platform, ...patch?.platform },
+      v: 1,
+    };
+    return structuredClone(context);
+  }
+
+  function setFault(type, fault) {
+    /**
+     * Set (or clear, with a falsy fault) the fault for a message type or "*".
+     */
+    if (!fault || (!fault.error && !fault.delayMs && !fault.drop)) {
+      faults.delete(type);
+      return;
+    }
+    if (fault.error && !ERROR_CODES.includes(fault.error)) {
+      throw new Error(`[mock-host] unknown error code: ${fault.error}`);
+    }
+    faults.set(type, {
+      error: fault.error || null,
+      delayMs: Math.max(0, Number(fault.delayMs) || 0),
+      drop: Boolean(fault.drop),
+    });
+  }
+
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    window.removeEventListener("message", onMessage);
+    for (const timer of timers) window.clearTimeout(timer);
+    timers.clear();
+  }
+
+  return {
+    ledger,
+    appOrigin,
+    getContext: () => structuredClone(context),
+    setContext,
+    /**
+     * Send an unsolicited HOST_CONTEXT (no requestId), e.g. after toggling auth.
+     */
+    pushContext: () => send(contextMessage()),
+    setFault,
+    clearFaults: () => faults.clear(),
+    getFaults: () => Object.fromEntries(faults),
+    setLatency: (ms) => {
+      latencyMs = Math.max(0, Number(ms) || 0);
+    },
+    /**
+     * Change the advertised request types (null = no protocol block). Takes effect with the
+     * next HOST_CONTEXT, e.g. pushContext().
+     */
+    setActions: (list) => {
+      actions = list == null ? null : list.filter((t) => MOCK_ACTION_TYPES.includes(t));
+    },
+    destroy,
+  };
+}
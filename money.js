@@ -0,0 +1,237 @@
+// Money (Vanilla JS) — currency codes, locale-aware amount input and decimal-safe arithmetic
+//
+// PURPOSE
+// - Validate currency codes against ISO 4217 and know each currency's minor unit
+//   (EUR 2 decimals, JPY 0, KWD 3).
+// - Parse what users type ("12,34", "1.234,56", "1,234.56", "1 234") in their locale into
+//   integer minor units, rejecting more decimals than the currency has.
+// - Add up amounts in integer minor units, so 0.1 + 0.2 is 0.3 and totals never drift.
+// - Format amounts with Intl.NumberFormat in the user's locale.
+//
+// Bridge v1 payloads and results carry amounts as decimal numbers in major units (12.34). Amounts
+// are converted to minor units for parsing and arithmetic and back to major units at the edges.
+
+/**
+ * Active ISO 4217 currency codes and their minor units (number of decimals). Fund codes and
+ * precious metals (XAU, XDR, ...) are not accepted as transaction currencies.
+ */
+const MINOR_UNITS = (() => {
+  const digits = {};
+  const groups = {
+    0: "BIF CLP DJF GNF ISK JPY KMF KRW PYG RWF UGX UYI VND VUV XAF XOF XPF",
+    2:
+      "AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BOV BRL BSD BTN BWP " +
+      "BYN BZD CAD CDF CHE CHF CHW CNY COP COU CRC CUP CVE CZK DKK DOP DZD EGP ERN ETB EUR FJD " +
+      "FKP GBP GEL GHS GIP GMD GTQ GYD HKD HNL HTG HUF IDR ILS INR IRR JMD KES KGS KHR KPW KYD " +
+      "KZT LAK LBP LKR LRD LSL MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD " +
+      "NGN NIO NOK NPR NZD PAB PEN PGK PHP PKR PLN QAR RON RSD RUB SAR SBD SCR SDG SEK SGD SHP " +
+      "SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TOP TRY TTD TWD TZS UAH USD USN UYU UZS VED " +
+      "VES WST XCD XCG YER ZAR ZMW ZWG",
+    3: "BHD IQD JOD KWD LYD OMR TND",
+    4: "CLF UYW",
+  };
+  for (const [n, codes] of Object.entries(groups)) {
+    for (const code of codes.split(" ")) digits[code] = Number(n);
+  }
+  return Object.freeze(digits);
+})();
+
+/**
+ * Decimals used when the currency is left to the host (e.g. createExpense without currencyCode).
+ */
+const DEFAULT_DIGITS = 2;
+
+export const CURRENCY_CODES = Object.freeze(Object.keys(MINOR_UNITS).sort());
+
+export function isCurrencyCode(code) {
+  return typeof code === "string" && Object.hasOwn(MINOR_UNITS, code);
+}
+
+export function normalizeCurrencyCode(raw) {
+  /**
+   * Trimmed, upper-cased ISO 4217 code. Throws for anything else ("eur" -> "EUR", "EUX" throws).
+   */
+  const code = String(raw ?? "").trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) throw new Error("Currency must be a 3-letter ISO 4217 code");
+  if (!isCurrencyCode(code)) throw new Error(`Unknown currency code "${code}" (not in ISO 4217)`);
+  return code;
+}
+
+export function currencyDigits(currencyCode) {
+  /**
+   * Minor unit of a currency (JPY 0, EUR 2, KWD 3). null/undefined and codes outside
+   * MINOR_UNITS (fund codes, new codes from the host) -> the default of 2.
+   *
+   * Never throws, so host data in an unexpected currency can still be added up and displayed.
+   * Validate what the user types with normalizeCurrencyCode().
+   */
+  const code = String(currencyCode ?? "").trim().toUpperCase();
+  return isCurrencyCode(code) ? MINOR_UNITS[code] : DEFAULT_DIGITS;
+}
+
+function decimalsText(digits) {
+  return digits === 0 ? "no decimals" : `at most ${digits} decimal${digits === 1 ? "" : "s"}`;
+}
+
+export function toMinor(amount, currencyCode) {
+  /**
+   * Major-unit number -> integer minor units, rounded half away from zero.
+   *
+   * Rounds the shortest decimal form of the number (String(1.005) is "1.005"), not its binary
+   * value (1.00499999...), so 1.005 EUR becomes 101 cents.
+   */
+  const digits = currencyDigits(currencyCode);
+  const n = Number(amount);
+  if (!Number.isFinite(n)) throw new Error("Amount must be a finite number");
+
+  const text = String(Math.abs(n));
+  let minor;
+  if (/e/i.test(text)) {
+    minor = Math.round(Math.abs(n) * 10 ** digits);
+  } else {
+    const [int, frac = ""] = text.split(".");
+    minor = Number(int + frac.slice(0, digits).padEnd(digits, "0"));
+    if (Number(frac[digits] ?? 0) >= 5) minor += 1;
+  }
+  if (!Number.isSafeInteger(minor)) throw new Error("Amount is too large");
+  return n < 0 && minor !== 0 ? -minor : minor;
+}
+
+export function fromMinor(minor, currencyCode) {
+  /**
+   * Integer minor units -> major-unit number (the nearest double, e.g. 30 cents -> 0.3).
+   */
+  return minor / 10 ** currencyDigits(currencyCode);
+}
+
+export function hasCurrencyPrecision(amount, currencyCode) {
+  /**
+   * True when `amount` has no more decimals than the currency allows (12.34 EUR yes, 12.345 no).
+   */
+  return fromMinor(toMinor(amount, currencyCode), currencyCode) === Number(amount);
+}
+
+export function sumAmounts(amounts, currencyCode) {
+  /**
+   * Exact sum of major-unit amounts of one currency (in minor units internally).
+   * Use negative amounts to subtract.
+   */
+  let minor = 0;
+  for (const a of amounts) minor += toMinor(a, currencyCode);
+  return fromMinor(minor, currencyCode);
+}
+
+function localeDecimal(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+  return parts.find((p) => p.type === "decimal")?.value ?? ".";
+}
+
+export function parseAmountInput(raw, currencyCode, opts) {
+  /**
+   * Parse a typed amount into integer minor units of `currencyCode`.
+   *
+   * Params:
+   * - raw: what the user typed ("12,34", "1.234,56", "1,234.56", "1 234", "-5")
+   * - currencyCode: decides how many decimals are allowed (null = the default of 2)
+   * - opts.locale (optional): BCP 47 tag; default the browser's locale
+   * - opts.decimalSeparator (optional): "." or "," to fix the decimal separator (the other one
+   *   is then digit grouping); "auto" or missing guesses it as described below
+   *
+   * When both "." and "," appear, the last one is the decimal separator. A single separator is
+   * the decimal separator when it is the locale's, or when it is not followed by exactly three
+   * digits after a non-zero integer part: "12,34" and "0,500" are decimals everywhere, "1,234"
+   * is 1234 in English and 1.234 in German.
+   * Spaces and apostrophes are always digit grouping. Throws with a message for the user.
+   */
+  const digits = currencyDigits(currencyCode);
+  const label = currencyCode == null ? "Amounts" : `${currencyCode.trim().toUpperCase()} amounts`;
+  let s = String(raw ?? "").trim();
+  if (!s) throw new Error("Amount is required");
+
+  let negative = false;
+  if (/^[-−]/.test(s)) {
+    negative = true;
+    s = s.slice(1);
+  } else if (s.startsWith("+")) {
+    s = s.slice(1);
+  }
+  s = s.replace(/[\s'’]/g, "");
+  if (!/^[\d.,]+$/.test(s) || !/\d/.test(s)) throw new Error(`Invalid amount "${raw}"`);
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  const fixed = opts?.decimalSeparator;
+  let decimal = null;
+  if (fixed === "." || fixed === ",") {
+    if (s.includes(fixed)) decimal = fixed;
+  } else if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? "." : ",";
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? "." : ",";
+    const single = s.indexOf(sep) === s.lastIndexOf(sep);
+    const grouping = /^[1-9]\d{0,2}[.,]\d{3}$/.test(s) && localeDecimal(opts?.locale) !== sep;
+    if (single && !grouping) decimal = sep;
+  }
+
+  const [intPart, fracPart = "", extra] = decimal ? s.split(decimal) : [s];
+  if (extra !== undefined) throw new Error(`Invalid amount "${raw}"`);
+  const int = intPart.replace(/[.,]/g, "");
+  if (/[.,]/.test(fracPart) || (!int && !fracPart)) throw new Error(`Invalid amount "${raw}"`);
+  if (fracPart.length > digits) throw new Error(`${label} have ${decimalsText(digits)}`);
+
+  const minor = Number((int || "0") + fracPart.padEnd(digits, "0"));
+  if (!Number.isSafeInteger(minor)) throw new Error("Amount is too large");
+  return negative && minor !== 0 ? -minor : minor;
+}
+
+export function parsePositiveAmount(raw, currencyCode, opts) {
+  /**
+   * parseAmountInput() for create actions: returns the major-unit number for the payload and
+   * throws unless the amount is > 0.
+   */
+  const minor = parseAmountInput(raw, currencyCode, opts);
+  if (minor <= 0) throw new Error("Invalid amount (must be > 0)");
+  return fromMinor(minor, currencyCode);
+}
+
+export function formatMoney(amount, currencyCode, opts) {
+  /**
+   * Localized currency string, with the currency's own number of decimals ("1.234,50 €",
+   * "¥1,235", "KWD 1.250"). opts.locale overrides the browser's locale.
+   */
+  const digits = currencyDigits(currencyCode);
+  try {
+    return new Intl.NumberFormat(opts?.locale, {
+      style: "currency",
+      currency: currencyCode,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(amount);
+  } catch {
+    return `${Number(amount).toFixed(digits)} ${currencyCode}`;
+  }
+}
+
+export function formatAmountInput(amount, currencyCode, opts) {
+  /**
+   * Amount as the user would type it in their locale, without grouping (for refilling inputs):
+   * 1234.5 EUR -> "1234,50" in German, "1234.50" in English.
+   */
+  const digits = currencyDigits(currencyCode);
+  return new Intl.NumberFormat(opts?.locale, {
+    useGrouping: false,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount);
+}
+
+export function formatPlainAmount(amount, currencyCode) {
+  /**
+   * Locale-independent "1234.50" with the currency's decimals (file formats like OFX).
+   */
+  const digits = currencyDigits(currencyCode);
+  const minor = toMinor(amount, currencyCode);
+  const sign = minor < 0 ? "-" : "";
+  const text = String(Math.abs(minor)).padStart(digits + 1, "0");
+  return digits ? `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}` : `${sign}${text}`;
+}
@@ -0,0 +1,356 @@
+// Offline outbox (Vanilla JS) — persistent queue for create actions that could not be delivered
+//
+// PURPOSE
+// - When a create call fails because the host session dropped (NOT_AUTHED) or the host did not
+//   answer (TIMEOUT), the request is stored in IndexedDB instead of being lost.
+// - Stored items are replayed in creation order once `getHostContext()` reports `isAuthed: true`.
+// - Each item keeps the idempotency key of its first attempt, so a replay of a request that the
+//   host did receive (e.g. lost response) does not create a duplicate.
+//
+// Items that fail for a reason a replay cannot fix (MISSING_PERMISSION, UNKNOWN) are marked
+// "failed" with the reason and skipped; the user can edit or discard them.
+//
+// Every item records the scope (host origin + host) it was queued under, and only that scope
+// lists and replays it. HostContextV1 does not name the user, so a login change, a new host or a
+// new page session may mean someone else: pending items are then "held" until the user confirms
+// them (retry()) instead of being sent into that session.
+
+const DB_VERSION = 1;
+const STORE = "outbox";
+
+/**
+ * Bridge methods the outbox can replay.
+ */
+export const OUTBOX_METHODS = ["createExpense", "createIncome", "createPaymentPlan", "createIncomePlan"];
+
+export function shouldQueue(err) {
+  /**
+   * True when a failed create should go to the outbox instead of being reported as lost:
+   * - NOT_AUTHED: the host session dropped; replay after the user logs in again
+   * - TIMEOUT: the host did not answer; replay (same idempotency key) when it is reachable
+   */
+  return err?.code === "NOT_AUTHED" || err?.code === "TIMEOUT";
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openStore(dbName) {
+  /**
+   * Open (and create on first use) the IndexedDB object store.
+   * Falls back to an in-memory store when IndexedDB is unavailable (e.g. some private modes);
+   * items then only live as long as the page.
+   */
+  const idb = globalThis.indexedDB;
+  if (!idb) {
+    const mem = new Map();
+    let seq = 0;
+    return Promise.resolve({
+      persistent: false,
+      getAll: async () => [...mem.values()].map((x) => structuredClone(x)),
+      add: async (item) => {
+        const id = ++seq;
+        mem.set(id, structuredClone({ ...item, id }));
+        return id;
+      },
+      put: async (item) => void mem.set(item.id, structuredClone(item)),
+      delete: async (id) => void mem.delete(id),
+    });
+  }
+
+  const open = idb.open(dbName, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains(STORE)) {
+      db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    }
+  };
+
+  return requestToPromise(open).then((db) => {
+    const tx = (mode) => db.transaction(STORE, mode).objectStore(STORE);
+    return {
+      persistent: true,
+      getAll: () => requestToPromise(tx("readonly").getAll()),
+      add: (item) => requestToPromise(tx("readwrite").add(item)),
+      put: (item) => requestToPromise(tx("readwrite").put(item)).then(() => undefined),
+      delete: (id) => requestToPromise(tx("readwrite").delete(id)).then(() => undefined),
+    };
+  });
+}
+
+export function createOutbox(opts) {
+  /**
+   * Persistent outbox for bridge create actions.
+   *
+   * Params:
+   * - opts.getBridge (required): () => bridge | null. A function (not a bridge) because the app may
+   *   destroy and recreate its bridge; null means "not connected", which skips replay.
+   * - opts.dbName (optional): IndexedDB database name (default "acme-expenses-outbox")
+   * - opts.getScope (optional): () => string | null, the host session items belong to (e.g. host
+   *   origin + host); null means "unknown", which lists and replays nothing. Default: one scope.
+   * - opts.onChange (optional): callback(items) after every change, for rendering
+   * - opts.onSent (optional): callback(item, result) when a replayed item was accepted (called
+   *   before onChange reports it gone)
+   * - opts.pollMs (optional): how often to check the host context while items are pending
+   *   (default 15000; 0 disables polling, call flush() yourself)
+   *
+   * Item shape:
+   * - { id, method, payload, idempotencyKey, scope,
+   *     status: "pending" | "sending" | "held" | "failed",
+   *     createdAt, replayAttempts, lastError: { code, message, at } | null }
+   *
+   * Returns:
+   * - An object with enqueue(), list(), discard(), take(), retry(), hold(), flush(), destroy()
+   */
+  const getBridge = opts?.getBridge;
+  if (typeof getBridge !== "function") throw new Error("[outbox] getBridge is required");
+  const getScope = opts?.getScope ?? (() => "default");
+
+  const onChange = opts?.onChange ?? (() => {});
+  const onSent = opts?.onSent ?? (() => {});
+  const pollMs = Math.max(0, opts?.pollMs ?? 15000);
+  const storeReady = openStore(opts?.dbName ?? "acme-expenses-outbox");
+
+  let flushing = null;
+  let pollTimer = null;
+  let destroyed = false;
+
+  async function listAll() {
+    /**
+     * Items of every scope in replay order (oldest first; ids are auto-incremented).
+     */
+    const store = await storeReady;
+    const items = await store.getAll();
+    return items.sort((a, b) => a.id - b.id);
+  }
+
+  async function list() {
+    /**
+     * Items of the current scope, plus items stored without a scope (queued before scopes were
+     * recorded; they are held until the user confirms them here).
+     */
+    const scope = getScope();
+    if (scope == null) return [];
+    return (await listAll()).filter((i) => i.scope === scope || i.scope == null);
+  }
+
+  async function findItem(id) {
+    return (await list()).find((i) => i.id === id) ?? null;
+  }
+
+  async function changed() {
+    const items = await list();
+    onChange(items);
+    schedulePoll(items);
+    return items;
+  }
+
+  function schedulePoll(items) {
+    /**
+     * Keep one timer running while there is something to replay.
+     */
+    if (destroyed || !pollMs) return;
+    const hasPending = items.some((i) => i.status === "pending");
+    if (hasPending && !pollTimer) {
+      pollTimer = window.setTimeout(() => {
+        pollTimer = null;
+        flush().catch(() => {});
+      }, pollMs);
+    } else if (!hasPending && pollTimer) {
+      window.clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  function reportSent(item, result) {
+    /**
+     * A throwing onSent must not mark a delivered item failed; its error is thrown again from a
+     * microtask.
+     */
+    try {
+      onSent(item, result);
+    } catch (err) {
+      queueMicrotask(() => {
+        throw err;
+      });
+    }
+  }
+
+  function errorInfo(err) {
+    return {
+      code: err?.code ?? null,
+      message: String(err?.message ?? err),
+      at: new Date().toISOString(),
+    };
+  }
+
+  async function enqueue(method, payload, idempotencyKey, err) {
+    /**
+     * Store an undelivered create. `err` is the failure that caused it (kept as lastError).
+     * Returns the stored item.
+     */
+    if (!OUTBOX_METHODS.includes(method)) throw new Error(`[outbox] unsupported method: ${method}`);
+    const scope = getScope();
+    if (scope == null) throw new Error("[outbox] no host session to queue the item for");
+    const store = await storeReady;
+    const item = {
+      method,
+      payload: structuredClone(payload),
+      idempotencyKey,
+      scope,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      replayAttempts: 0,
+      lastError: err ? errorInfo(err) : null,
+    };
+    item.id = await store.add(item);
+    await changed();
+    return item;
+  }
+
+  async function discard(id) {
+    /**
+     * Delete an item of the current scope.
+     */
+    const store = await storeReady;
+    if (await findItem(id)) await store.delete(id);
+    await changed();
+  }
+
+  async function take(id) {
+    /**
+     * Remove an item and return it so the UI can load it into the form for editing.
+     */
+    const item = await findItem(id);
+    if (item) await discard(id);
+    return item;
+  }
+
+  async function retry(id) {
+    /**
+     * Mark a failed or held item pending again (e.g. after the missing permission was granted,
+     * or once the user confirmed it belongs to this session). It moves to the current scope.
+     */
+    const store = await storeReady;
+    const item = await findItem(id);
+    if (!item) return;
+    await store.put({ ...item, scope: getScope(), status: "pending" });
+    await changed();
+  }
+
+  async function hold() {
+    /**
+     * Hold every pending item (all scopes) until the user confirms it with retry(). Call this
+     * when the host context changes (login, logout, another host), so items queued in one
+     * session are never sent into another without asking.
+     */
+    const store = await storeReady;
+    for (const item of await listAll()) {
+      if (item.status === "pending") await store.put({ ...item, status: "held" });
+    }
+    await changed();
+  }
+
+  async function replay() {
+    /**
+     * Send the current scope's pending items one by one, oldest first.
+     *
+     * - Stops (keeping the rest pending) on NOT_AUTHED/TIMEOUT: the host is still unreachable.
+     * - Marks the item "failed" on other errors and moves on, so one bad item does not block
+     *   the queue.
+     */
+    const store = await storeReady;
+    const bridge = getBridge();
+    if (!bridge) return { sent: 0, reason: "no bridge" };
+
+    let ctx;
+    try {
+      ctx = await bridge.getHostContext();
+    } catch (err) {
+      return { sent: 0, reason: errorInfo(err).message };
+    }
+    if (!ctx?.isAuthed) return { sent: 0, reason: "host reports isAuthed: false" };
+
+    let sent = 0;
+    const scope = getScope();
+    for (const item of await list()) {
+      if (destroyed) break;
+      if (item.status !== "pending" || item.scope !== scope) continue;
+
+      item.status = "sending";
+      item.replayAttempts += 1;
+      await store.put(item);
+      await changed();
+
+      try {
+        const callOpts = { idempotencyKey: item.idempotencyKey, priority: "background" };
+        const result = await bridge[item.method](item.payload, callOpts);
+        await store.delete(item.id);
+        sent += 1;
+        reportSent(item, result);
+      } catch (err) {
+        item.lastError = errorInfo(err);
+        item.status = shouldQueue(err) ? "pending" : "failed";
+        await store.put(item);
+        if (item.status === "pending") {
+          await changed();
+          return { sent, reason: item.lastError.message };
+        }
+      }
+      await changed();
+    }
+    return { sent, reason: null };
+  }
+
+  function flush() {
+    /**
+     * Replay pending items now. Concurrent calls share the same run.
+     */
+    if (destroyed) return Promise.resolve({ sent: 0, reason: "destroyed" });
+    if (!flushing) {
+      flushing = replay().finally(() => {
+        flushing = null;
+        changed().catch(() => {});
+      });
+    }
+    return flushing;
+  }
+
+  async function holdStale() {
+    /**
+     * Items left by an earlier page session (pending, or "sending" when the page was closed
+     * mid-replay) are held: the session they were queued in is gone.
+     */
+    const store = await storeReady;
+    for (const item of await listAll()) {
+      if (item.status === "pending" || item.status === "sending") {
+        await store.put({ ...item, status: "held" });
+      }
+    }
+    await changed();
+  }
+
+  function destroy() {
+    destroyed = true;
+    if (pollTimer) window.clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  holdStale().catch(() => {});
+
+  return {
+    enqueue,
+    list,
+    discard,
+    take,
+    retry,
+    hold,
+    flush,
+    isPersistent: () => storeReady.then((s) => s.persistent),
+    destroy,
+  };
+}
@@ -0,0 +1,181 @@
+// Overdue inbox (Vanilla JS) — act on `listOverduePayments` occurrences
+//
+// PURPOSE
+// - Group overdue occurrences by payment plan, with days overdue.
+// - "Settle" an occurrence by creating the matching expense (createExpense, occurredAt = now).
+// - Snooze or dismiss occurrences locally so the list only shows what still needs attention.
+//
+// Bridge v1 has no "mark occurrence paid" action, so the host keeps reporting a settled
+// occurrence as overdue. The inbox remembers settled/snoozed/dismissed occurrences in
+// localStorage (per host, see storage.js) and hides them. Settling uses an idempotency key
+// derived from the occurrence, so settling the same occurrence twice (two tabs, a retry) creates
+// one expense.
+
+import { addDays, dayNumber } from "./dates.js";
+import { sumAmounts } from "./money.js";
+import { storageKey } from "./storage.js";
+
+
+/**
+ * Entries older than this (by due date) are dropped from local state: the host's lookbackDays
+ * is at most 365, so they can no longer show up.
+ */
+const KEEP_DAYS = 400;
+
+export function occurrenceId(item) {
+  /**
+   * Stable id of an overdue occurrence (the host's id, else planId + dueDate).
+   */
+  return item.id || `${item.planId}:${item.dueDate}`;
+}
+
+export function daysOverdue(dueDate, today) {
+  return dayNumber(today) - dayNumber(dueDate);
+}
+
+export function loadInboxState(context) {
+  /**
+   * Local decisions as { [occurrenceId]: { status, dueDate, at, ...details } } where status is
+   * "settled" (transactionId) | "queued" (outboxId) | "snoozed" (until) | "dismissed".
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(context, "overdue"));
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveInboxState(context, state, today) {
+  const oldest = addDays(today, -KEEP_DAYS);
+  for (const [id, entry] of Object.entries(state)) {
+    if (!entry?.dueDate || entry.dueDate < oldest) delete state[id];
+  }
+  globalThis.localStorage?.setItem(storageKey(context, "overdue"), JSON.stringify(state));
+  return state;
+}
+
+export function markOccurrence(context, item, entry, today) {
+  /**
+   * Record a local decision for an occurrence (entry: { status, until?, transactionId?, ... }).
+   */
+  const state = loadInboxState(context);
+  state[occurrenceId(item)] = { ...entry, dueDate: item.dueDate, at: new Date().toISOString() };
+  return saveInboxState(context, state, today);
+}
+
+export function snoozeOccurrence(context, item, days, today) {
+  /**
+   * Hide an occurrence until `days` days after today.
+   */
+  return markOccurrence(context, item, { status: "snoozed", until: addDays(today, days) }, today);
+}
+
+export function restoreOccurrence(context, item, today) {
+  /**
+   * Forget the local decision, so the occurrence shows up as overdue again.
+   */
+  const state = loadInboxState(context);
+  delete state[occurrenceId(item)];
+  return saveInboxState(context, state, today);
+}
+
+export function resolveQueued(context, outboxId, transactionId, today) {
+  /**
+   * Settle the occurrence whose expense waited in the outbox as item `outboxId`, now that its
+   * replay created `transactionId`. With transactionId null (the item failed or was discarded),
+   * forget it instead, so the occurrence shows up as overdue again.
+   */
+  const state = loadInboxState(context);
+  for (const [id, entry] of Object.entries(state)) {
+    if (entry?.status !== "queued" || entry.outboxId !== outboxId) continue;
+    if (transactionId) {
+      const at = new Date().toISOString();
+      state[id] = { status: "settled", transactionId, dueDate: entry.dueDate, at };
+    } else {
+      delete state[id];
+    }
+  }
+  return saveInboxState(context, state, today);
+}
+
+export function isHidden(entry, today) {
+  /**
+   * Settled and dismissed occurrences stay hidden; snoozed ones until their `until` date.
+   * Queued ones (expense waiting in the outbox) are hidden until resolveQueued() settles or
+   * restores them.
+   */
+  if (!entry) return false;
+  if (entry.status === "snoozed") return entry.until > today;
+  return entry.status === "settled" || entry.status === "queued" || entry.status === "dismissed";
+}
+
+export function groupOverdue(items, state, opts) {
+  /**
+   * Group occurrences by plan, oldest due date first.
+   *
+   * Params:
+   * - items: listOverduePayments().items
+   * - state: loadInboxState()
+   * - opts.today: YYYY-MM-DD in the user's time zone
+   * - opts.showHidden (optional): include settled/queued/snoozed/dismissed occurrences
+   *
+   * Returns { groups, hidden } where groups is
+   * [{ planId, title, currencyCode, total, maxDaysOverdue, items }] and every item is the host
+   * item plus { occurrenceId, daysOverdue, local } (local = the state entry while it hides the
+   * occurrence, else null; an expired snooze counts as overdue again).
+   */
+  const groups = new Map();
+  let hidden = 0;
+  for (const item of items) {
+    const id = occurrenceId(item);
+    const local = isHidden(state[id], opts.today) ? state[id] : null;
+    if (local) {
+      hidden += 1;
+      if (!opts.showHidden) continue;
+    }
+
+    const group = groups.get(item.planId) ?? {
+      planId: item.planId,
+      title: item.title ?? item.planId,
+      currencyCode: item.currencyCode,
+      total: 0,
+      maxDaysOverdue: 0,
+      items: [],
+    };
+    const days = daysOverdue(item.dueDate, opts.today);
+    group.items.push({ ...item, occurrenceId: id, daysOverdue: days, local });
+    if (!local) {
+      group.total = sumAmounts([group.total, item.amount], item.currencyCode);
+      group.maxDaysOverdue = Math.max(group.maxDaysOverdue, days);
+    }
+    groups.set(item.planId, group);
+  }
+
+  const list = [...groups.values()];
+  for (const g of list) g.items.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  list.sort((a, b) => b.maxDaysOverdue - a.maxDaysOverdue || a.title.localeCompare(b.title));
+  return { groups: list, hidden };
+}
+
+export function settlePayload(item, now = new Date()) {
+  /**
+   * createExpense payload that settles an occurrence: same amount and currency as the plan,
+   * dated now, with a note pointing back to the plan and due date.
+   */
+  const title = item.title ?? item.planId;
+  return {
+    amount: item.amount,
+    currencyCode: item.currencyCode,
+    note: `Settles "${title}" due ${item.dueDate} (plan ${item.planId})`,
+    occurredAt: now.toISOString(),
+  };
+}
+
+export function settleKey(item) {
+  /**
+   * Idempotency key for settling an occurrence; the same occurrence always maps to the same key.
+   */
+  return "settle_" + occurrenceId(item).replace(/[^A-Za-z0-9_-]/g, "_");
+}
@@ -0,0 +1,293 @@
+// Quick entry (Vanilla JS) — one line of text instead of five createExpense fields
+//
+// PURPOSE
+// - Parse phrases like "12,50 EUR lunch with client #meals yesterday" into a createExpense
+//   payload: amount, currencyCode, note, categoryId (the #tag matched by name against the
+//   `listCategories` items) and occurredAt.
+// - Resolve relative dates ("today", "yesterday", "3 days ago", "last friday") in the user's
+//   time zone, keeping the current time of day unless a time ("13:30") is given.
+// - Keep a history of recent entries in localStorage (per host, see storage.js).
+//
+// Nothing is sent from here: the playground shows the parsed fields as a preview and calls
+// createExpense only when the user confirms.
+
+import { formatLocalDate, pad2 } from "./dates.js";
+import { isCurrencyCode, parsePositiveAmount } from "./money.js";
+import { storageKey } from "./storage.js";
+
+const HISTORY_LIMIT = 20;
+
+const CURRENCY_SYMBOLS = { "€": "EUR", $: "USD", "£": "GBP", "¥": "JPY" };
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Words dropped from the note when they directly precede something that was parsed
+ * ("for 12€", "on monday", "at 13:30").
+ */
+const CONNECTORS = ["for", "on", "at"];
+
+const AMOUNT_RE = /^([€$£¥]?)(\d[\d.,']*)([€$£¥]|[A-Za-z]{3})?$/;
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function categoryKey(name) {
+  /**
+   * Comparable form of a category name or #tag: lower case, no accents, letters and digits only
+   * ("Eating out", "#eating-out" and "#EatingOut" all become "eatingout").
+   */
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+export function matchCategory(tag, categories) {
+  /**
+   * The expense category (type EXPENSE or BOTH) a #tag names: an exact match on categoryKey(),
+   * else the only category whose name starts with the tag ("#meal" -> "Meals").
+   * Returns { category, candidates } (category null when there is no single match).
+   */
+  const key = categoryKey(tag);
+  const usable = (categories ?? []).filter((c) => c.type !== "INCOME");
+  const exact = usable.find((c) => categoryKey(c.name) === key);
+  if (exact || !key) return { category: exact ?? null, candidates: exact ? [exact] : [] };
+  const candidates = usable.filter((c) => categoryKey(c.name).startsWith(key));
+  return { category: candidates.length === 1 ? candidates[0] : null, candidates };
+}
+
+function readDate(words, i, today) {
+  /**
+   * A date phrase starting at words[i]: { length, date } (date is a local Date at midnight) or
+   * null. Weekdays mean the latest one on or before today ("last <weekday>" skips today).
+   */
+  const w = words[i];
+  const offset = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+
+  if (w === "today") return { length: 1, date: offset(0) };
+  if (w === "yesterday") return { length: 1, date: offset(1) };
+  if (w === "day" && words[i + 1] === "before" && words[i + 2] === "yesterday") {
+    return { length: 3, date: offset(2) };
+  }
+  if (/^\d{1,3}$/.test(w) && /^days?$/.test(words[i + 1] ?? "") && words[i + 2] === "ago") {
+    return { length: 3, date: offset(Number(w)) };
+  }
+
+  const last = w === "last";
+  const weekday = WEEKDAY_NAMES.indexOf(last ? words[i + 1] : w);
+  if (weekday !== -1) {
+    const back = (today.getDay() - weekday + 7) % 7 || (last ? 7 : 0);
+    return { length: last ? 2 : 1, date: offset(back) };
+  }
+
+  const m = ISO_DATE_RE.exec(w);
+  if (m) {
+    const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    if (formatLocalDate(date) === w) return { length: 1, date };
+  }
+  return null;
+}
+
+function amountCandidate(tokens, i) {
+  /**
+   * tokens[i] as an amount with its currency marker, or null. The marker is a symbol ("12€",
+   * "€12"), an attached code ("12EUR") or an ISO 4217 code in the next/previous token.
+   */
+  const m = AMOUNT_RE.exec(tokens[i].text);
+  if (!m) return null;
+  const marker = m[1] || m[3] || "";
+  let currencyCode = CURRENCY_SYMBOLS[marker] ?? null;
+  if (!currencyCode && marker) {
+    if (!isCurrencyCode(marker.toUpperCase())) return null;
+    currencyCode = marker.toUpperCase();
+  }
+  let codeAt = null;
+  if (!currencyCode) {
+    for (const j of [i + 1, i - 1]) {
+      const code = tokens[j]?.text.toUpperCase();
+      if (tokens[j] && !tokens[j].used && /^[A-Z]{3}$/.test(code) && isCurrencyCode(code)) {
+        currencyCode = code;
+        codeAt = j;
+        break;
+      }
+    }
+  }
+  const rank = currencyCode ? 2 : /[.,]/.test(m[2]) ? 1 : 0;
+  return { index: i, raw: m[2], currencyCode, codeAt, rank };
+}
+
+export function parseQuickEntry(text, opts) {
+  /**
+   * Parse one quick-entry line.
+   *
+   * Params:
+   * - text: e.g. "12,50 EUR lunch with client #meals yesterday"
+   * - opts.categories (optional): listCategories items, to resolve the #tag
+   * - opts.defaultCurrency (optional): used when the text names no currency (else the host
+   *   decides)
+   * - opts.now (optional): Date to resolve relative dates against (default: now)
+   * - opts.locale (optional): for amounts like "1.234" (see money.js parseAmountInput())
+   *
+   * Understood:
+   * - amount: "12,50", "12.50", "€12", "12€", "12EUR", "12 EUR", "EUR 12" (the one with a
+   *   currency wins over bare numbers, then the one with decimals, then the first)
+   * - date: today, yesterday, day before yesterday, "N days ago", "<weekday>", "last <weekday>",
+   *   YYYY-MM-DD; time: HH:MM. Dates are local (the browser's time zone).
+   * - category: the first #tag; other #tags are dropped from the note
+   * - note: every other word, in order
+   *
+   * Returns { payload, preview, errors, warnings }: payload is ready for createExpense when
+   * errors is empty; preview = { amount, currencyCode, note, category, date, time, occurredAt }.
+   */
+  const now = opts?.now ?? new Date();
+  const tokens = String(text ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => ({ text: t, used: false }));
+  const words = tokens.map((t) => t.text.toLowerCase().replace(/[.,;!?]+$/, ""));
+  const errors = [];
+  const warnings = [];
+
+  const use = (from, length) => {
+    for (let k = from; k < from + length; k++) tokens[k].used = true;
+    if (from > 0 && CONNECTORS.includes(words[from - 1]) && !tokens[from - 1].used) {
+      tokens[from - 1].used = true;
+    }
+  };
+
+  // Dates and times first, so "3 days ago" is not mistaken for an amount.
+  let date = null;
+  let time = null;
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].used) continue;
+    const t = TIME_RE.exec(words[i]);
+    if (t && !time) {
+      time = { hours: Number(t[1]), minutes: Number(t[2]) };
+      use(i, 1);
+      continue;
+    }
+    const found = date ? null : readDate(words, i, now);
+    if (found) {
+      date = found.date;
+      use(i, found.length);
+      i += found.length - 1;
+    }
+  }
+
+  const tags = [];
+  tokens.forEach((t) => {
+    if (!t.used && /^#\S+/.test(t.text)) {
+      tags.push(t.text.slice(1).replace(/[.,;!?]+$/, ""));
+      t.used = true;
+    }
+  });
+
+  const candidates = tokens
+    .map((t, i) => (t.used ? null : amountCandidate(tokens, i)))
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank || a.index - b.index);
+  const amountToken = candidates[0] ?? null;
+
+  const payload = {};
+  const preview = {
+    amount: null,
+    currencyCode: null,
+    note: "",
+    category: null,
+    date: date ? formatLocalDate(date) : null,
+    time: time ? `${pad2(time.hours)}:${pad2(time.minutes)}` : null,
+    occurredAt: null,
+  };
+
+  const currencyCode = amountToken?.currencyCode ?? opts?.defaultCurrency ?? null;
+  if (currencyCode) payload.currencyCode = preview.currencyCode = currencyCode;
+
+  if (!amountToken) {
+    errors.push("no amount found (e.g. 12,50 or 12.50 EUR)");
+  } else {
+    use(amountToken.index, 1);
+    if (amountToken.codeAt != null) use(amountToken.codeAt, 1);
+    try {
+      payload.amount = parsePositiveAmount(amountToken.raw, currencyCode, opts);
+      preview.amount = payload.amount;
+    } catch (err) {
+      errors.push(String(err?.message ?? err));
+    }
+  }
+
+  if (tags.length) {
+    const { category, candidates: matches } = matchCategory(tags[0], opts?.categories);
+    if (category) {
+      payload.categoryId = category.id;
+      preview.category = { id: category.id, name: category.name };
+    } else if (!opts?.categories) {
+      warnings.push(`#${tags[0]}: categories not loaded — left uncategorized`);
+    } else if (matches.length > 1) {
+      const names = matches.map((c) => c.name).join(", ");
+      warnings.push(`#${tags[0]} matches ${names} — left uncategorized`);
+    } else {
+      warnings.push(`no expense category named "${tags[0]}" — left uncategorized`);
+    }
+    if (tags.length > 1) {
+      warnings.push(`only #${tags[0]} is used (also found #${tags.slice(1).join(", #")})`);
+    }
+  }
+
+  if (date || time) {
+    const day = date ?? now;
+    const at = new Date(
+      day.getFullYear(),
+      day.getMonth(),
+      day.getDate(),
+      time ? time.hours : now.getHours(),
+      time ? time.minutes : now.getMinutes()
+    );
+    if (at > now) warnings.push("the date is in the future");
+    payload.occurredAt = preview.occurredAt = at.toISOString();
+  }
+
+  const note = tokens.filter((t) => !t.used).map((t) => t.text).join(" ");
+  if (note) payload.note = preview.note = note;
+
+  return { payload, preview, errors, warnings };
+}
+
+export function loadHistory(context) {
+  /**
+   * Recent quick entries for the host in `context`, most recent first.
+   */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(context, "quick-entry"));
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter((s) => typeof s === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function rememberEntry(context, text) {
+  /**
+   * Put `text` at the top of the history (without duplicates, at most 20 entries).
+   * Returns the new history.
+   */
+  const entry = String(text ?? "").trim();
+  const history = loadHistory(context).filter((s) => s !== entry);
+  if (entry) history.unshift(entry);
+  history.length = Math.min(history.length, HISTORY_LIMIT);
+  try {
+    const key = storageKey(context, "quick-entry");
+    globalThis.localStorage?.setItem(key, JSON.stringify(history));
+  } catch {
+    // Storage full or blocked: the entry was still created.
+  }
+  return history;
+}
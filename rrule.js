@@ -0,0 +1,317 @@
+// RRULE (Vanilla JS) — the iCalendar recurrence subset used for CUSTOM payment plans
+//
+// PURPOSE
+// - Parse, validate and format RFC 5545 RRULE values ("FREQ=MONTHLY;BYDAY=-1FR").
+// - Expand a rule from a plan's startDate into YYYY-MM-DD occurrences (previews, forecast).
+//
+// Plans are date-only, so only day-level parts are supported:
+//   FREQ (DAILY | WEEKLY | MONTHLY | YEARLY), INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, COUNT, UNTIL.
+// Anything else (BYSETPOS, BYHOUR, BYWEEKNO, BYYEARDAY, WKST, HOURLY, ...) is rejected with a
+// message naming the part, instead of being sent to a host that would interpret it differently.
+//
+// Semantics follow RFC 5545: startDate is DTSTART, occurrences are the dates matching the rule
+// on or after it, and a day that does not exist in a month (e.g. the 31st) is skipped, not
+// moved. Use BYMONTHDAY=-1 for "last day of the month".
+
+import { dayNumber, daysInMonth, formatDateOnly, fromDayNumber, parseDateOnly } from "./dates.js";
+
+export const RRULE_FREQS = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+const SUPPORTED_PARTS = ["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "BYMONTH", "COUNT", "UNTIL"];
+const MAX_PERIODS = 20000;
+
+function weekdayIndex(n) {
+  /**
+   * 0 = Monday ... 6 = Sunday for a day number (1970-01-01 was a Thursday).
+   */
+  return (((n + 3) % 7) + 7) % 7;
+}
+
+function rruleError(message) {
+  return new Error(`RRULE: ${message}`);
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value ?? "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseIntStrict(value, name, min, max) {
+  const s = String(value).trim();
+  if (!/^[+-]?\d+$/.test(s)) throw rruleError(`${name} must be an integer (got "${value}")`);
+  const n = Number(s);
+  if (n < min || n > max) throw rruleError(`${name} must be between ${min} and ${max} (got ${n})`);
+  return n;
+}
+
+function parseUntil(value) {
+  /**
+   * UNTIL as YYYYMMDD, YYYYMMDDTHHMMSSZ or (from form fields) YYYY-MM-DD. Returns YYYY-MM-DD.
+   */
+  const s = String(value).trim();
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(s);
+  const date = m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+  if (!parseDateOnly(date)) throw rruleError(`UNTIL must be a date like 20261231 (got "${value}")`);
+  return date;
+}
+
+export function normalizeRrule(input) {
+  /**
+   * Validate rule parts and return a normalized rule:
+   *   { freq, interval, byDay: [{ n, day }], byMonthDay: [int], byMonth: [int], count, until }
+   * (byDay n is the ordinal, e.g. -1 for "last", or 0 for every such weekday; until is
+   * YYYY-MM-DD or null).
+   *
+   * input: { freq, interval, byDay, byMonthDay, byMonth, count, until } where the lists may be
+   * arrays or comma-separated strings and empty values mean "not set".
+   * Throws an Error starting with "RRULE:" that says what to change.
+   */
+  const freq = String(input?.freq ?? "").trim().toUpperCase();
+  if (!RRULE_FREQS.includes(freq)) {
+    throw rruleError(`FREQ must be one of ${RRULE_FREQS.join(", ")} (got "${input?.freq ?? ""}")`);
+  }
+
+  const has = (v) => v != null && String(v).trim() !== "";
+  const interval = has(input.interval) ? parseIntStrict(input.interval, "INTERVAL", 1, 999) : 1;
+
+  const byDay = splitList(input.byDay).map((raw) => {
+    const m = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(raw.toUpperCase());
+    if (!m || !WEEKDAYS.includes(m[2])) {
+      throw rruleError(`BYDAY entries look like MO, 1MO or -1FR (got "${raw}")`);
+    }
+    const n = m[1] ? parseIntStrict(m[1], "BYDAY ordinal", -5, 5) : 0;
+    if (m[1] && n === 0) throw rruleError(`BYDAY ordinal cannot be 0 (got "${raw}")`);
+    return { n, day: m[2] };
+  });
+
+  const byMonthDay = splitList(input.byMonthDay).map((raw) => {
+    const n = parseIntStrict(raw, "BYMONTHDAY", -31, 31);
+    if (n === 0) throw rruleError("BYMONTHDAY cannot be 0");
+    return n;
+  });
+  const byMonth = splitList(input.byMonth).map((raw) => parseIntStrict(raw, "BYMONTH", 1, 12));
+
+  const count = has(input.count) ? parseIntStrict(input.count, "COUNT", 1, 10000) : null;
+  const until = has(input.until) ? parseUntil(input.until) : null;
+  if (count != null && until) throw rruleError("use either COUNT or UNTIL, not both");
+
+  if (byDay.some((d) => d.n) && (freq === "DAILY" || freq === "WEEKLY")) {
+    throw rruleError(`BYDAY ordinals (like 1MO) only work with MONTHLY or YEARLY, not ${freq}`);
+  }
+  if (byDay.some((d) => d.n) && freq === "YEARLY" && !byMonth.length) {
+    throw rruleError(
+      "BYDAY ordinals in a YEARLY rule need BYMONTH (nth weekday of the year is not supported)"
+    );
+  }
+  if (byMonthDay.length && freq === "WEEKLY") {
+    throw rruleError("BYMONTHDAY cannot be used with FREQ=WEEKLY");
+  }
+
+  return { freq, interval, byDay, byMonthDay, byMonth, count, until };
+}
+
+export function parseRrule(text) {
+  /**
+   * Parse an RRULE value (with or without the "RRULE:" prefix) into a normalized rule.
+   * Throws for malformed values and for parts outside the supported subset.
+   */
+  const value = String(text ?? "").trim().replace(/^RRULE:/i, "");
+  if (!value) throw rruleError("empty rule");
+
+  const parts = {};
+  for (const chunk of value.split(";").filter(Boolean)) {
+    const eq = chunk.indexOf("=");
+    const key = (eq > 0 ? chunk.slice(0, eq) : chunk).trim().toUpperCase();
+    if (eq <= 0) throw rruleError(`"${chunk}" is not a NAME=VALUE part`);
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw rruleError(`${key} is not supported by payment plans`);
+    }
+    if (key in parts) throw rruleError(`${key} appears twice`);
+    parts[key] = chunk.slice(eq + 1);
+  }
+
+  return normalizeRrule({
+    freq: parts.FREQ,
+    interval: parts.INTERVAL,
+    byDay: parts.BYDAY,
+    byMonthDay: parts.BYMONTHDAY,
+    byMonth: parts.BYMONTH,
+    count: parts.COUNT,
+    until: parts.UNTIL,
+  });
+}
+
+function byDayText(d) {
+  return (d.n || "") + d.day;
+}
+
+export function formatRrule(rule) {
+  /**
+   * Canonical RRULE value for a normalized rule (no "RRULE:" prefix, UNTIL as YYYYMMDD).
+   */
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(byDayText).join(",")}`);
+  if (rule.count != null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  return parts.join(";");
+}
+
+export function rruleToFields(rule) {
+  /**
+   * Inverse of normalizeRrule() for form fields: lists as comma-separated strings.
+   */
+  return {
+    freq: rule.freq,
+    interval: rule.interval === 1 ? "" : String(rule.interval),
+    byDay: rule.byDay.map(byDayText).join(","),
+    byMonthDay: rule.byMonthDay.join(","),
+    byMonth: rule.byMonth.join(","),
+    count: rule.count == null ? "" : String(rule.count),
+    until: rule.until ?? "",
+  };
+}
+
+function monthDays(rule, year, month, defaultDay) {
+  /**
+   * Day numbers in one month selected by BYMONTHDAY / BYDAY (intersection when both are set),
+   * or the start day when neither is (skipped when the month is too short).
+   */
+  const dim = daysInMonth(year, month);
+  const first = dayNumber(formatDateOnly(year, month, 1));
+  let days = null;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay
+      .map((d) => (d > 0 ? d : dim + 1 + d))
+      .filter((d) => d >= 1 && d <= dim);
+  }
+  if (rule.byDay.length) {
+    const fromByDay = [];
+    for (const { n, day } of rule.byDay) {
+      const wanted = WEEKDAYS.indexOf(day);
+      const matches = [];
+      for (let d = 1; d <= dim; d++) if (weekdayIndex(first + d - 1) === wanted) matches.push(d);
+      if (!n) {
+        fromByDay.push(...matches);
+        continue;
+      }
+      const pick = matches[n > 0 ? n - 1 : matches.length + n];
+      if (pick != null) fromByDay.push(pick);
+    }
+    days = days ? days.filter((d) => fromByDay.includes(d)) : fromByDay;
+  }
+  if (!days) days = defaultDay <= dim ? [defaultDay] : [];
+
+  return [...new Set(days)].sort((a, b) => a - b).map((d) => first + d - 1);
+}
+
+function monthOf(n) {
+  return Number(fromDayNumber(n).slice(5, 7));
+}
+
+function matchesDay(rule, n) {
+  /**
+   * FREQ=DAILY: BYMONTH / BYDAY / BYMONTHDAY only filter the days.
+   */
+  const month = monthOf(n);
+  const year = Number(fromDayNumber(n).slice(0, 4));
+  if (rule.byMonth.length && !rule.byMonth.includes(month)) return false;
+  if (rule.byDay.length && !rule.byDay.some((d) => WEEKDAYS.indexOf(d.day) === weekdayIndex(n))) {
+    return false;
+  }
+  if (rule.byMonthDay.length && !monthDays({ ...rule, byDay: [] }, year, month, 0).includes(n)) {
+    return false;
+  }
+  return true;
+}
+
+function* periodCandidates(rule, start) {
+  /**
+   * Candidate day numbers, ascending, period by period (may include days before start).
+   */
+  const s = parseDateOnly(start);
+  const startDay = dayNumber(start);
+  const inMonths = (n) => !rule.byMonth.length || rule.byMonth.includes(monthOf(n));
+
+  for (let p = 0; p < MAX_PERIODS; p++) {
+    if (rule.freq === "DAILY") {
+      const n = startDay + p * rule.interval;
+      yield matchesDay(rule, n) ? [n] : [];
+    } else if (rule.freq === "WEEKLY") {
+      const monday = startDay - weekdayIndex(startDay) + p * rule.interval * 7;
+      const weekdays = rule.byDay.length
+        ? [...new Set(rule.byDay.map((d) => WEEKDAYS.indexOf(d.day)))].sort((a, b) => a - b)
+        : [weekdayIndex(startDay)];
+      yield weekdays.map((w) => monday + w).filter(inMonths);
+    } else if (rule.freq === "MONTHLY") {
+      const index = s.month - 1 + p * rule.interval;
+      const year = s.year + Math.floor(index / 12);
+      const month = (index % 12) + 1;
+      const skip = rule.byMonth.length && !rule.byMonth.includes(month);
+      yield skip ? [] : monthDays(rule, year, month, s.day);
+    } else {
+      const year = s.year + p * rule.interval;
+      const expandAllMonths = rule.byMonthDay.length || rule.byDay.length;
+      const months = rule.byMonth.length
+        ? [...rule.byMonth].sort((a, b) => a - b)
+        : expandAllMonths
+          ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+          : [s.month];
+      yield months.flatMap((m) => monthDays(rule, year, m, s.day));
+    }
+  }
+}
+
+export function expandRrule(rule, startDate, opts) {
+  /**
+   * Occurrences of a normalized rule from startDate, as YYYY-MM-DD strings in order.
+   *
+   * Params:
+   * - opts.from (optional): only return dates >= from (COUNT still counts from startDate)
+   * - opts.to (optional): stop after this date (inclusive)
+   * - opts.limit (optional): return at most this many dates
+   */
+  const s = parseDateOnly(startDate);
+  if (!s) throw rruleError(`startDate must be YYYY-MM-DD (got "${startDate}")`);
+  const startDay = dayNumber(startDate);
+  const from = opts?.from ?? startDate;
+  const to = [opts?.to, rule.until].filter(Boolean).sort()[0] ?? null;
+  const limit = opts?.limit ?? Infinity;
+
+  const out = [];
+  let seen = 0;
+  for (const days of periodCandidates(rule, startDate)) {
+    for (const n of days) {
+      if (n < startDay) continue;
+      const date = fromDayNumber(n);
+      if (to && date > to) return out;
+      seen += 1;
+      if (date >= from) out.push(date);
+      if (out.length >= limit || (rule.count != null && seen >= rule.count)) return out;
+    }
+  }
+  return out;
+}
+
+export function validateRrule(rule, startDate) {
+  /**
+   * Checks that need the plan's startDate: UNTIL not before it, and at least one occurrence.
+   * Throws an "RRULE:" Error; returns the first occurrence otherwise.
+   */
+  if (!parseDateOnly(startDate)) throw rruleError("set startDate (YYYY-MM-DD) first");
+  if (rule.until && rule.until < startDate) {
+    throw rruleError(`UNTIL (${rule.until}) is before startDate (${startDate})`);
+  }
+  const [first] = expandRrule(rule, startDate, { limit: 1 });
+  if (!first) {
+    throw rruleError("this rule never produces an occurrence (check BYMONTH/BYMONTHDAY/BYDAY)");
+  }
+  return first;
+}
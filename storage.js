@@ -0,0 +1,16 @@
+// Storage (Vanilla JS) — localStorage keys for the data the playground features keep locally
+//
+// PURPOSE
+// - One key scheme for budgets, exchange rates, overdue inbox state, quick-entry history,
+//   category rules and the learned category model.
+//
+// HostContextV1 names the host (`platform.host`) but not the user, so stored data is per host
+// and browser profile: everyone using this browser with the same host shares it.
+
+export function storageKey(context, name) {
+  /**
+   * localStorage key for data `name` under the host in `context` (HostContextV1).
+   */
+  const host = context?.platform?.host ?? "unknown-host";
+  return `acme-expenses:${name}:${host}`;
+}
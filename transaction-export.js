@@ -0,0 +1,308 @@
+// Transaction export (Vanilla JS) — CSV / JSON / OFX across an arbitrary month range
+//
+// PURPOSE
+// - Walk every month in a range with `bridge.iterateTransactions()` (listTransactionsMonth pages).
+// - Resolve category names once via `listCategories`.
+// - Serialize the merged rows as CSV (RFC 4180), JSON or OFX 2 (XML) and trigger a download.
+//
+// A year of data means dozens of bridge round-trips, so progress is reported per page and a
+// failing month does not abort the export: it is recorded in `failures` and the walk continues.
+
+import { csvCell } from "./csv.js";
+import { formatPlainAmount } from "./money.js";
+
+const MAX_MONTHS = 120;
+
+export function parseMonthInput(value) {
+  /**
+   * Parse "YYYY-MM" (the value of <input type="month">) into { year, month }.
+   * Returns null when invalid.
+   */
+  const m = /^(\d{4})-(\d{2})$/.exec(String(value ?? "").trim());
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = Number(m[2]);
+  if (month < 1 || month > 12) return null;
+  return { year, month };
+}
+
+export function monthsInRange(from, to) {
+  /**
+   * Inclusive list of { year, month } from `from` to `to` (both { year, month }).
+   * Throws when the range is reversed or longer than MAX_MONTHS.
+   */
+  const start = from.year * 12 + (from.month - 1);
+  const end = to.year * 12 + (to.month - 1);
+  if (end < start) throw new Error("Export range: end month is before start month");
+  if (end - start + 1 > MAX_MONTHS) throw new Error(`Export range: at most ${MAX_MONTHS} months`);
+  const out = [];
+  for (let i = start; i <= end; i++) out.push({ year: Math.floor(i / 12), month: (i % 12) + 1 });
+  return out;
+}
+
+function errorInfo(err) {
+  return { code: err?.code ?? null, message: String(err?.message ?? err) };
+}
+
+export async function collectMonth(bridge, opts) {
+  /**
+   * Fetch every page of one month (bridge.iterateTransactions() follows the cursor).
+   *
+   * Params:
+   * - opts.year, opts.month (required)
+   * - opts.type, opts.categoryId (optional): forwarded to listTransactionsMonth
+   * - opts.onPage (optional): callback({ page, items }) after every page
+   * - opts.items (optional): array the transactions are appended to, page by page; when a page
+   *   fails it still holds the pages read before it
+   *
+   * Returns the month's transactions (opts.items when given). Throws on the first failing page.
+   */
+  const month = { year: opts.year, month: opts.month };
+  const items = opts.items ?? [];
+  const pages = bridge.iterateTransactions(
+    { start: month, end: month, type: opts.type, categoryId: opts.categoryId },
+    {
+      priority: "background",
+      onPage: (p) => {
+        items.push(...p.items);
+        opts.onPage?.({ page: p.page, items: p.count });
+      },
+    }
+  );
+  // The iterator yields a month only once all of its pages are in; collecting in onPage keeps
+  // the pages that arrived before a failing one.
+  while (!(await pages.next()).done);
+  return items;
+}
+
+export async function collectTransactions(bridge, opts) {
+  /**
+   * Fetch every transaction in a month range.
+   *
+   * Params:
+   * - bridge: a createAppsBridgeV1() client
+   * - opts.from / opts.to (required): { year, month } inclusive
+   * - opts.type, opts.categoryId (optional): forwarded to listTransactionsMonth
+   * - opts.onProgress (optional): callback({ done, total, year, month, page, items })
+   *   after every page (done/total count months)
+   *
+   * Returns:
+   * - { items, categories, failures } where failures is [{ year, month, code, message }]
+   *   (the months that could not be fully read; their pages before the failure are in items)
+   *   plus { scope: "categories" } when category names could not be resolved.
+   */
+  const months = monthsInRange(opts.from, opts.to);
+  const onProgress = opts.onProgress ?? (() => {});
+  const items = [];
+  const failures = [];
+  const seen = new Set();
+
+  let categories = [];
+  try {
+    const res = await bridge.listCategories({});
+    categories = Array.isArray(res?.items) ? res.items : [];
+  } catch (err) {
+    failures.push({ scope: "categories", ...errorInfo(err) });
+  }
+
+  for (const [index, { year, month }] of months.entries()) {
+    let page = 0;
+    const monthItems = [];
+    try {
+      await collectMonth(bridge, {
+        year,
+        month,
+        type: opts.type,
+        categoryId: opts.categoryId,
+        items: monthItems,
+        onPage: (p) => {
+          page = p.page;
+          const count = items.length + p.items;
+          onProgress({ done: index, total: months.length, year, month, page, items: count });
+        },
+      });
+    } catch (err) {
+      failures.push({ year, month, page: page + 1, ...errorInfo(err) });
+    }
+    // A failed month keeps the pages read before the failure.
+    for (const t of monthItems) {
+      // Pages can overlap if transactions are created mid-walk; keep the first copy.
+      if (t?.id != null && seen.has(t.id)) continue;
+      if (t?.id != null) seen.add(t.id);
+      items.push(t);
+    }
+    onProgress({ done: index + 1, total: months.length, year, month, page, items: items.length });
+  }
+
+  items.sort((a, b) => String(a.occurredAt).localeCompare(String(b.occurredAt)));
+  return { items, categories, failures };
+}
+
+function categoryNames(categories) {
+  return new Map(categories.map((c) => [c.id, c.name]));
+}
+
+export function toRows(items, categories) {
+  /**
+   * Flatten transactions into export rows with the category name resolved.
+   */
+  const names = categoryNames(categories);
+  return items.map((t) => ({
+    id: t.id,
+    occurredAt: t.occurredAt,
+    type: t.type,
+    amount: t.amount,
+    currencyCode: t.currencyCode ?? "",
+    categoryId: t.categoryId ?? "",
+    categoryName: (t.categoryId && names.get(t.categoryId)) || "",
+    note: t.note ?? "",
+  }));
+}
+
+const CSV_COLUMNS = ["id", "occurredAt", "type", "amount", "currencyCode", "categoryId", "categoryName", "note"];
+
+export function toCsv(rows) {
+  const text = new Set(["note", "categoryName"]);
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const r of rows) lines.push(CSV_COLUMNS.map((c) => csvCell(r[c], text.has(c))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function toJson(rows, meta) {
+  return JSON.stringify({ ...meta, transactions: rows }, null, 2);
+}
+
+function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function ofxDate(iso) {
+  /**
+   * OFX date-time: YYYYMMDDHHMMSS[0:GMT] in UTC.
+   */
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "[0:GMT]";
+}
+
+export function toOfx(rows, meta) {
+  /**
+   * OFX 2.x bank statement (XML). One statement per currency, because an OFX statement has a
+   * single CURDEF. Expenses are DEBIT with a negative TRNAMT, incomes CREDIT.
+   */
+  const byCurrency = new Map();
+  for (const r of rows) {
+    const key = r.currencyCode || "XXX";
+    if (!byCurrency.has(key)) byCurrency.set(key, []);
+    byCurrency.get(key).push(r);
+  }
+
+  const now = ofxDate(new Date().toISOString());
+  const statements = [...byCurrency.entries()].map(([currency, list], i) => {
+    const txns = list
+      .map((r) => {
+        const debit = r.type === "EXPENSE";
+        const magnitude = Math.abs(Number(r.amount));
+        const amount = formatPlainAmount(debit ? -magnitude : magnitude, r.currencyCode);
+        const name = (r.categoryName || r.type).slice(0, 32);
+        return [
+          "<STMTTRN>",
+          `<TRNTYPE>${debit ? "DEBIT" : "CREDIT"}</TRNTYPE>`,
+          `<DTPOSTED>${ofxDate(r.occurredAt)}</DTPOSTED>`,
+          `<TRNAMT>${amount}</TRNAMT>`,
+          `<FITID>${xmlEscape(r.id)}</FITID>`,
+          `<NAME>${xmlEscape(name)}</NAME>`,
+          r.note ? `<MEMO>${xmlEscape(r.note.slice(0, 255))}</MEMO>` : "",
+          "</STMTTRN>",
+        ]
+          .filter(Boolean)
+          .join("");
+      })
+      .join("\n");
+    return [
+      "<STMTTRNRS>",
+      `<TRNUID>${i + 1}</TRNUID>`,
+      "<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+      "<STMTRS>",
+      `<CURDEF>${xmlEscape(currency)}</CURDEF>`,
+      `<BANKACCTFROM><BANKID>acme-expenses</BANKID><ACCTID>${xmlEscape(currency)}</ACCTID>`,
+      "<ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>",
+      `<BANKTRANLIST><DTSTART>${ofxDate(meta.start)}</DTSTART><DTEND>${ofxDate(meta.end)}</DTEND>`,
+      txns,
+      "</BANKTRANLIST>",
+      `<LEDGERBAL><BALAMT>0</BALAMT><DTASOF>${now}</DTASOF></LEDGERBAL>`,
+      "</STMTRS>",
+      "</STMTTRNRS>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS>",
+    "<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+    `<DTSERVER>${now}</DTSERVER><LANGUAGE>ENG</LANGUAGE>`,
+    "</SONRS></SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1>",
+    ...statements,
+    "</BANKMSGSRSV1>",
+    "</OFX>",
+    "",
+  ].join("\n");
+}
+
+export const EXPORT_FORMATS = {
+  csv: { mime: "text/csv;charset=utf-8", ext: "csv" },
+  json: { mime: "application/json", ext: "json" },
+  ofx: { mime: "application/x-ofx", ext: "ofx" },
+};
+
+export function serialize(format, rows, meta) {
+  if (format === "csv") return toCsv(rows);
+  if (format === "json") return toJson(rows, meta);
+  if (format === "ofx") return toOfx(rows, meta);
+  throw new Error("Unsupported export format: " + format);
+}
+
+export function downloadText(filename, mime, text) {
+  /**
+   * Trigger a browser download for generated text (no server round-trip).
+   */
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export async function exportTransactions(bridge, opts) {
+  /**
+   * Collect + serialize + download.
+   *
+   * Params: same as collectTransactions() plus opts.format ("csv" | "json" | "ofx").
+   * Returns: { filename, count, failures } (download happens even with partial failures).
+   */
+  const format = EXPORT_FORMATS[opts.format] ? opts.format : "csv";
+  const { items, categories, failures } = await collectTransactions(bridge, opts);
+
+  const lastDay = new Date(Date.UTC(opts.to.year, opts.to.month, 0, 23, 59, 59, 999));
+  const meta = {
+    start: new Date(Date.UTC(opts.from.year, opts.from.month - 1, 1)).toISOString(),
+    end: lastDay.toISOString(),
+    exportedAt: new Date().toISOString(),
+    failures,
+  };
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const label = `${opts.from.year}-${pad(opts.from.month)}_${opts.to.year}-${pad(opts.to.month)}`;
+  const filename = `transactions_${label}.${EXPORT_FORMATS[format].ext}`;
+  downloadText(filename, EXPORT_FORMATS[format].mime, serialize(format, toRows(items, categories), meta));
+  return { filename, count: items.length, failures };
+}
@@ -0,0 +1,465 @@
+// Transaction import (Vanilla JS) — bulk createExpense from CSV, OFX and QIF statement files
+//
+// PURPOSE
+// - Parse a statement file into a plain table ({ columns, rows }) regardless of format.
+// - Map table columns to createExpense fields (amount, currencyCode, note, occurredAt, categoryId).
+// - Build a preview with per-row validation errors, and flag likely duplicates by comparing
+//   against `listTransactionsMonth` for the months the file touches.
+// - Submit accepted rows one at a time (throttled) and report the outcome of every row.
+//
+// Every row gets a deterministic idempotency key (file name + row + content), so importing the
+// same file twice, or re-running an import that was interrupted, cannot create duplicates on a
+// host that honours idempotency keys.
+
+import { parseCsv } from "./csv.js";
+import { fromMinor, isCurrencyCode, parseAmountInput, toMinor } from "./money.js";
+import { collectMonth } from "./transaction-export.js";
+
+/**
+ * createExpense fields a column can be mapped to.
+ */
+export const IMPORT_TARGETS = ["amount", "currencyCode", "note", "occurredAt", "categoryId"];
+
+// --- Parsing ------------------------------------------------------------------
+
+export function detectFormat(filename, text) {
+  /**
+   * Pick a parser from the file extension, falling back to sniffing the content.
+   */
+  const ext = String(filename ?? "").toLowerCase().split(".").pop();
+  if (ext === "ofx" || ext === "qfx") return "ofx";
+  if (ext === "qif") return "qif";
+  if (ext === "csv" || ext === "tsv" || ext === "txt") {
+    if (/^\s*!Type:/i.test(text)) return "qif";
+    return "csv";
+  }
+  if (/<OFX>/i.test(text) || /^OFXHEADER:/m.test(text)) return "ofx";
+  if (/^\s*!Type:/i.test(text)) return "qif";
+  return "csv";
+}
+
+function ofxValue(block, tag) {
+  /**
+   * Leaf value in OFX 1.x SGML (closing tag optional) or OFX 2.x XML.
+   */
+  const m = new RegExp(`<${tag}>([^<\\r\\n]*)`, "i").exec(block);
+  return m ? m[1].trim() : "";
+}
+
+function ofxDateToIso(raw) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(raw);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : raw;
+}
+
+export function parseOfx(text) {
+  /**
+   * Extract STMTTRN records (bank and credit card statements) into a table.
+   * The statement CURDEF is used unless a transaction carries its own CURRENCY/ORIGCURRENCY.
+   * Dates are normalized to YYYY-MM-DD; amounts stay as written (negative = debit).
+   */
+  const columns = ["date", "amount", "payee", "memo", "currency", "fitid"];
+  const rows = [];
+  const src = String(text ?? "");
+  const statements = src.split(/<(?:STMTRS|CCSTMTRS)>/i).slice(1);
+  for (const stmt of statements) {
+    const curdef = ofxValue(stmt, "CURDEF");
+    const txns = stmt.split(/<STMTTRN>/i).slice(1);
+    for (const raw of txns) {
+      const block = raw.split(/<\/STMTTRN>/i)[0];
+      rows.push([
+        ofxDateToIso(ofxValue(block, "DTPOSTED")),
+        ofxValue(block, "TRNAMT"),
+        ofxValue(block, "NAME") || ofxValue(block, "PAYEE"),
+        ofxValue(block, "MEMO"),
+        ofxValue(block, "CURSYM") || curdef,
+        ofxValue(block, "FITID"),
+      ]);
+    }
+  }
+  return { columns, rows };
+}
+
+export function parseQif(text) {
+  /**
+   * Quicken Interchange Format: one field per line (D date, T/U amount, P payee, M memo,
+   * L category), records terminated by "^". Header lines ("!Type:Bank") are skipped.
+   */
+  const columns = ["date", "amount", "payee", "memo", "category"];
+  const rows = [];
+  let rec = {};
+  const flush = () => {
+    if (Object.keys(rec).length) {
+      rows.push([rec.D ?? "", rec.T ?? rec.U ?? "", rec.P ?? "", rec.M ?? "", rec.L ?? ""]);
+    }
+    rec = {};
+  };
+  for (const line of String(text ?? "").replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("!")) continue;
+    if (line.startsWith("^")) {
+      flush();
+      continue;
+    }
+    const code = line[0];
+    if (!(code in rec)) rec[code] = line.slice(1).trim();
+  }
+  flush();
+  return { columns, rows };
+}
+
+export function parseStatement(filename, text, opts) {
+  /**
+   * Parse any supported file. Returns { format, columns, rows }.
+   */
+  const format = opts?.format || detectFormat(filename, text);
+  if (format === "ofx") return { format, ...parseOfx(text) };
+  if (format === "qif") return { format, ...parseQif(text) };
+  return { format: "csv", ...parseCsv(text, opts) };
+}
+
+export function guessMapping(columns) {
+  /**
+   * Map target fields to column indexes by common header names (-1 = not mapped).
+   */
+  const candidates = {
+    amount: ["amount", "trnamt", "betrag", "importe", "montant", "value", "debit"],
+    currencyCode: ["currency", "currencycode", "cursym", "währung", "moneda", "devise"],
+    note: ["payee", "description", "note", "name", "memo", "details", "concepto", "libellé"],
+    occurredAt: ["date", "occurredat", "booking date", "transaction date", "fecha", "datum"],
+    categoryId: ["category", "categoryid", "categoría", "kategorie", "catégorie"],
+  };
+  const norm = columns.map((c) => String(c).trim().toLowerCase());
+  const mapping = {};
+  for (const target of IMPORT_TARGETS) {
+    let idx = -1;
+    for (const name of candidates[target]) {
+      idx = norm.indexOf(name);
+      if (idx === -1) idx = norm.findIndex((c) => c.includes(name));
+      if (idx !== -1) break;
+    }
+    mapping[target] = idx;
+  }
+  return mapping;
+}
+
+// --- Value normalization ------------------------------------------------------
+
+export function parseAmount(raw, currencyCode, opts) {
+  /**
+   * Parse a statement amount into a signed major-unit number of `currencyCode`.
+   *
+   * Strips currency symbols and letters and reads "(12.34)" and "12.34-" as negatives; the rest
+   * goes through money.js parseAmountInput(), so the currency's decimals are enforced.
+   * opts.decimalSeparator: "." | "," | "auto" (default, see parseAmountInput()).
+   * Throws with a message for the row's errors.
+   */
+  let s = String(raw ?? "").trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+  if (/-$/.test(s)) {
+    negative = true;
+    s = s.slice(0, -1);
+  }
+  s = s.replace(/[^\d.,\s'’+-]/g, "").trim();
+  if (!s && String(raw ?? "").trim()) throw new Error(`Invalid amount "${raw}"`);
+  const minor = parseAmountInput(s, currencyCode, opts);
+  return fromMinor(negative ? -minor : minor, currencyCode);
+}
+
+function splitDate(raw) {
+  const s = String(raw ?? "").replace(/\s/g, "");
+  const m = /^(\d{1,4})[./\-'](\d{1,2})[./\-'](\d{2,4})$/.exec(s);
+  return m ? [Number(m[1]), Number(m[2]), m[3]] : null;
+}
+
+export function inferDateFormat(values, fallback) {
+  /**
+   * Decide between DMY and MDY for a whole file: a first part > 12 proves DMY, a second part
+   * > 12 proves MDY. Undecidable files use `fallback`.
+   */
+  for (const v of values) {
+    const p = splitDate(v);
+    if (!p || String(p[0]).length === 4) continue;
+    if (p[0] > 12) return "DMY";
+    if (p[1] > 12) return "MDY";
+  }
+  return fallback;
+}
+
+function fullYear(y) {
+  const n = Number(y);
+  if (String(y).length > 2) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+export function parseDate(raw, dateFormat) {
+  /**
+   * Parse a statement date into an ISO instant for `occurredAt`.
+   *
+   * - ISO date-times are kept as-is (normalized through Date).
+   * - Calendar dates (YYYY-MM-DD, YYYYMMDD, D/M/Y or M/D/Y per dateFormat) become 12:00 UTC so
+   *   the day does not shift in any user timezone.
+   * Returns null when invalid.
+   */
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  let y;
+  let m;
+  let d;
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(s);
+  const parts = splitDate(s);
+  if (compact) {
+    [y, m, d] = [Number(compact[1]), Number(compact[2]), Number(compact[3])];
+  } else if (parts && String(parts[0]).length === 4) {
+    [y, m, d] = [parts[0], parts[1], Number(parts[2])];
+  } else if (parts) {
+    const [a, b, c] = parts;
+    [d, m] = dateFormat === "MDY" ? [b, a] : [a, b];
+    y = fullYear(c);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(y, m - 1, d, 12));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function resolveCategory(value, categories) {
+  const v = String(value ?? "").trim();
+  if (!v) return { id: null, unknown: false };
+  const lower = v.toLowerCase();
+  const usable = categories.filter((c) => c.type !== "INCOME");
+  const hit =
+    usable.find((c) => c.id === v) ?? usable.find((c) => String(c.name).toLowerCase() === lower);
+  return { id: hit?.id ?? null, unknown: !hit };
+}
+
+export function buildPreview(table, mapping, opts) {
+  /**
+   * Turn parsed rows into createExpense payloads with validation.
+   *
+   * Params:
+   * - table: { columns, rows } from parseStatement()
+   * - mapping: { [target]: columnIndex | -1 } (see guessMapping())
+   * - opts.fileName: used for idempotency keys
+   * - opts.defaultCurrency: used when currencyCode is not mapped or empty (default "EUR")
+   * - opts.dateFormat: "auto" | "DMY" | "MDY" (auto uses inferDateFormat())
+   * - opts.decimalSeparator: "auto" | "." | ","
+   * - opts.signMode: "negative-expenses" (bank statements: only debits are imported, credits are
+   *   rejected) or "absolute" (every row is an expense, sign ignored)
+   * - opts.categories: result items of listCategories, to resolve ids or names
+   * - opts.suggest (optional): (payload) => { categoryId, name, reason } | null, asked for rows
+   *   the file leaves uncategorized (e.g. auto-categorize.js suggestCategories()); a suggestion
+   *   fills payload.categoryId and is kept in row.suggestion
+   *
+   * Returns rows: [{ index, source, payload, errors, warnings, duplicate, accepted, idempotencyKey,
+   *   suggestion }]
+   */
+  const col = (row, target) =>
+    mapping[target] >= 0 ? String(row[mapping[target]] ?? "").trim() : "";
+  const categories = opts?.categories ?? [];
+  const fallbackFormat = opts?.format === "qif" ? "MDY" : "DMY";
+  const dateFormat =
+    opts?.dateFormat && opts.dateFormat !== "auto"
+      ? opts.dateFormat
+      : inferDateFormat(table.rows.map((r) => col(r, "occurredAt")), fallbackFormat);
+
+  return table.rows.map((row, index) => {
+    const errors = [];
+    const warnings = [];
+    const payload = {};
+
+    const currency = (col(row, "currencyCode") || opts?.defaultCurrency || "EUR").toUpperCase();
+    if (isCurrencyCode(currency)) payload.currencyCode = currency;
+    else errors.push(`invalid currency "${currency}" (not in ISO 4217)`);
+
+    let signed = NaN;
+    try {
+      const amountOpts = { decimalSeparator: opts?.decimalSeparator };
+      signed = parseAmount(col(row, "amount"), payload.currencyCode ?? null, amountOpts);
+    } catch (err) {
+      if (mapping.amount >= 0) errors.push(String(err?.message ?? err));
+    }
+    if (mapping.amount < 0) errors.push("amount column is not mapped");
+    else if (signed === 0) errors.push("invalid amount");
+    else if (opts?.signMode === "negative-expenses" && signed > 0) {
+      errors.push("credit (positive amount) — not an expense");
+    } else if (Number.isFinite(signed)) payload.amount = Math.abs(signed);
+
+    const note = col(row, "note");
+    if (note) payload.note = note;
+
+    const rawDate = col(row, "occurredAt");
+    if (rawDate) {
+      const occurredAt = parseDate(rawDate, dateFormat);
+      if (occurredAt) payload.occurredAt = occurredAt;
+      else errors.push(`invalid date "${rawDate}"`);
+    } else {
+      warnings.push("no date — the host will use the import time");
+    }
+
+    const cat = resolveCategory(col(row, "categoryId"), categories);
+    if (cat.id) payload.categoryId = cat.id;
+    let suggestion = null;
+    if (!payload.categoryId && errors.length === 0) {
+      suggestion = opts?.suggest?.(payload) ?? null;
+      if (suggestion) payload.categoryId = suggestion.categoryId;
+    }
+    if (cat.unknown) {
+      const fallback = suggestion ? "suggested instead" : "left uncategorized";
+      warnings.push(`unknown category "${col(row, "categoryId")}" — ${fallback}`);
+    }
+
+    return {
+      index,
+      source: row,
+      payload,
+      errors,
+      warnings,
+      duplicate: null,
+      accepted: errors.length === 0,
+      idempotencyKey: `import_${fnv1a(`${opts?.fileName ?? ""}|${index}|${row.join("\u001f")}`)}`,
+      suggestion,
+    };
+  });
+}
+
+// --- Duplicates ---------------------------------------------------------------
+
+function sameExpense(a, b) {
+  /**
+   * Likely the same expense: same currency, same amount (in the currency's minor unit) and at
+   * most one day apart (statements often book a day after the purchase).
+   */
+  if (a.currencyCode !== b.currencyCode) return false;
+  const code = isCurrencyCode(a.currencyCode) ? a.currencyCode : null;
+  if (toMinor(a.amount, code) !== toMinor(b.amount, code)) return false;
+  const dayMs = 24 * 60 * 60 * 1000;
+  return Math.abs(Date.parse(a.occurredAt) - Date.parse(b.occurredAt)) <= 1.5 * dayMs;
+}
+
+export async function flagDuplicates(bridge, rows, opts) {
+  /**
+   * Compare valid rows against existing EXPENSE transactions of every affected month, and
+   * against earlier rows of the same file. Duplicates are un-accepted (the user can re-tick them).
+   *
+   * Returns { checkedMonths, failures } (a month that cannot be read is reported, not fatal).
+   */
+  const months = new Map();
+  for (const r of rows) {
+    if (r.errors.length || !r.payload.occurredAt) continue;
+    const d = new Date(r.payload.occurredAt);
+    months.set(`${d.getUTCFullYear()}-${d.getUTCMonth() + 1}`, {
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+    });
+  }
+
+  const existing = [];
+  const failures = [];
+  let done = 0;
+  for (const { year, month } of months.values()) {
+    try {
+      // On failure, `existing` still gets the month's pages read so far.
+      await collectMonth(bridge, { year, month, type: "EXPENSE", items: existing });
+    } catch (err) {
+      failures.push({ year, month, code: err?.code ?? null, message: String(err?.message ?? err) });
+    }
+    opts?.onProgress?.({ done: ++done, total: months.size });
+  }
+
+  const seen = [];
+  for (const r of rows) {
+    if (r.errors.length || !r.payload.occurredAt) continue;
+    const hit = existing.find((t) => sameExpense(r.payload, t));
+    const twin = seen.find((s) => sameExpense(r.payload, s.payload));
+    if (hit) {
+      r.duplicate = {
+        source: "host",
+        id: hit.id,
+        occurredAt: hit.occurredAt,
+        note: hit.note ?? null,
+      };
+    } else if (twin) {
+      r.duplicate = { source: "file", row: twin.index + 1 };
+    }
+    if (r.duplicate) r.accepted = false;
+    seen.push(r);
+  }
+  return { checkedMonths: months.size, failures };
+}
+
+// --- Submission ---------------------------------------------------------------
+
+export async function submitRows(bridge, rows, opts) {
+  /**
+   * Create every accepted row with createExpense, one at a time, at most one call per
+   * opts.minIntervalMs (default 300ms) so a large file does not flood the host.
+   *
+   * - opts.signal (optional AbortSignal): stop before the next row; the rest is "cancelled".
+   * - opts.retry (optional): retry policy forwarded to createExpense.
+   * - opts.onProgress (optional): callback({ done, total, row, result })
+   * - NOT_AUTHED stops the import (every later call would fail the same way).
+   *
+   * Returns the per-row report: [{ row, status: "created" | "failed" | "cancelled", id?, code?,
+   * message? }] (1-based row numbers).
+   */
+  const accepted = rows.filter((r) => r.accepted && !r.errors.length);
+  const minIntervalMs = Math.max(0, opts?.minIntervalMs ?? 300);
+  const report = [];
+  let stopReason = null;
+  let last = 0;
+
+  for (const [i, r] of accepted.entries()) {
+    if (opts?.signal?.aborted) stopReason = stopReason ?? "cancelled by user";
+    if (stopReason) {
+      report.push({ row: r.index + 1, status: "cancelled", message: stopReason });
+      continue;
+    }
+
+    const wait = last + minIntervalMs - Date.now();
+    if (wait > 0) await new Promise((resolve) => window.setTimeout(resolve, wait));
+    last = Date.now();
+
+    let result;
+    try {
+      const created = await bridge.createExpense(r.payload, {
+        idempotencyKey: r.idempotencyKey,
+        retry: opts?.retry,
+        // Bulk work: calls the user makes meanwhile are sent first.
+        priority: "background",
+      });
+      result = { row: r.index + 1, status: "created", id: created?.id ?? null };
+    } catch (err) {
+      result = {
+        row: r.index + 1,
+        status: "failed",
+        code: err?.code ?? null,
+        message: String(err?.message ?? err),
+      };
+      if (err?.code === "NOT_AUTHED") stopReason = "stopped: host session is not authenticated";
+    }
+    report.push(result);
+    opts?.onProgress?.({ done: i + 1, total: accepted.length, row: r.index + 1, result });
+  }
+  return report;
+}